@@ -8,6 +8,10 @@ use FanCoolo\Admin\Api\Controllers\PostsQueryApiController;
 use FanCoolo\Admin\Api\Controllers\PostsOperationsApiController;
 use FanCoolo\Admin\Api\Controllers\LicenseApiController;
 use FanCoolo\Admin\Api\Controllers\RevisionsApiController;
+use FanCoolo\Admin\Api\Controllers\LibraryTransferApiController;
+use FanCoolo\Admin\Api\Controllers\SettingsApiController;
+use FanCoolo\Admin\Api\Controllers\ThemeTokensApiController;
+use FanCoolo\Admin\Api\Controllers\BlockRenderApiController;
 use FanCoolo\Admin\Api\TaxonomyApiController;
 use FanCoolo\Admin\Api\BlockCategoriesApiController;
 use FanCoolo\Admin\Api\FileGenerationApiController;
@@ -24,6 +28,10 @@ class Api
     private $postsOperationsController;
     private $licenseController;
     private $revisionsController;
+    private $libraryTransferController;
+    private $settingsController;
+    private $themeTokensController;
+    private $blockRenderController;
     private $taxonomyController;
     private $blockCategoriesController;
     private $fileGenerationController;
@@ -42,6 +50,10 @@ class Api
         // Initialize other controllers
         $this->licenseController = new LicenseApiController();
         $this->revisionsController = new RevisionsApiController();
+        $this->libraryTransferController = new LibraryTransferApiController();
+        $this->settingsController = new SettingsApiController();
+        $this->themeTokensController = new ThemeTokensApiController();
+        $this->blockRenderController = new BlockRenderApiController();
         $this->taxonomyController = new TaxonomyApiController();
         $this->blockCategoriesController = new BlockCategoriesApiController();
         $this->fileGenerationController = new FileGenerationApiController();
@@ -6,6 +6,7 @@ use FanCoolo\Admin\Api\Services\BulkQueryService;
 use FanCoolo\Admin\Api\Services\ApiResponseFormatter;
 use FanCoolo\Admin\Api\Services\UnifiedApiService;
 use FanCoolo\Admin\Api\Services\StandardBulkPipeline;
+use FanCoolo\Admin\Api\Services\RevisionHashService;
 use FanCoolo\Admin\Api\Traits\BulkOperationTrait;
 use FanCoolo\Admin\Api\Traits\PerformanceLoggingTrait;
 use FanCoolo\Admin\Api\Traits\CachingIntegrationTrait;
@@ -29,6 +30,7 @@ abstract class BaseApiController
     protected $responseFormatter;
     protected $unifiedApiService;
     protected $standardBulkPipeline;
+    protected $revisionHashService;
 
     public function __construct()
     {
@@ -36,6 +38,7 @@ abstract class BaseApiController
         $this->responseFormatter = new ApiResponseFormatter();
         $this->unifiedApiService = new UnifiedApiService();
         $this->standardBulkPipeline = new StandardBulkPipeline($this->bulkQueryService);
+        $this->revisionHashService = new RevisionHashService($this->bulkQueryService);
         add_action('rest_api_init', [$this, 'registerRoutes']);
     }
 
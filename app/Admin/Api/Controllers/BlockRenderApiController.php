@@ -0,0 +1,133 @@
+<?php
+
+namespace FanCoolo\Admin\Api\Controllers;
+
+/**
+ * Block Render API Controller
+ *
+ * Renders several dynamic blocks in one request, so an editor page with many
+ * FanCoolo blocks boots WordPress once instead of once per block. Mirrors
+ * /wp/v2/block-renderer, but reports errors per block instead of failing the
+ * whole batch.
+ */
+class BlockRenderApiController extends BaseApiController
+{
+    /**
+     * Most blocks rendered by one request
+     */
+    public const MAX_BLOCKS = 50;
+
+    public function registerRoutes()
+    {
+        register_rest_route('funculo/v1', '/block-renderer/batch', [
+            'methods' => 'POST',
+            'callback' => [$this, 'renderBatch'],
+            'permission_callback' => [$this, 'checkPermissions'],
+            'args' => [
+                'blocks' => [
+                    'required' => true,
+                    'validate_callback' => function($param) {
+                        return is_array($param) && !empty($param) && count($param) <= self::MAX_BLOCKS;
+                    }
+                ]
+            ]
+        ]);
+    }
+
+    /**
+     * Render every block of the batch
+     *
+     * Each block is { id, name, attributes, post_id }. Results keep the id of
+     * their block and hold either the rendered HTML or an error.
+     *
+     * @param \WP_REST_Request $request The request object
+     * @return \WP_REST_Response
+     */
+    public function renderBatch($request)
+    {
+        $startTime = microtime(true);
+        $results = [];
+
+        foreach ($request->get_param('blocks') as $block) {
+            $id = is_array($block) && isset($block['id']) ? sanitize_text_field((string) $block['id']) : '';
+
+            // Each block sets up its own post - don't leak it into the next one
+            $previousPost = $GLOBALS['post'] ?? null;
+            $rendered = is_array($block) ? $this->renderBlock($block) : new \WP_Error('block_invalid', 'Invalid block.');
+            $GLOBALS['post'] = $previousPost;
+            if ($previousPost instanceof \WP_Post) {
+                setup_postdata($previousPost);
+            }
+
+            $results[] = is_wp_error($rendered)
+                ? [
+                    'id' => $id,
+                    'error' => [
+                        'code' => $rendered->get_error_code(),
+                        'message' => $rendered->get_error_message(),
+                    ],
+                ]
+                : [
+                    'id' => $id,
+                    'rendered' => $rendered,
+                ];
+        }
+
+        return $this->responseFormatter->success(
+            ['results' => $results],
+            ['performance' => $this->createPerformanceMetadata('renderBatch', $startTime, count($results))]
+        );
+    }
+
+    /**
+     * Render one block of the batch the way /wp/v2/block-renderer does
+     *
+     * @param array $block Block from the request
+     * @return string|\WP_Error Rendered HTML
+     */
+    private function renderBlock(array $block)
+    {
+        $name = isset($block['name']) && is_string($block['name']) ? $block['name'] : '';
+        $attributes = isset($block['attributes']) && is_array($block['attributes']) ? $block['attributes'] : [];
+        $postId = isset($block['post_id']) ? absint($block['post_id']) : 0;
+
+        $blockType = \WP_Block_Type_Registry::get_instance()->get_registered($name);
+        if (!$blockType || !$blockType->is_dynamic()) {
+            return new \WP_Error('block_invalid', 'Invalid block.');
+        }
+
+        $schema = [
+            'type' => 'object',
+            'properties' => $blockType->get_attributes(),
+            'additionalProperties' => false,
+        ];
+        $valid = rest_validate_value_from_schema($attributes, $schema, 'attributes');
+        if (is_wp_error($valid)) {
+            return $valid;
+        }
+        $attributes = rest_sanitize_value_from_schema($attributes, $schema, 'attributes');
+
+        if ($postId) {
+            $post = get_post($postId);
+            if (!$post || !current_user_can('edit_post', $postId)) {
+                return new \WP_Error('block_cannot_read', 'Sorry, you are not allowed to read blocks of this post.');
+            }
+
+            $GLOBALS['post'] = $post;
+            setup_postdata($post);
+        }
+
+        try {
+            return render_block([
+                'blockName' => $name,
+                'attrs' => $attributes,
+                'innerHTML' => '',
+                'innerContent' => [],
+            ]);
+        } catch (\Throwable $e) {
+            error_log("FanCoolo API Error in renderBatch ({$name}): " . $e->getMessage());
+
+            return new \WP_Error('block_render_failed', $e->getMessage());
+        }
+    }
+}
@@ -0,0 +1,454 @@
+<?php
+
+namespace FanCoolo\Admin\Api\Controllers;
+
+use FanCoolo\Content\FunculoPostType;
+use FanCoolo\Content\FunculoTypeTaxonomy;
+use FanCoolo\Admin\Api\Services\ApiResponseFormatter;
+
+/**
+ * Library Transfer API Controller - Export / Import
+ *
+ * Handles moving the whole library between sites:
+ * - Exporting blocks, symbols and SCSS partials as a portable JSON bundle
+ * - Previewing an import (creates, updates and slug collisions)
+ *
+ * The import itself is applied by the client through /operations/bulk,
+ * so it goes through the same sanitization and file generation as a save.
+ */
+class LibraryTransferApiController extends BaseApiController
+{
+    const BUNDLE_FORMAT = 'fancoolo-library';
+    const BUNDLE_VERSION = 1;
+
+    /**
+     * Bundle keys must survive untouched, so responses skip the camelCase transform
+     */
+    private $bundleFormatter;
+
+    public function __construct()
+    {
+        parent::__construct();
+        $this->bundleFormatter = new ApiResponseFormatter(false);
+    }
+
+    public function registerRoutes()
+    {
+        // Export the whole library
+        register_rest_route('funculo/v1', '/library/export', [
+            'methods' => 'GET',
+            'callback' => [$this, 'exportLibrary'],
+            'permission_callback' => [$this, 'checkPermissions'],
+        ]);
+
+        // Preview what importing a bundle would change
+        register_rest_route('funculo/v1', '/library/import/preview', [
+            'methods' => 'POST',
+            'callback' => [$this, 'previewImport'],
+            'permission_callback' => [$this, 'checkCreatePermissions'],
+            'args' => [
+                'bundle' => [
+                    'required' => true,
+                    'validate_callback' => function($param) {
+                        return is_array($param) && isset($param['items']) && is_array($param['items']);
+                    }
+                ]
+            ]
+        ]);
+    }
+
+    /**
+     * Export all blocks, symbols and SCSS partials as a bundle
+     */
+    public function exportLibrary($request)
+    {
+        $startTime = microtime(true);
+
+        try {
+            $query = new \WP_Query([
+                'post_type' => FunculoPostType::getPostType(),
+                'post_status' => ['publish', 'draft', 'pending', 'private'],
+                'posts_per_page' => -1,
+                'orderby' => 'ID',
+                'order' => 'ASC',
+                'no_found_rows' => true,
+            ]);
+
+            $items = [];
+
+            if (!empty($query->posts)) {
+                $postIds = wp_list_pluck($query->posts, 'ID');
+                $pipelineResult = $this->standardBulkPipeline->executeBulkPipeline($postIds);
+
+                // Partials are referenced by slug so references survive new IDs on the target site
+                $slugsById = [];
+                foreach ($query->posts as $post) {
+                    $slugsById[$post->ID] = $post->post_name;
+                }
+
+                foreach ($query->posts as $post) {
+                    $item = $this->exportItem($post, $pipelineResult, $slugsById);
+                    if ($item) {
+                        $items[] = $item;
+                    }
+                }
+            }
+        } catch (\Exception $e) {
+            error_log("FanCoolo Error: Library export failed - " . $e->getMessage());
+            return $this->responseFormatter->serverError('Library export failed: ' . $e->getMessage());
+        }
+
+        $this->bulkQueryService->logPerformance('exportLibrary', count($items), $startTime);
+
+        $bundle = [
+            'format' => self::BUNDLE_FORMAT,
+            'version' => self::BUNDLE_VERSION,
+            'plugin_version' => defined('FANCOOLO_VERSION') ? FANCOOLO_VERSION : '',
+            'exported_at' => current_time('c'),
+            'site_url' => home_url(),
+            'items' => $items,
+        ];
+
+        return $this->bundleFormatter->success($bundle, ['count' => count($items)]);
+    }
+
+    /**
+     * Plan an import without changing anything
+     *
+     * Every item is matched to an existing post by slug:
+     * - create: no post uses the slug
+     * - update: a post of the same type uses the slug and will be overwritten
+     * - collision: the slug belongs to a different type (or repeats in the bundle) and is skipped
+     */
+    public function previewImport($request)
+    {
+        $bundle = $request->get_param('bundle');
+
+        if (($bundle['format'] ?? '') !== self::BUNDLE_FORMAT) {
+            return $this->responseFormatter->error('invalid_bundle', 'Not a FanCoolo library bundle', 400);
+        }
+
+        if (intval($bundle['version'] ?? 0) > self::BUNDLE_VERSION) {
+            return $this->responseFormatter->error(
+                'invalid_bundle',
+                sprintf('Bundle version %d is newer than this plugin supports', intval($bundle['version'])),
+                400
+            );
+        }
+
+        try {
+            $validTypes = FunculoTypeTaxonomy::getTerms();
+            $slugs = [];
+            foreach ($bundle['items'] as $item) {
+                if (is_array($item) && !empty($item['slug'])) {
+                    $slugs[] = sanitize_title($item['slug']);
+                }
+            }
+
+            $existing = $this->findExistingBySlug(array_unique($slugs));
+            $seen = [];
+            $plan = [];
+            $summary = ['create' => 0, 'update' => 0, 'collision' => 0, 'invalid' => 0];
+
+            foreach ($bundle['items'] as $index => $item) {
+                $type = is_array($item) ? sanitize_key($item['type'] ?? '') : '';
+                $slug = is_array($item) ? sanitize_title($item['slug'] ?? '') : '';
+
+                $entry = [
+                    'index' => $index,
+                    'type' => $type,
+                    'slug' => $slug,
+                    'title' => is_array($item) ? sanitize_text_field($item['title'] ?? $slug) : '',
+                    'action' => 'create',
+                    'existing_id' => null,
+                    'reason' => '',
+                ];
+
+                if (!in_array($type, $validTypes, true) || $slug === '' || !isset($item['meta']) || !is_array($item['meta'])) {
+                    $entry['action'] = 'invalid';
+                    $entry['reason'] = 'Item needs a valid type, slug and meta';
+                } elseif (isset($seen[$slug])) {
+                    $entry['action'] = 'collision';
+                    $entry['reason'] = 'Slug appears more than once in the bundle';
+                } elseif (isset($existing[$slug])) {
+                    $match = $existing[$slug];
+                    if ($match['type'] === $type) {
+                        $entry['action'] = 'update';
+                        $entry['existing_id'] = $match['id'];
+                    } else {
+                        $entry['action'] = 'collision';
+                        $entry['existing_id'] = $match['id'];
+                        $entry['reason'] = sprintf('Slug is already used by a %s item', $match['type'] ?: 'untyped');
+                    }
+                }
+
+                if ($slug !== '') {
+                    $seen[$slug] = true;
+                }
+
+                $summary[$entry['action']]++;
+                $plan[] = $entry;
+            }
+
+            $sitePartials = $this->getSitePartials();
+            $warnings = $this->findMissingPartials($bundle['items'], $plan, $sitePartials);
+        } catch (\Exception $e) {
+            error_log("FanCoolo Error: Library import preview failed - " . $e->getMessage());
+            return $this->responseFormatter->serverError('Import preview failed: ' . $e->getMessage());
+        }
+
+        return $this->bundleFormatter->success([
+            'summary' => $summary,
+            'items' => $plan,
+            'warnings' => $warnings,
+            // Lets the client resolve references to partials that are not in the bundle
+            'site_partials' => $sitePartials,
+            'source' => [
+                'site_url' => esc_url_raw($bundle['site_url'] ?? ''),
+                'exported_at' => sanitize_text_field($bundle['exported_at'] ?? ''),
+                'plugin_version' => sanitize_text_field($bundle['plugin_version'] ?? ''),
+            ],
+        ]);
+    }
+
+    /**
+     * Build the bundle entry for a single post
+     *
+     * Meta is grouped the same way update_meta operations expect it,
+     * with JSON settings decoded and partial IDs replaced by slugs.
+     */
+    private function exportItem(\WP_Post $post, $pipelineResult, array $slugsById): ?array
+    {
+        $formatted = $this->standardBulkPipeline->formatPostData($post, $pipelineResult, [
+            'applyDatabaseSettingsFormatting' => true,
+        ]);
+
+        $type = $formatted['terms'][0]['slug'] ?? '';
+        $meta = $formatted['meta'];
+        $item = [
+            'type' => $type,
+            'slug' => $post->post_name,
+            'title' => $post->post_title,
+            'status' => $post->post_status,
+            'meta' => [],
+        ];
+
+        switch ($type) {
+            case FunculoTypeTaxonomy::getTermBlocks():
+                $blocks = $meta['blocks'] ?? [];
+                $item['meta']['blocks'] = [
+                    'php' => $blocks['php'] ?? '',
+                    'scss' => $blocks['scss'] ?? '',
+                    'editorScss' => $blocks['editorScss'] ?? '',
+                    'js' => $blocks['js'] ?? '',
+                    // Compiled CSS is restored as-is, the target site has no compiler run to rebuild it
+                    'css' => $blocks['cssContent'] ?? '',
+                    'editor_css' => $blocks['editorCssContent'] ?? '',
+                    'settings' => $this->decodeJson($blocks['settings'] ?? ''),
+                    'inner_blocks_settings' => $this->decodeJson($blocks['inner_blocks_settings'] ?? ''),
+                    'selected_partials' => $this->partialIdsToSlugs($blocks['selected_partials'] ?? '', $slugsById),
+                    'editor_selected_partials' => $this->partialIdsToSlugs($blocks['editor_selected_partials'] ?? '', $slugsById),
+                    'attributes' => array_map(
+                        [$this, 'exportAttribute'],
+                        $pipelineResult->blockAttributes[$post->ID] ?? []
+                    ),
+                ];
+                break;
+
+            case FunculoTypeTaxonomy::getTermSymbols():
+                $item['meta']['symbols'] = [
+                    'php' => $meta['symbols']['php'] ?? '',
+                ];
+                break;
+
+            case FunculoTypeTaxonomy::getTermScssPartials():
+                $partial = $meta['scss_partials'] ?? [];
+                $item['meta']['scss_partials'] = [
+                    'scss' => $partial['scss'] ?? '',
+                    'is_global' => ($partial['is_global'] ?? '0') === '1',
+                    'global_order' => intval($partial['global_order'] ?? 0),
+                ];
+                break;
+
+            default:
+                // Posts without a content type can't be imported anywhere
+                return null;
+        }
+
+        return $item;
+    }
+
+    /**
+     * Convert a stored attribute row into the format BlockAttributesRepository::save accepts
+     */
+    private function exportAttribute(array $row): array
+    {
+        $attribute = [
+            // save() camelCases the name after lowercasing it, so split camelCase words
+            // back apart to get the same attribute name on the target site
+            'name' => preg_replace('/(?<!^)([A-Z])/', ' $1', $row['attribute_name']),
+            'type' => $row['attribute_type'],
+            'order' => intval($row['attribute_order']),
+            'label' => $row['label'] ?? '',
+            'required' => (bool) $row['required'],
+        ];
+
+        $optional = [
+            'placeholder' => 'placeholder',
+            'help_text' => 'help',
+            'default_value' => 'default_value',
+            'validation_pattern' => 'validation_pattern',
+        ];
+        foreach ($optional as $column => $key) {
+            if (isset($row[$column]) && $row[$column] !== '') {
+                $attribute[$key] = $row[$column];
+            }
+        }
+
+        $range = array_filter([
+            'min' => $row['min_value'] ?? null,
+            'max' => $row['max_value'] ?? null,
+            'step' => $row['step_value'] ?? null,
+        ], function($value) { return $value !== null; });
+        if (!empty($range)) {
+            $attribute['range'] = $range;
+        }
+
+        if (!empty($row['options'])) {
+            $attribute['options'] = $row['options'];
+        }
+
+        return $attribute;
+    }
+
+    /**
+     * Find existing library posts by slug
+     *
+     * @param array $slugs Post slugs
+     * @return array Map of slug => ['id' => int, 'type' => string]
+     */
+    private function findExistingBySlug(array $slugs): array
+    {
+        if (empty($slugs)) {
+            return [];
+        }
+
+        $query = new \WP_Query([
+            'post_type' => FunculoPostType::getPostType(),
+            'post_status' => ['publish', 'draft', 'pending', 'private'],
+            'post_name__in' => $slugs,
+            'posts_per_page' => count($slugs),
+            'no_found_rows' => true,
+        ]);
+
+        if (empty($query->posts)) {
+            return [];
+        }
+
+        $postIds = wp_list_pluck($query->posts, 'ID');
+        $allTerms = $this->bulkQueryService->getBulkPostTerms($postIds, FunculoTypeTaxonomy::getTaxonomy());
+
+        $existing = [];
+        foreach ($query->posts as $post) {
+            $existing[$post->post_name] = [
+                'id' => $post->ID,
+                'type' => $allTerms[$post->ID][0]['slug'] ?? '',
+            ];
+        }
+
+        return $existing;
+    }
+
+    /**
+     * Get every SCSS partial on this site
+     *
+     * @return array Map of slug => post ID
+     */
+    private function getSitePartials(): array
+    {
+        $query = new \WP_Query([
+            'post_type' => FunculoPostType::getPostType(),
+            'post_status' => ['publish', 'draft', 'pending', 'private'],
+            'posts_per_page' => -1,
+            'no_found_rows' => true,
+            'tax_query' => [
+                [
+                    'taxonomy' => FunculoTypeTaxonomy::getTaxonomy(),
+                    'field' => 'slug',
+                    'terms' => FunculoTypeTaxonomy::getTermScssPartials()
+                ]
+            ]
+        ]);
+
+        $partials = [];
+        foreach ($query->posts as $post) {
+            $partials[$post->post_name] = $post->ID;
+        }
+
+        return $partials;
+    }
+
+    /**
+     * Warn about blocks referencing partials that neither the bundle nor the site provides
+     */
+    private function findMissingPartials(array $items, array $plan, array $sitePartials): array
+    {
+        $partialType = FunculoTypeTaxonomy::getTermScssPartials();
+        $available = $sitePartials;
+
+        foreach ($plan as $entry) {
+            if ($entry['type'] === $partialType && in_array($entry['action'], ['create', 'update'], true)) {
+                $available[$entry['slug']] = true;
+            }
+        }
+
+        $warnings = [];
+        foreach ($plan as $entry) {
+            if ($entry['type'] !== FunculoTypeTaxonomy::getTermBlocks() || $entry['action'] === 'invalid') {
+                continue;
+            }
+
+            $blocks = $items[$entry['index']]['meta']['blocks'] ?? [];
+            $references = array_merge(
+                (array) ($blocks['selected_partials'] ?? []),
+                (array) ($blocks['editor_selected_partials'] ?? [])
+            );
+
+            foreach (array_unique($references) as $partialSlug) {
+                $partialSlug = sanitize_title((string) $partialSlug);
+                if ($partialSlug !== '' && !isset($available[$partialSlug])) {
+                    $warnings[] = sprintf('Block "%s" uses missing partial "%s"', $entry['slug'], $partialSlug);
+                }
+            }
+        }
+
+        return $warnings;
+    }
+
+    /**
+     * Map a JSON list of partial IDs to partial slugs, dropping deleted partials
+     */
+    private function partialIdsToSlugs($json, array $slugsById): array
+    {
+        $slugs = [];
+        foreach ((array) $this->decodeJson($json, []) as $id) {
+            $id = is_array($id) ? absint($id['id'] ?? 0) : absint($id);
+            if (isset($slugsById[$id])) {
+                $slugs[] = $slugsById[$id];
+            }
+        }
+        return $slugs;
+    }
+
+    /**
+     * Decode a stored JSON string, falling back to a default
+     */
+    private function decodeJson($value, $default = null)
+    {
+        if (is_array($value)) {
+            return $value;
+        }
+        $decoded = is_string($value) && $value !== '' ? json_decode($value, true) : null;
+        return $decoded ?? $default;
+    }
+}
@@ -97,6 +97,11 @@ class PostsApiController extends BaseApiController
                         'default' => 'publish',
                         'sanitize_callback' => 'sanitize_text_field'
                     ],
+                    'slug' => [
+                        'type' => 'string',
+                        'required' => false,
+                        'sanitize_callback' => 'sanitize_title'
+                    ],
                 ],
             ]
         ]);
@@ -133,6 +138,11 @@ class PostsApiController extends BaseApiController
                             return !empty(trim($param)) && strlen($param) <= 255;
                         }
                     ],
+                    'expected_revision' => [
+                        'type' => 'string',
+                        'required' => false,
+                        'sanitize_callback' => 'sanitize_key',
+                    ],
                 ],
             ],
             [
@@ -243,6 +253,8 @@ class PostsApiController extends BaseApiController
 
         // Format the meta data
         $formattedMeta = $this->bulkQueryService->formatPostMeta($postMeta, $postTerms);
+        // Hashed from fresh meta - the bulk meta above may come from the query cache
+        $revisionHash = $this->revisionHashService->hashForPost($post->ID);
 
         // Load block settings from database if this is a block
         $isBlock = false;
@@ -263,7 +275,10 @@ class PostsApiController extends BaseApiController
                     'category' => $dbSettings['category'],
                     'description' => $dbSettings['description'],
                     'icon' => $dbSettings['icon'],
-                    'viewScriptModule' => $dbSettings['view_script_module']
+                    'viewScriptModule' => $dbSettings['view_script_module'],
+                    'scopedStyles' => $dbSettings['scoped_styles'],
+                    'allowedTags' => $dbSettings['allowed_html_tags'],
+                    'allowedAttributes' => $dbSettings['allowed_html_attributes']
                 ];
 
                 // Format inner blocks settings
@@ -310,6 +325,7 @@ class PostsApiController extends BaseApiController
             'terms' => $postTerms,
             'edit_url' => get_edit_post_link($post->ID),
             'meta' => $formattedMeta,
+            'revision_hash' => $revisionHash,
         ];
 
         return $this->responseFormatter->item($postData, []);
@@ -320,6 +336,7 @@ class PostsApiController extends BaseApiController
         $title = $request->get_param('title');
         $taxonomyTerm = $request->get_param('taxonomy_term');
         $status = $request->get_param('status') ?? 'publish';
+        $slug = $request->get_param('slug');
 
         // Create the post
         $postData = [
@@ -329,6 +346,11 @@ class PostsApiController extends BaseApiController
             'post_author' => get_current_user_id(),
         ];
 
+        // Imported items keep their original slug so references between them still match
+        if (!empty($slug)) {
+            $postData['post_name'] = $slug;
+        }
+
         $postId = wp_insert_post($postData);
 
         if (is_wp_error($postId)) {
@@ -395,7 +417,10 @@ class PostsApiController extends BaseApiController
                 'category' => $defaultSettings['category'],
                 'description' => $defaultSettings['description'],
                 'icon' => $defaultSettings['icon'],
-                'viewScriptModule' => false // Default to classic script for new blocks
+                'viewScriptModule' => false, // Default to classic script for new blocks
+                'scopedStyles' => false,
+                'allowedTags' => [],
+                'allowedAttributes' => []
             ];
 
             // Format inner blocks settings
@@ -425,6 +450,7 @@ class PostsApiController extends BaseApiController
             'terms' => $postTerms,
             'edit_url' => get_edit_post_link($post->ID),
             'meta' => $formattedMeta,
+            'revision_hash' => $this->revisionHashService->hashForPost($post->ID),
         ]);
     }
 
@@ -442,6 +468,12 @@ class PostsApiController extends BaseApiController
             $title = $request->get_param('title');
             $meta = $request->get_param('meta');
 
+            // Reject saves based on content that changed since the client loaded it
+            $conflict = $this->revisionHashService->findConflict(absint($postId), $request->get_param('expected_revision'));
+            if ($conflict) {
+                return $this->responseFormatter->conflict('Post was modified by someone else since it was loaded', $conflict);
+            }
+
             // Update title if provided
             if (!empty($title)) {
                 wp_update_post([
@@ -529,6 +561,7 @@ class PostsApiController extends BaseApiController
                 'terms' => $postTerms,
                 'edit_url' => get_edit_post_link($post->ID),
                 'meta' => $formattedMeta,
+                'revision_hash' => $this->revisionHashService->hashForPost($post->ID),
             ];
 
             return $this->responseFormatter->updated($postData, []);
@@ -107,6 +107,28 @@ class PostsBatchApiController extends BaseApiController
             return $this->responseFormatter->validationError(['updates' => 'Updates array is required']);
         }
 
+        // Check every revision up front so a stale update doesn't leave the batch half applied
+        $conflicts = [];
+        foreach ($updates as $update) {
+            if (!is_array($update) || !isset($update['post_id'])) {
+                continue;
+            }
+            $conflict = $this->revisionHashService->findConflict(
+                absint($update['post_id']),
+                isset($update['expected_revision']) ? sanitize_key($update['expected_revision']) : null
+            );
+            if ($conflict) {
+                $conflicts[] = $conflict;
+            }
+        }
+
+        if (!empty($conflicts)) {
+            return $this->responseFormatter->conflict(
+                'One or more posts were modified by someone else since they were loaded',
+                array_merge($conflicts[0], ['conflicts' => $conflicts])
+            );
+        }
+
         $results = [
             'successful' => [],
             'failed' => [],
@@ -185,6 +207,7 @@ class PostsBatchApiController extends BaseApiController
                     'status' => $updatedPost->post_status,
                     'terms' => $postTerms,
                     'meta' => $formattedMeta,
+                    'revision_hash' => $this->revisionHashService->hashForPost($postId),
                 ];
 
                 $results['successful'][] = $formattedPost;
@@ -8,6 +8,7 @@ use FanCoolo\Admin\Api\Services\MetaKeysConstants;
 use FanCoolo\Database\BlockAttributesRepository;
 use FanCoolo\Database\BlockSettingsRepository;
 use FanCoolo\Database\ScssPartialsSettingsRepository;
+use FanCoolo\Helpers\HtmlAllowlist;
 
 /**
  * Posts Operations API Controller - Bulk Operations
@@ -123,6 +124,9 @@ class PostsOperationsApiController extends BaseApiController
                 if (isset($data['meta']) && is_array($data['meta'])) {
                     $sanitized['meta'] = $this->sanitizeNestedMeta($data['meta']);
                 }
+                if (isset($data['expected_revision'])) {
+                    $sanitized['expected_revision'] = $service->sanitizeText($data['expected_revision'], 'key');
+                }
                 break;
 
             default:
@@ -148,6 +152,21 @@ class PostsOperationsApiController extends BaseApiController
             // Operations are already sanitized by route args
             $operations = $request->get_param('operations');
 
+            // Reject the whole batch if a meta update is based on stale content,
+            // otherwise the follow-up operations would run against the other user's version
+            foreach ($operations as $operation) {
+                if (($operation['type'] ?? '') !== 'update_meta' || empty($operation['data']['post_id'])) {
+                    continue;
+                }
+                $conflict = $this->revisionHashService->findConflict(
+                    absint($operation['data']['post_id']),
+                    $operation['data']['expected_revision'] ?? null
+                );
+                if ($conflict) {
+                    return $this->responseFormatter->conflict('Post was modified by someone else since it was loaded', $conflict);
+                }
+            }
+
             $results = [
                 'successful' => [],
                 'failed' => [],
@@ -265,7 +284,11 @@ class PostsOperationsApiController extends BaseApiController
                     throw new \Exception('Post ID and meta data required for update_meta operation');
                 }
                 $this->updatePostMeta($data['post_id'], $data['meta']);
-                return ['post_id' => $data['post_id'], 'updated' => true];
+                return [
+                    'post_id' => $data['post_id'],
+                    'updated' => true,
+                    'revision_hash' => $this->revisionHashService->hashForPost(absint($data['post_id'])),
+                ];
 
             case 'regenerate_files':
                 if (!isset($data['post_id'])) {
@@ -332,6 +355,9 @@ class PostsOperationsApiController extends BaseApiController
                     $dbSettings['description'] = $settingsData['description'] ?? null;
                     $dbSettings['icon'] = $settingsData['icon'] ?? null;
                     $dbSettings['view_script_module'] = $settingsData['viewScriptModule'] ?? false;
+                    $dbSettings['scoped_styles'] = $settingsData['scopedStyles'] ?? false;
+                    $dbSettings['allowed_html_tags'] = HtmlAllowlist::parse($settingsData['allowedTags'] ?? [], 'tags');
+                    $dbSettings['allowed_html_attributes'] = HtmlAllowlist::parse($settingsData['allowedAttributes'] ?? [], 'attributes');
                 }
             }
 
@@ -30,6 +30,21 @@ class PostsQueryApiController extends BaseApiController
             'permission_callback' => [$this, 'checkPermissions'],
         ]);
 
+        // Get several posts with related data in one request (client side request coalescing)
+        register_rest_route('funculo/v1', '/posts/with-related/batch', [
+            'methods' => 'POST',
+            'callback' => [$this, 'getBatchPostsWithRelated'],
+            'permission_callback' => [$this, 'checkPermissions'],
+            'args' => [
+                'post_ids' => [
+                    'required' => true,
+                    'validate_callback' => function($param) {
+                        return is_array($param) && !empty($param) && count($param) <= 50;
+                    }
+                ],
+            ]
+        ]);
+
         // Get partial usage info (which blocks use this partial)
         register_rest_route('funculo/v1', '/partial/(?P<id>\d+)/usage', [
             'methods' => 'GET',
@@ -51,6 +66,76 @@ class PostsQueryApiController extends BaseApiController
         // Execute standardized bulk pipeline for single post
         $pipelineResult = $this->standardBulkPipeline->executeSinglePostPipeline($post->ID);
 
+        $blockRelated = null;
+        $result = $this->buildPostWithRelated($post, $pipelineResult, $blockRelated);
+
+        // Log performance
+        $this->bulkQueryService->logPerformance('getPostWithRelated', 1, $startTime);
+
+        $performanceData = [
+            'duration_ms' => round((microtime(true) - $startTime) * 1000, 2),
+        ];
+
+        return $this->responseFormatter->success($result, ['performance' => $performanceData]);
+    }
+
+    /**
+     * Get several posts with their related data
+     *
+     * Same payload as /post/{id}/with-related for each post, with a single
+     * bulk pipeline run and the shared block data (partials, categories)
+     * built only once.
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function getBatchPostsWithRelated($request)
+    {
+        $startTime = microtime(true);
+        $postIds = array_values(array_unique(array_map('intval', $request->get_param('post_ids'))));
+
+        $posts = get_posts([
+            'post_type' => FunculoPostType::getPostType(),
+            'post__in' => $postIds,
+            'post_status' => 'any',
+            'numberposts' => count($postIds),
+            'orderby' => 'post__in',
+        ]);
+
+        $pipelineResult = $this->standardBulkPipeline->executeBulkPipeline(wp_list_pluck($posts, 'ID'));
+
+        $items = [];
+        $blockRelated = null;
+        foreach ($posts as $post) {
+            $items[] = $this->buildPostWithRelated($post, $pipelineResult, $blockRelated);
+        }
+
+        $notFound = array_values(array_diff($postIds, wp_list_pluck($posts, 'ID')));
+
+        $this->bulkQueryService->logPerformance('getBatchPostsWithRelated', count($posts), $startTime);
+
+        return $this->responseFormatter->success([
+            'items' => $items,
+            'not_found' => $notFound,
+        ], [
+            'performance' => [
+                'duration_ms' => round((microtime(true) - $startTime) * 1000, 2),
+                'requested_count' => count($postIds),
+                'found_count' => count($posts),
+            ],
+        ]);
+    }
+
+    /**
+     * Build the post + related payload for one post
+     *
+     * @param \WP_Post $post
+     * @param \FanCoolo\Admin\Api\Services\BulkPipelineResult $pipelineResult Pipeline result containing the post
+     * @param array|null $blockRelated Related data shared by all blocks, filled on first use
+     * @return array ['post' => array, 'related' => array]
+     */
+    private function buildPostWithRelated($post, $pipelineResult, &$blockRelated): array
+    {
         // Format post data with standardized formatting
         $formatOptions = [
             'applyDatabaseSettingsFormatting' => true,
@@ -67,7 +152,6 @@ class PostsQueryApiController extends BaseApiController
         $needsRecompile = get_post_meta($post->ID, '_funculo_scss_needs_recompile', true);
         if ($needsRecompile) {
             $postData['meta']['_funculo_scss_needs_recompile'] = $needsRecompile;
-            error_log("🔔 [PostsQueryApiController] Added recompile flag to response for post $postId: $needsRecompile");
         }
 
         // Add related data based on post type
@@ -77,23 +161,10 @@ class PostsQueryApiController extends BaseApiController
         foreach ($postTerms as $term) {
             switch ($term['slug']) {
                 case FunculoTypeTaxonomy::getTermBlocks():
-                    // Get SCSS partials for blocks
-                    $scssController = new ScssCompilerApiController();
-                    $partialsRequest = new \WP_REST_Request('GET', '/funculo/v1/scss-partials');
-                    $partialsResponse = $scssController->getScssPartials($partialsRequest);
-
-                    if (!is_wp_error($partialsResponse)) {
-                        $relatedData['scss_partials'] = $partialsResponse->get_data();
-                    }
-
-                    // Get block categories
-                    $categoriesController = new BlockCategoriesApiController();
-                    $categoriesRequest = new \WP_REST_Request('GET', '/funculo/v1/block-categories');
-                    $categoriesResponse = $categoriesController->getBlockCategories($categoriesRequest);
-
-                    if (!is_wp_error($categoriesResponse)) {
-                        $relatedData['block_categories'] = $categoriesResponse->get_data();
+                    if ($blockRelated === null) {
+                        $blockRelated = $this->getBlockRelatedData();
                     }
+                    $relatedData = array_merge($relatedData, $blockRelated);
                     break;
 
                 case FunculoTypeTaxonomy::getTermScssPartials():
@@ -116,17 +187,40 @@ class PostsQueryApiController extends BaseApiController
             }
         }
 
-        // Log performance
-        $this->bulkQueryService->logPerformance('getPostWithRelated', 1, $startTime);
-
-        $performanceData = [
-            'duration_ms' => round((microtime(true) - $startTime) * 1000, 2),
-        ];
-
-        return $this->responseFormatter->success([
+        return [
             'post' => $postData,
             'related' => $relatedData,
-        ], ['performance' => $performanceData]);
+        ];
+    }
+
+    /**
+     * Related data every block needs: SCSS partials and block categories
+     *
+     * @return array
+     */
+    private function getBlockRelatedData(): array
+    {
+        $relatedData = [];
+
+        // Get SCSS partials for blocks
+        $scssController = new ScssCompilerApiController();
+        $partialsRequest = new \WP_REST_Request('GET', '/funculo/v1/scss-partials');
+        $partialsResponse = $scssController->getScssPartials($partialsRequest);
+
+        if (!is_wp_error($partialsResponse)) {
+            $relatedData['scss_partials'] = $partialsResponse->get_data();
+        }
+
+        // Get block categories
+        $categoriesController = new BlockCategoriesApiController();
+        $categoriesRequest = new \WP_REST_Request('GET', '/funculo/v1/block-categories');
+        $categoriesResponse = $categoriesController->getBlockCategories($categoriesRequest);
+
+        if (!is_wp_error($categoriesResponse)) {
+            $relatedData['block_categories'] = $categoriesResponse->get_data();
+        }
+
+        return $relatedData;
     }
 
     /**
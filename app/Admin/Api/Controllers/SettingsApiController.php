@@ -0,0 +1,68 @@
+<?php
+
+namespace FanCoolo\Admin\Api\Controllers;
+
+use FanCoolo\Admin\Api\Services\PluginSettings;
+
+/**
+ * Settings API Controller
+ *
+ * Reads and updates the plugin-wide settings (see PluginSettings)
+ */
+class SettingsApiController extends BaseApiController
+{
+    public function registerRoutes()
+    {
+        register_rest_route('funculo/v1', '/settings', [
+            [
+                'methods' => 'GET',
+                'callback' => [$this, 'getSettings'],
+                'permission_callback' => [$this, 'checkPermissions'],
+            ],
+            [
+                'methods' => 'POST',
+                'callback' => [$this, 'updateSettings'],
+                'permission_callback' => [$this, 'checkManagePermissions'],
+            ],
+        ]);
+    }
+
+    /**
+     * Settings affect every block, so changing them needs manage_options
+     */
+    public function checkManagePermissions()
+    {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get all settings
+     *
+     * @return \WP_REST_Response
+     */
+    public function getSettings()
+    {
+        return $this->responseFormatter->success(PluginSettings::get());
+    }
+
+    /**
+     * Update some settings - the body holds only the changed groups/keys
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function updateSettings($request)
+    {
+        $changes = $request->get_json_params();
+        if (!is_array($changes)) {
+            return $this->responseFormatter->error('invalid_settings', 'Expected a settings object', 400);
+        }
+
+        $settings = PluginSettings::update($changes);
+        if (is_wp_error($settings)) {
+            return $settings;
+        }
+
+        return $this->responseFormatter->success($settings);
+    }
+}
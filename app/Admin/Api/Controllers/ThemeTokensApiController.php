@@ -0,0 +1,32 @@
+<?php
+
+namespace FanCoolo\Admin\Api\Controllers;
+
+use FanCoolo\Admin\Api\Services\ThemeTokens;
+
+/**
+ * Theme Tokens API Controller
+ *
+ * Design tokens of the active theme.json (see ThemeTokens)
+ */
+class ThemeTokensApiController extends BaseApiController
+{
+    public function registerRoutes()
+    {
+        register_rest_route('funculo/v1', '/theme-tokens', [
+            'methods' => 'GET',
+            'callback' => [$this, 'getThemeTokens'],
+            'permission_callback' => [$this, 'checkPermissions'],
+        ]);
+    }
+
+    /**
+     * Get the tokens of the active theme
+     *
+     * @return \WP_REST_Response
+     */
+    public function getThemeTokens()
+    {
+        return $this->responseFormatter->success(ThemeTokens::get());
+    }
+}
@@ -337,11 +337,12 @@ class ApiResponseFormatter
      * Format conflict response
      *
      * @param string $message Conflict description
+     * @param array $additionalData Extra error data (e.g. the current server state)
      * @return WP_Error
      */
-    public function conflict(string $message): WP_Error
+    public function conflict(string $message, array $additionalData = []): WP_Error
     {
-        return $this->error('conflict', $message, 409);
+        return $this->error('conflict', $message, 409, $additionalData);
     }
 
     /**
@@ -0,0 +1,221 @@
+<?php
+
+namespace FanCoolo\Admin\Api\Services;
+
+use FanCoolo\Helpers\HtmlAllowlist;
+
+/**
+ * Plugin-wide settings stored in a single option
+ *
+ * Settings are grouped by feature. Every group has defaults, and stored
+ * values are merged over them, so new settings work without a migration.
+ * Keys are camelCase because the admin app reads them as-is.
+ */
+class PluginSettings
+{
+    const OPTION = 'fancoolo_settings';
+
+    const CSS_OUTPUT_STYLES = ['expanded', 'production'];
+
+    const LINT_SEVERITIES = ['off', 'warning', 'error'];
+
+    /**
+     * Default value of every setting, per group
+     *
+     * @return array
+     */
+    public static function defaults(): array
+    {
+        return [
+            'cssProcessing' => [
+                // Add vendor prefixes for the browsers in `targets`
+                'autoprefix' => false,
+                // Browserslist query, e.g. "> 0.5%, last 2 versions, not dead"
+                'targets' => 'defaults',
+                // "production" minifies the compiled CSS
+                'output' => 'expanded',
+            ],
+            'blockRenderer' => [
+                // Extra tags and attributes the editor preview keeps for every
+                // block, comma-separated (see HtmlAllowlist)
+                'allowedTags' => '',
+                'allowedAttributes' => '',
+            ],
+            'scssLint' => [
+                'enabled' => true,
+                // Refuse to save while a rule set to "error" is violated
+                'blockSave' => false,
+                'maxNestingDepth' => 3,
+                'maxImportant' => 2,
+                // Rule => severity (see src/utils/scssLint.js)
+                'rules' => [
+                    'unscoped-selector' => 'warning',
+                    'important' => 'warning',
+                    'unknown-property' => 'warning',
+                    'duplicate-selector' => 'warning',
+                    'nesting-depth' => 'warning',
+                    'hardcoded-color' => 'warning',
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Get all settings merged over the defaults
+     *
+     * @return array
+     */
+    public static function get(): array
+    {
+        $stored = get_option(self::OPTION, []);
+        $settings = self::defaults();
+
+        if (!is_array($stored)) {
+            return $settings;
+        }
+
+        foreach ($settings as $group => $values) {
+            if (isset($stored[$group]) && is_array($stored[$group])) {
+                $settings[$group] = self::merge($values, $stored[$group]);
+            }
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Merge stored values over defaults, one level of nested arrays deep,
+     * ignoring keys the defaults don't have
+     *
+     * @param array $defaults Default values
+     * @param array $stored Stored values
+     * @return array
+     */
+    private static function merge(array $defaults, array $stored): array
+    {
+        $merged = array_merge($defaults, array_intersect_key($stored, $defaults));
+
+        foreach ($defaults as $key => $value) {
+            if (is_array($value) && isset($stored[$key]) && is_array($stored[$key])) {
+                $merged[$key] = array_merge($value, array_intersect_key($stored[$key], $value));
+            } elseif (is_array($value)) {
+                $merged[$key] = $value;
+            }
+        }
+
+        return $merged;
+    }
+
+    /**
+     * Update some settings
+     *
+     * @param array $changes Partial settings, grouped like defaults()
+     * @return array|\WP_Error All settings after the update, or the validation errors
+     */
+    public static function update(array $changes)
+    {
+        $settings = self::get();
+        $errors = [];
+
+        foreach ($changes as $group => $values) {
+            if (!isset($settings[$group]) || !is_array($values)) {
+                $errors[$group] = 'Unknown settings group';
+                continue;
+            }
+
+            foreach ($values as $key => $value) {
+                if (!array_key_exists($key, $settings[$group])) {
+                    $errors["{$group}.{$key}"] = 'Unknown setting';
+                    continue;
+                }
+
+                $sanitized = self::sanitize($group, $key, $value);
+                if ($sanitized instanceof \WP_Error) {
+                    $errors["{$group}.{$key}"] = $sanitized->get_error_message();
+                    continue;
+                }
+
+                // Nested settings (lint rules) can be updated one entry at a time
+                $settings[$group][$key] = is_array($sanitized)
+                    ? array_merge($settings[$group][$key], $sanitized)
+                    : $sanitized;
+            }
+        }
+
+        if (!empty($errors)) {
+            return new \WP_Error('invalid_settings', 'Invalid settings', [
+                'status' => 400,
+                'validation_errors' => $errors,
+            ]);
+        }
+
+        update_option(self::OPTION, $settings, false);
+
+        return $settings;
+    }
+
+    /**
+     * Sanitize a single setting
+     *
+     * @param string $group Settings group
+     * @param string $key Setting key
+     * @param mixed $value Submitted value
+     * @return mixed|\WP_Error Sanitized value
+     */
+    private static function sanitize(string $group, string $key, $value)
+    {
+        $setting = "{$group}.{$key}";
+
+        switch ($setting) {
+            case 'cssProcessing.autoprefix':
+                return (bool) $value;
+
+            case 'cssProcessing.targets':
+                $targets = trim(sanitize_text_field((string) $value));
+                return $targets === '' ? 'defaults' : $targets;
+
+            case 'cssProcessing.output':
+                if (!in_array($value, self::CSS_OUTPUT_STYLES, true)) {
+                    return new \WP_Error('invalid_setting', 'Must be one of: ' . implode(', ', self::CSS_OUTPUT_STYLES));
+                }
+                return $value;
+
+            case 'blockRenderer.allowedTags':
+            case 'blockRenderer.allowedAttributes':
+                $type = $key === 'allowedTags' ? 'tags' : 'attributes';
+                $invalid = HtmlAllowlist::findInvalid((string) $value, $type);
+                if (!empty($invalid)) {
+                    return new \WP_Error('invalid_setting', 'Not allowed: ' . implode(', ', $invalid));
+                }
+                return implode(', ', HtmlAllowlist::parse((string) $value, $type));
+
+            case 'scssLint.enabled':
+            case 'scssLint.blockSave':
+                return (bool) $value;
+
+            case 'scssLint.maxNestingDepth':
+            case 'scssLint.maxImportant':
+                if (!is_numeric($value) || (int) $value < 0 || (int) $value > 20) {
+                    return new \WP_Error('invalid_setting', 'Must be a number from 0 to 20');
+                }
+                return (int) $value;
+
+            case 'scssLint.rules':
+                $rules = self::defaults()['scssLint']['rules'];
+                if (!is_array($value)) {
+                    return new \WP_Error('invalid_setting', 'Expected an object of rule severities');
+                }
+                foreach ($value as $rule => $severity) {
+                    if (!array_key_exists($rule, $rules)) {
+                        return new \WP_Error('invalid_setting', "Unknown rule: {$rule}");
+                    }
+                    if (!in_array($severity, self::LINT_SEVERITIES, true)) {
+                        return new \WP_Error('invalid_setting', 'Severity must be one of: ' . implode(', ', self::LINT_SEVERITIES));
+                    }
+                }
+                return $value;
+        }
+
+        return $value;
+    }
+}
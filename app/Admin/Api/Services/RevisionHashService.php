@@ -0,0 +1,150 @@
+<?php
+
+namespace FanCoolo\Admin\Api\Services;
+
+use FanCoolo\Content\FunculoTypeTaxonomy;
+
+/**
+ * Revision Hash Service for optimistic concurrency
+ *
+ * Every post payload carries a hash of its editable content. Clients send the
+ * hash they loaded back with each save, and a save is rejected when the post
+ * changed in between. A content hash is used instead of post_modified because
+ * meta-only saves never touch the post's modified date.
+ */
+class RevisionHashService
+{
+    /**
+     * Editable meta fields that make up a post revision, per content type
+     */
+    const TRACKED_FIELDS = [
+        'blocks' => ['php', 'scss', 'editorScss', 'js', 'attributes'],
+        'symbols' => ['php'],
+        'scss_partials' => ['scss'],
+    ];
+
+    private $bulkQueryService;
+
+    public function __construct(BulkQueryService $bulkQueryService)
+    {
+        $this->bulkQueryService = $bulkQueryService;
+    }
+
+    /**
+     * Hash the tracked fields of already formatted post meta
+     *
+     * @param array $formattedMeta Meta grouped by content type (see BulkQueryService::formatPostMeta)
+     * @return string Revision hash
+     */
+    public function hashFromMeta(array $formattedMeta): string
+    {
+        return md5(wp_json_encode($this->extractTrackedFields($formattedMeta)));
+    }
+
+    /**
+     * Hash the current stored content of a post
+     * Reads meta directly so the result is never served from the bulk query cache
+     *
+     * @param int $postId Post ID
+     * @return string Revision hash
+     */
+    public function hashForPost(int $postId): string
+    {
+        return $this->hashFromMeta($this->getCurrentMeta($postId));
+    }
+
+    /**
+     * Get the tracked fields of the current stored content of a post
+     *
+     * @param int $postId Post ID
+     * @return array Tracked meta grouped by content type
+     */
+    public function getTrackedContent(int $postId): array
+    {
+        return $this->extractTrackedFields($this->getCurrentMeta($postId));
+    }
+
+    /**
+     * Compare the revision a client based its edit on with the stored one
+     *
+     * @param int $postId Post ID
+     * @param string|null $expectedRevision Revision hash sent by the client
+     * @return array|null Conflict details, or null when the save may proceed
+     */
+    public function findConflict(int $postId, ?string $expectedRevision): ?array
+    {
+        // Clients that don't send a revision keep the old last-write-wins behaviour
+        if (empty($expectedRevision)) {
+            return null;
+        }
+
+        $currentRevision = $this->hashForPost($postId);
+        if (hash_equals($currentRevision, $expectedRevision)) {
+            return null;
+        }
+
+        $post = get_post($postId);
+
+        return [
+            'post_id' => $postId,
+            'expected_revision' => $expectedRevision,
+            'current_revision' => $currentRevision,
+            'post' => [
+                'id' => $postId,
+                'title' => $post ? $post->post_title : '',
+                'modified' => $post ? $post->post_modified : '',
+                'revision_hash' => $currentRevision,
+                'meta' => $this->getTrackedContent($postId),
+            ],
+        ];
+    }
+
+    /**
+     * Build formatted meta for a post straight from the meta table
+     *
+     * @param int $postId Post ID
+     * @return array Formatted meta grouped by content type
+     */
+    private function getCurrentMeta(int $postId): array
+    {
+        $terms = wp_get_object_terms($postId, FunculoTypeTaxonomy::getTaxonomy());
+        if (is_wp_error($terms)) {
+            $terms = [];
+        }
+
+        $postTerms = array_map(function ($term) {
+            return ['id' => $term->term_id, 'slug' => $term->slug, 'name' => $term->name];
+        }, $terms);
+
+        $postMeta = [];
+        foreach ($this->bulkQueryService->getOptimizedMetaKeys([$postId => $postTerms]) as $metaKey) {
+            $postMeta[$metaKey] = get_post_meta($postId, $metaKey, true);
+        }
+
+        return $this->bulkQueryService->formatPostMeta($postMeta, $postTerms);
+    }
+
+    /**
+     * Reduce formatted meta to the tracked fields only
+     *
+     * @param array $formattedMeta Formatted meta
+     * @return array Tracked fields grouped by content type
+     */
+    private function extractTrackedFields(array $formattedMeta): array
+    {
+        $tracked = [];
+
+        foreach (self::TRACKED_FIELDS as $section => $fields) {
+            if (!isset($formattedMeta[$section]) || !is_array($formattedMeta[$section])) {
+                continue;
+            }
+
+            foreach ($fields as $field) {
+                $value = $formattedMeta[$section][$field] ?? '';
+                $tracked[$section][$field] = is_scalar($value) ? (string) $value : wp_json_encode($value);
+            }
+        }
+
+        return $tracked;
+    }
+}
@@ -21,10 +21,12 @@ use FanCoolo\Database\BlockAttributesRepository;
 class StandardBulkPipeline
 {
     private $bulkQueryService;
+    private $revisionHashService;
 
     public function __construct(BulkQueryService $bulkQueryService)
     {
         $this->bulkQueryService = $bulkQueryService;
+        $this->revisionHashService = new RevisionHashService($bulkQueryService);
     }
 
     /**
@@ -167,6 +169,9 @@ class StandardBulkPipeline
         // Format the meta data using BulkQueryService
         $formattedMeta = $this->bulkQueryService->formatPostMeta($postMeta, $postTerms);
 
+        // Hashed from fresh meta - the bulk meta may come from the query cache
+        $revisionHash = $this->revisionHashService->hashForPost($postId);
+
         // Apply database settings formatting (for legacy compatibility)
         if ($options['applyDatabaseSettingsFormatting'] ?? false) {
             $formattedMeta = $this->applyDatabaseSettingsFormatting(
@@ -184,6 +189,7 @@ class StandardBulkPipeline
             'status' => $post->post_status,
             'terms' => $postTerms,
             'meta' => $formattedMeta,
+            'revision_hash' => $revisionHash,
         ];
 
         // Add additional fields if requested
@@ -237,7 +243,10 @@ class StandardBulkPipeline
                 'category' => $dbSettings['category'],
                 'description' => $dbSettings['description'],
                 'icon' => $dbSettings['icon'],
-                'viewScriptModule' => $dbSettings['view_script_module']
+                'viewScriptModule' => $dbSettings['view_script_module'],
+                'scopedStyles' => $dbSettings['scoped_styles'],
+                'allowedTags' => $dbSettings['allowed_html_tags'],
+                'allowedAttributes' => $dbSettings['allowed_html_attributes']
             ];
 
             // Format inner blocks settings
@@ -0,0 +1,111 @@
+<?php
+
+namespace FanCoolo\Admin\Api\Services;
+
+/**
+ * Design tokens of the active theme, read from its theme.json
+ *
+ * The admin app turns them into the read-only "theme tokens" SCSS partial
+ * (see src/utils/themeTokens.js). They are read from the merged global
+ * settings on every request, so switching the theme or editing global
+ * styles changes them right away. `hash` changes whenever they do.
+ */
+class ThemeTokens
+{
+    /**
+     * Token group => [path in the global settings, preset value key, custom property prefix]
+     */
+    const GROUPS = [
+        'colors' => [['color', 'palette'], 'color', '--wp--preset--color--'],
+        'fontSizes' => [['typography', 'fontSizes'], 'size', '--wp--preset--font-size--'],
+        'spacing' => [['spacing', 'spacingSizes'], 'size', '--wp--preset--spacing--'],
+    ];
+
+    /**
+     * Presets are merged in this order, so user changes win over the theme
+     */
+    const ORIGINS = ['default', 'theme', 'custom'];
+
+    /**
+     * Get the tokens of the active theme
+     *
+     * @return array { theme, hash, colors, fontSizes, spacing } where every
+     *               group lists { slug, name, value, property }
+     */
+    public static function get(): array
+    {
+        $settings = function_exists('wp_get_global_settings') ? wp_get_global_settings() : [];
+
+        $tokens = [
+            'theme' => function_exists('get_stylesheet') ? get_stylesheet() : '',
+        ];
+
+        foreach (self::GROUPS as $group => [$path, $valueKey, $prefix]) {
+            $presets = $settings;
+            foreach ($path as $key) {
+                $presets = is_array($presets) && isset($presets[$key]) ? $presets[$key] : [];
+            }
+
+            $tokens[$group] = self::presets($presets, $valueKey, $prefix);
+        }
+
+        $tokens['hash'] = md5(wp_json_encode($tokens));
+
+        return $tokens;
+    }
+
+    /**
+     * Flatten presets of all origins into one list, keyed by slug
+     *
+     * @param array $presets Origin => presets, or a plain list of presets
+     * @param string $valueKey Key of the preset value ("color", "size")
+     * @param string $prefix Custom property prefix
+     * @return array
+     */
+    private static function presets(array $presets, string $valueKey, string $prefix): array
+    {
+        // Without origins (older WordPress) the list is the theme's own
+        $byOrigin = array_intersect_key($presets, array_flip(self::ORIGINS)) ?: ['theme' => $presets];
+        $tokens = [];
+
+        foreach (self::ORIGINS as $origin) {
+            if (empty($byOrigin[$origin]) || !is_array($byOrigin[$origin])) {
+                continue;
+            }
+
+            foreach ($byOrigin[$origin] as $preset) {
+                if (!is_array($preset) || empty($preset['slug']) || !isset($preset[$valueKey])) {
+                    continue;
+                }
+                if (!is_scalar($preset[$valueKey])) {
+                    continue;
+                }
+
+                $slug = self::toKebabCase((string) $preset['slug']);
+                $tokens[$slug] = [
+                    'slug' => $slug,
+                    'name' => isset($preset['name']) ? (string) $preset['name'] : $slug,
+                    'value' => (string) $preset[$valueKey],
+                    'property' => $prefix . $slug,
+                ];
+            }
+        }
+
+        return array_values($tokens);
+    }
+
+    /**
+     * Slug as WordPress writes it in preset custom property names
+     *
+     * @param string $slug
+     * @return string
+     */
+    private static function toKebabCase(string $slug): string
+    {
+        if (function_exists('_wp_to_kebab_case')) {
+            return _wp_to_kebab_case($slug);
+        }
+
+        return trim(preg_replace('/[^a-z0-9]+/', '-', strtolower($slug)), '-');
+    }
+}
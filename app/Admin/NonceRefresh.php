@@ -0,0 +1,40 @@
+<?php
+
+namespace FanCoolo\Admin;
+
+/**
+ * Hands out fresh REST nonces to the admin app
+ *
+ * An admin tab left open past the nonce lifetime gets 403 rest_cookie_invalid_nonce
+ * on every request. The REST API can't issue a new nonce itself (cookie auth
+ * needs a valid nonce), so the app asks admin-ajax, which only needs the
+ * login cookie. Logged-out users get a 401 so the app can prompt for login.
+ */
+class NonceRefresh
+{
+    public const ACTION = 'fancoolo_refresh_nonce';
+
+    public function __construct()
+    {
+        if (function_exists('add_action')) {
+            add_action('wp_ajax_' . self::ACTION, [$this, 'refresh']);
+            add_action('wp_ajax_nopriv_' . self::ACTION, [$this, 'sessionExpired']);
+        }
+    }
+
+    public function refresh(): void
+    {
+        wp_send_json_success([
+            'nonce' => wp_create_nonce('wp_rest'),
+        ]);
+    }
+
+    public function sessionExpired(): void
+    {
+        wp_send_json_error([
+            'code' => 'session_expired',
+            'loggedOut' => true,
+            'message' => 'Your WordPress session has ended. Please log in again.',
+        ], 401);
+    }
+}
@@ -3,6 +3,7 @@
 namespace FanCoolo;
 
 use FanCoolo\Admin\SettingsPage;
+use FanCoolo\Admin\NonceRefresh;
 use FanCoolo\Admin\Api\Api;
 // Removed complex hot reload API controllers
 use FanCoolo\Content\FunculoPostType;
@@ -127,6 +128,7 @@ class App
     public function initializeAdmin(): void
     {
         new SettingsPage();
+        new NonceRefresh();
         new MetaBoxHelper();
         new WindenIntegrationService();
         new CoreFrameworkIntegrationService();
@@ -76,6 +76,11 @@ class BlockSettingsRepository extends AbstractBulkRepository
             $row['template'] = [];
         }
 
+        // Convert the block renderer allowlists from comma-separated to arrays
+        foreach (['allowed_html_tags', 'allowed_html_attributes'] as $column) {
+            $row[$column] = !empty($row[$column]) ? explode(',', $row[$column]) : [];
+        }
+
         // Convert selected_partials from JSON to array
         if (!empty($row['selected_partials'])) {
             $decoded = json_decode($row['selected_partials'], true);
@@ -94,6 +99,7 @@ class BlockSettingsRepository extends AbstractBulkRepository
         // Convert boolean fields to actual booleans
         $row['supports_inner_blocks'] = (bool) $row['supports_inner_blocks'];
         $row['view_script_module'] = (bool) ($row['view_script_module'] ?? false);
+        $row['scoped_styles'] = (bool) ($row['scoped_styles'] ?? false);
 
         return $row;
     }
@@ -156,6 +162,12 @@ class BlockSettingsRepository extends AbstractBulkRepository
             $data['view_script_module'] = (int) $existingData['view_script_module'];
         }
 
+        if (array_key_exists('scoped_styles', $settings)) {
+            $data['scoped_styles'] = (int) $settings['scoped_styles'];
+        } elseif ($exists && isset($existingData['scoped_styles'])) {
+            $data['scoped_styles'] = (int) $existingData['scoped_styles'];
+        }
+
         if (array_key_exists('template_lock', $settings)) {
             $data['template_lock'] = $settings['template_lock'];
         } elseif ($exists && isset($existingData['template_lock'])) {
@@ -192,6 +204,17 @@ class BlockSettingsRepository extends AbstractBulkRepository
             }
         }
 
+        // Handle the block renderer allowlists - convert arrays to comma-separated strings
+        foreach (['allowed_html_tags', 'allowed_html_attributes'] as $column) {
+            if (array_key_exists($column, $settings)) {
+                $data[$column] = is_array($settings[$column])
+                    ? implode(',', array_filter($settings[$column]))
+                    : $settings[$column];
+            } elseif ($exists && isset($existingData[$column])) {
+                $data[$column] = implode(',', $existingData[$column]);
+            }
+        }
+
         // Handle selected_partials - convert array to JSON string
         if (array_key_exists('selected_partials', $settings)) {
             if (is_array($settings['selected_partials'])) {
@@ -257,7 +280,10 @@ class BlockSettingsRepository extends AbstractBulkRepository
             if (!isset($data['icon'])) $data['icon'] = null;
             if (!isset($data['supports_inner_blocks'])) $data['supports_inner_blocks'] = 0;
             if (!isset($data['view_script_module'])) $data['view_script_module'] = 0;
+            if (!isset($data['scoped_styles'])) $data['scoped_styles'] = 0;
             if (!isset($data['allowed_block_types'])) $data['allowed_block_types'] = null;
+            if (!isset($data['allowed_html_tags'])) $data['allowed_html_tags'] = null;
+            if (!isset($data['allowed_html_attributes'])) $data['allowed_html_attributes'] = null;
             if (!isset($data['template'])) $data['template'] = null;
             if (!isset($data['template_lock'])) $data['template_lock'] = null;
             if (!isset($data['selected_partials'])) $data['selected_partials'] = null;
@@ -4,7 +4,7 @@ namespace FanCoolo\Database;
 
 class DatabaseInstaller
 {
-    const TABLE_VERSION = '0.0.1';
+    const TABLE_VERSION = '0.0.3';
     const VERSION_OPTION = 'fancoolo_db_version';
     const TABLE_NAME = 'fancoolo_blocks_settings';
     const SCSS_TABLE_NAME = 'fancoolo_scsspartials_settings';
@@ -69,6 +69,9 @@ class DatabaseInstaller
             selected_partials text DEFAULT NULL,
             editor_selected_partials text DEFAULT NULL,
             view_script_module tinyint(1) DEFAULT 0,
+            scoped_styles tinyint(1) DEFAULT 0,
+            allowed_html_tags text DEFAULT NULL,
+            allowed_html_attributes text DEFAULT NULL,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
             PRIMARY KEY (id),
@@ -367,6 +370,40 @@ class DatabaseInstaller
             }
         }
 
+        // Migration for version 0.0.2 - Add the scoped styles block setting
+        if (version_compare($from_version, '0.0.2', '<')) {
+            $blocks_table = self::getTableName();
+            $has_column = $wpdb->get_var($wpdb->prepare(
+                "SHOW COLUMNS FROM $blocks_table LIKE %s",
+                'scoped_styles'
+            ));
+
+            if (!$has_column) {
+                $wpdb->query("ALTER TABLE $blocks_table ADD COLUMN scoped_styles tinyint(1) DEFAULT 0 AFTER view_script_module");
+                error_log('FanCoolo Plugin: Added scoped_styles column to blocks table');
+            }
+        }
+
+        // Migration for version 0.0.3 - Add the block renderer allowlist block settings
+        if (version_compare($from_version, '0.0.3', '<')) {
+            $blocks_table = self::getTableName();
+            $previous_column = 'scoped_styles';
+
+            foreach (['allowed_html_tags', 'allowed_html_attributes'] as $column) {
+                $has_column = $wpdb->get_var($wpdb->prepare(
+                    "SHOW COLUMNS FROM $blocks_table LIKE %s",
+                    $column
+                ));
+
+                if (!$has_column) {
+                    $wpdb->query("ALTER TABLE $blocks_table ADD COLUMN $column text DEFAULT NULL AFTER $previous_column");
+                    error_log("FanCoolo Plugin: Added $column column to blocks table");
+                }
+
+                $previous_column = $column;
+            }
+        }
+
         // Update version after successful migration
         update_option(self::VERSION_OPTION, $to_version);
     }
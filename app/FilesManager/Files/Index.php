@@ -7,6 +7,7 @@ use FanCoolo\Content\FunculoTypeTaxonomy;
 use FanCoolo\Admin\Api\Services\MetaKeysConstants;
 use FanCoolo\FilesManager\Services\AttributeMapper;
 use FanCoolo\Database\BlockSettingsRepository;
+use FanCoolo\Helpers\HtmlAllowlist;
 use WP_Post;
 
 class Index implements FileGeneratorInterface
@@ -56,6 +57,20 @@ class Index implements FileGeneratorInterface
 
         $usesInnerBlocks = $innerBlocksEnabled || $renderContainsInnerBlocks;
 
+        // Extra tags and attributes the block renderer keeps for this block
+        $allowedHtmlProperties = '';
+        if ($dbSettings) {
+            $allowedTags = HtmlAllowlist::parse($dbSettings['allowed_html_tags'] ?? [], 'tags');
+            $allowedAttributes = HtmlAllowlist::parse($dbSettings['allowed_html_attributes'] ?? [], 'attributes');
+
+            if (!empty($allowedTags)) {
+                $allowedHtmlProperties .= "\n        allowedTags: " . wp_json_encode($allowedTags, JSON_UNESCAPED_SLASHES) . ',';
+            }
+            if (!empty($allowedAttributes)) {
+                $allowedHtmlProperties .= "\n        allowedAttributes: " . wp_json_encode($allowedAttributes, JSON_UNESCAPED_SLASHES) . ',';
+            }
+        }
+
         // Build the PARSER_OPTIONS based on inner blocks settings
         $parserOptionsJs = '';
         if ($innerBlocksEnabled) {
@@ -92,14 +107,19 @@ class Index implements FileGeneratorInterface
             $parserOptionsJs = "
     // InnerBlocks options
     const PARSER_OPTIONS = {
-        allowedBlocks: {$allowedBlocksJson},{$templateProperty}
+        allowedBlocks: {$allowedBlocksJson},{$templateProperty}{$allowedHtmlProperties}
         templateLock: {$templateLock}
     };";
         } elseif ($usesInnerBlocks) {
             $parserOptionsJs = "
     // InnerBlocks detected without explicit settings
     const PARSER_OPTIONS = {
-        allowedBlocks: null
+        allowedBlocks: null,{$allowedHtmlProperties}
+    };";
+        } elseif ($allowedHtmlProperties) {
+            $parserOptionsJs = "
+    // No inner blocks - sanitization options only
+    const PARSER_OPTIONS = {{$allowedHtmlProperties}
     };";
         } else {
             $parserOptionsJs = "
@@ -22,6 +22,7 @@ use function restore_error_handler;
 use function set_error_handler;
 
 use FanCoolo\FilesManager\Services\SymbolProcessor;
+use FanCoolo\FilesManager\Services\MediaPlaceholderProcessor;
 
 class BlockLoader
 {
@@ -124,6 +125,11 @@ class BlockLoader
             return $errorMarkup;
         }
 
+        // Marked images are plain output outside the editor preview
+        if (is_string($rendered_output) && !MediaPlaceholderProcessor::isEditorPreview()) {
+            $rendered_output = MediaPlaceholderProcessor::process($rendered_output);
+        }
+
         // If output is empty, return a message
         if (empty($rendered_output)) {
             return '<!-- Block rendered as empty -->';
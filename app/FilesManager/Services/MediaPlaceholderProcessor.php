@@ -0,0 +1,81 @@
+<?php
+
+namespace FanCoolo\FilesManager\Services;
+
+/**
+ * Media placeholder processor service
+ * Turns images marked with data-fancoolo-media="<attribute>" into plain output
+ * outside the editor. The editor preview (assets/js/block-renderer.js) needs
+ * the marker and the image even without a URL, to show a media placeholder
+ * in its place; the frontend gets neither.
+ */
+class MediaPlaceholderProcessor
+{
+    /**
+     * Regex pattern for marked images
+     * Matches: <img data-fancoolo-media="hero" src="...">, <img src="" data-fancoolo-media='hero' />, etc.
+     */
+    private const MARKED_IMAGE_PATTERN = '/<img\b[^>]*\sdata-fancoolo-media\s*=\s*(["\']).*?\1[^>]*>/is';
+
+    /**
+     * Regex pattern for the marker attribute
+     */
+    private const MARKER_PATTERN = '/\s+data-fancoolo-media\s*=\s*(["\']).*?\1/is';
+
+    /**
+     * Regex pattern for a non-empty src attribute
+     */
+    private const SRC_PATTERN = '/\ssrc\s*=\s*(["\'])\s*[^"\'\s]/i';
+
+    /**
+     * Check if content contains marked images
+     *
+     * @param string $content Content to check
+     * @return bool True if marked images found
+     */
+    public static function hasMarkedImages(string $content): bool
+    {
+        return stripos($content, 'data-fancoolo-media') !== false
+            && preg_match(self::MARKED_IMAGE_PATTERN, $content) === 1;
+    }
+
+    /**
+     * Check if the block is rendered for the editor preview
+     * (/wp/v2/block-renderer or /funculo/v1/block-renderer/batch)
+     *
+     * @return bool True for editor preview renders
+     */
+    public static function isEditorPreview(): bool
+    {
+        if (!defined('REST_REQUEST') || !REST_REQUEST) {
+            return false;
+        }
+
+        $route = $GLOBALS['wp']->query_vars['rest_route'] ?? '';
+
+        return is_string($route) && strpos($route, '/block-renderer') !== false;
+    }
+
+    /**
+     * Remove the markers, and the marked images that have no URL
+     *
+     * @param string $content Rendered block HTML
+     * @return string Processed HTML
+     */
+    public static function process(string $content): string
+    {
+        if (!self::hasMarkedImages($content)) {
+            return $content;
+        }
+
+        $processed = preg_replace_callback(self::MARKED_IMAGE_PATTERN, function ($matches) {
+            if (preg_match(self::SRC_PATTERN, $matches[0]) !== 1) {
+                return '';
+            }
+
+            return preg_replace(self::MARKER_PATTERN, '', $matches[0]);
+        }, $content);
+
+        return $processed ?? $content;
+    }
+}
@@ -2,6 +2,9 @@
 
 namespace FanCoolo\Helpers;
 
+use FanCoolo\Admin\Api\Services\PluginSettings;
+use FanCoolo\Admin\Api\Services\ThemeTokens;
+
 class AdminAssets
 {
     private $buildPath;
@@ -73,11 +76,18 @@ class AdminAssets
                 'nonce' => wp_create_nonce('wp_rest'),
                 'posts' => $posts_data,
                 'siteUrl' => esc_url_raw(site_url()),
+                'ajaxUrl' => esc_url_raw(admin_url('admin-ajax.php')),
+                'loginUrl' => esc_url_raw(add_query_arg('interim-login', '1', wp_login_url())),
             ]), 'after');
 
             // Output plugin URL for SCSS compiler and other assets
             wp_add_inline_script('jquery', 'window.funculoSettings = ' . json_encode([
                 'pluginUrl' => defined('FANCOOLO_URL') ? FANCOOLO_URL : plugin_dir_url(dirname(dirname(__FILE__))),
+                'pluginVersion' => defined('FANCOOLO_VERSION') ? FANCOOLO_VERSION : '',
+                'scssCompilerBuild' => $this->getScssCompilerBuild(),
+                'debugMode' => defined('WP_DEBUG') && WP_DEBUG,
+                'settings' => PluginSettings::get(),
+                'themeTokens' => ThemeTokens::get(),
             ]), 'after');
 
             // Add the module script manually in footer
@@ -110,6 +120,26 @@ class AdminAssets
         }
     }
 
+    /**
+     * Identify the SCSS compiler build, so compiled CSS cached by an older
+     * Dart Sass or post-processing bundle isn't reused
+     *
+     * @return string Modification times of the compiler bundles
+     */
+    private function getScssCompilerBuild()
+    {
+        $compilerPath = $this->buildPath . '../scss-compiler/';
+        $build = [];
+
+        foreach (['sass-worker.min.js', 'sass-bundle.min.js'] as $file) {
+            if (file_exists($compilerPath . $file)) {
+                $build[] = filemtime($compilerPath . $file);
+            }
+        }
+
+        return implode('-', $build);
+    }
+
     private function getPostsData()
     {
         // Only get posts if WordPress functions are available
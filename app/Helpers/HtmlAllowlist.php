@@ -0,0 +1,147 @@
+<?php
+
+namespace FanCoolo\Helpers;
+
+/**
+ * Extra tags and attributes the editor block renderer may output
+ *
+ * The renderer (assets/js/block-renderer.js) drops every tag and attribute
+ * outside its built-in allowlist. Blocks and the plugin settings can extend
+ * it with lists like "iframe, dialog, my-*", where a trailing "*" matches a
+ * prefix. Names are stored lowercase; the renderer compares them that way.
+ */
+class HtmlAllowlist
+{
+    /**
+     * Tags that can't be allowed, whatever the settings say
+     */
+    const NEVER_ALLOWED_TAGS = ['script'];
+
+    /**
+     * Attributes that can't be allowed: event handlers and srcdoc
+     */
+    const NEVER_ALLOWED_ATTRIBUTE_PATTERN = '/^(on|srcdoc$)/';
+
+    /**
+     * Attributes holding a URL, never allowed to use a script protocol
+     */
+    const URL_ATTRIBUTES = ['src', 'href', 'action', 'formaction', 'data', 'xlink:href'];
+
+    /**
+     * URL protocols never allowed in URL attributes
+     */
+    const NEVER_ALLOWED_PROTOCOL_PATTERN = '/^\s*(javascript|data|vbscript|about):/i';
+
+    /**
+     * Valid tag or attribute name, optionally ending with a "*" wildcard
+     */
+    const NAME_PATTERN = '/^[a-z][a-z0-9:._-]*\*?$/';
+
+    /**
+     * Split a list into names
+     *
+     * @param string|array $value Comma-separated list or array of names
+     * @return array Lowercase, unique names
+     */
+    public static function split($value): array
+    {
+        if (is_string($value)) {
+            $value = explode(',', $value);
+        }
+
+        if (!is_array($value)) {
+            return [];
+        }
+
+        $names = array_map(function($name) {
+            return is_string($name) ? strtolower(trim($name)) : '';
+        }, $value);
+
+        return array_values(array_unique(array_filter($names)));
+    }
+
+    /**
+     * Find the names of a list that can't be allowed
+     *
+     * @param string|array $value Comma-separated list or array of names
+     * @param string $type "tags" or "attributes"
+     * @return array Rejected names
+     */
+    public static function findInvalid($value, string $type): array
+    {
+        return array_values(array_filter(self::split($value), function($name) use ($type) {
+            return !self::isAllowed($name, $type);
+        }));
+    }
+
+    /**
+     * Parse a list, dropping names that can't be allowed
+     *
+     * @param string|array $value Comma-separated list or array of names
+     * @param string $type "tags" or "attributes"
+     * @return array Allowed names
+     */
+    public static function parse($value, string $type): array
+    {
+        return array_values(array_filter(self::split($value), function($name) use ($type) {
+            return self::isAllowed($name, $type);
+        }));
+    }
+
+    /**
+     * Check whether an attribute value can be kept
+     *
+     * Mirrors the renderer, which drops URL attributes with a script protocol
+     * whatever the allowlists say. Control characters are ignored the way
+     * browsers ignore them ("java\tscript:").
+     *
+     * @param string $name Attribute name
+     * @param string $value Attribute value
+     * @return bool
+     */
+    public static function isSafeAttributeValue(string $name, string $value): bool
+    {
+        if (!in_array(strtolower($name), self::URL_ATTRIBUTES, true)) {
+            return true;
+        }
+
+        $value = preg_replace('/[\x00-\x1F\x7F]/', '', $value);
+
+        return !preg_match(self::NEVER_ALLOWED_PROTOCOL_PATTERN, $value);
+    }
+
+    /**
+     * Check whether a name can be allowed
+     *
+     * @param string $name Lowercase tag or attribute name
+     * @param string $type "tags" or "attributes"
+     * @return bool
+     */
+    private static function isAllowed(string $name, string $type): bool
+    {
+        if (!preg_match(self::NAME_PATTERN, $name)) {
+            return false;
+        }
+
+        if ($type === 'tags') {
+            return !in_array($name, self::NEVER_ALLOWED_TAGS, true)
+                && !self::matchesPrefix('script', $name);
+        }
+
+        return !preg_match(self::NEVER_ALLOWED_ATTRIBUTE_PATTERN, $name)
+            && !self::matchesPrefix('onclick', $name)
+            && !self::matchesPrefix('srcdoc', $name);
+    }
+
+    /**
+     * Whether a wildcard name ("s*") would match a forbidden one
+     *
+     * @param string $forbidden Forbidden name
+     * @param string $name Name that may end with "*"
+     * @return bool
+     */
+    private static function matchesPrefix(string $forbidden, string $name): bool
+    {
+        return substr($name, -1) === '*' && strpos($forbidden, rtrim($name, '*')) === 0;
+    }
+}
@@ -2,6 +2,8 @@
 
 namespace FanCoolo\Services;
 
+use FanCoolo\Admin\Api\Services\PluginSettings;
+use FanCoolo\Helpers\HtmlAllowlist;
 use function admin_url;
 use function file_exists;
 use function filemtime;
@@ -61,6 +63,14 @@ class ScriptLoader
             filemtime($path),
             true
         );
+
+        $settings = PluginSettings::get()['blockRenderer'];
+
+        wp_localize_script(self::BLOCK_RENDERER_HANDLE, 'fancooloBlockRenderer', [
+            'allowedTags' => HtmlAllowlist::parse($settings['allowedTags'], 'tags'),
+            'allowedAttributes' => HtmlAllowlist::parse($settings['allowedAttributes'], 'attributes'),
+            'debugMode' => defined('WP_DEBUG') && WP_DEBUG,
+        ]);
     }
 
     private function getPath(string $relative): string
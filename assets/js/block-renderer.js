@@ -8,8 +8,21 @@
   "use strict";
 
   // Use WordPress globals
-  const { createElement, cloneElement } = wp.element;
-  const { InnerBlocks } = wp.blockEditor;
+  const {
+    createElement,
+    cloneElement,
+    createContext,
+    forwardRef,
+    useContext,
+    Fragment,
+  } = wp.element;
+  const {
+    InnerBlocks,
+    RichText,
+    BlockControls,
+    MediaPlaceholder,
+    MediaReplaceFlow,
+  } = wp.blockEditor;
 
   // Safe HTML tags allowlist for XSS prevention
   const SAFE_TAGS = [
@@ -258,29 +271,253 @@
     return parentPath ? `${parentPath}.${childIndex}` : childIndex;
   }
 
+  // Never kept, whatever a block or the settings allow (see HtmlAllowlist.php)
+  const NEVER_ALLOWED_TAGS = new Set(["script"]);
+  const NEVER_ALLOWED_ATTRIBUTE_REGEX = /^(on|srcdoc$)/i;
+
+  const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+  /**
+   * Lowercase a list of allowed names
+   * @param {Array} names - Tag or attribute names
+   * @returns {Array} Lowercase names
+   */
+  function toAllowlist(names) {
+    return Array.isArray(names)
+      ? names.map((name) => String(name).trim().toLowerCase()).filter(Boolean)
+      : [];
+  }
+
+  /**
+   * Build the sanitization policy of a render
+   * The built-in allowlists, extended by the plugin settings
+   * (window.fancooloBlockRenderer) and the block's own parser options.
+   * @param {Object} options - Parser options (allowedTags, allowedAttributes)
+   * @returns {Object} { tags, attributes } - Lowercase allowed names
+   */
+  function createSanitizePolicy(options = {}) {
+    const globalPolicy = window.fancooloBlockRenderer || {};
+
+    return {
+      tags: [
+        ...toAllowlist(SAFE_TAGS),
+        ...toAllowlist(globalPolicy.allowedTags),
+        ...toAllowlist(options.allowedTags),
+      ],
+      attributes: [
+        ...toAllowlist(SAFE_ATTRIBUTES),
+        ...toAllowlist(globalPolicy.allowedAttributes),
+        ...toAllowlist(options.allowedAttributes),
+      ],
+    };
+  }
+
+  /**
+   * Check a name against an allowlist, where a trailing "*" matches a prefix
+   * @param {string} name - Lowercase name
+   * @param {Array} allowlist - Lowercase allowed names
+   * @returns {boolean} Whether name is allowed
+   */
+  function matchesAllowlist(name, allowlist) {
+    return allowlist.some((allowed) => {
+      if (allowed.endsWith("*")) {
+        return name.startsWith(allowed.slice(0, -1));
+      }
+      return allowed === name;
+    });
+  }
+
   /**
    * Check if tag is safe for rendering
    * @param {string} tagName - HTML tag name
+   * @param {Object} policy - Sanitization policy
    * @returns {boolean} Whether tag is safe
    */
-  function isSafeTag(tagName) {
-    return SAFE_TAGS.includes(tagName.toLowerCase());
+  function isSafeTag(tagName, policy) {
+    const name = tagName.toLowerCase();
+    return !NEVER_ALLOWED_TAGS.has(name) && matchesAllowlist(name, policy.tags);
   }
 
   /**
    * Check if attribute is safe
    * @param {string} attrName - Attribute name
+   * @param {Object} policy - Sanitization policy
    * @returns {boolean} Whether attribute is safe
    */
-  function isSafeAttribute(attrName) {
+  function isSafeAttribute(attrName, policy) {
     const name = attrName.toLowerCase();
-    return SAFE_ATTRIBUTES.some((safe) => {
-      if (safe.endsWith("*")) {
-        return name.startsWith(safe.slice(0, -1));
+    return (
+      !NEVER_ALLOWED_ATTRIBUTE_REGEX.test(name) &&
+      matchesAllowlist(name, policy.attributes)
+    );
+  }
+
+  const loggedMessages = new Set();
+
+  /**
+   * Log a warning once, in debug mode
+   * @param {string} message - Warning
+   */
+  function logDebug(message) {
+    if (!window.fancooloBlockRenderer?.debugMode) {
+      return;
+    }
+
+    if (!loggedMessages.has(message)) {
+      loggedMessages.add(message);
+      console.warn(message);
+    }
+  }
+
+  /**
+   * Log a dropped tag or attribute once, in debug mode
+   * @param {Object} options - Parser options (blockName)
+   * @param {string} dropped - What was dropped
+   */
+  function logDropped(options, dropped) {
+    logDebug(
+      `FanCoolo: ${
+        options.blockName || "Block renderer"
+      } dropped ${dropped} from the editor preview`
+    );
+  }
+
+  // Attributes and setAttributes of the block being rendered, for editable regions
+  const BlockEditContext = createContext(null);
+
+  /**
+   * Type of one of the block's attributes
+   * @param {Object|null} block - BlockEditContext value
+   * @param {string} attribute - Attribute name
+   * @returns {string|undefined} Attribute type
+   */
+  function getAttributeType(block, attribute) {
+    return block
+      ? wp.blocks?.getBlockType(block.blockName)?.attributes?.[attribute]?.type
+      : undefined;
+  }
+
+  /**
+   * Element marked with data-fancoolo-richtext="<attribute>"
+   * Edited in place as a RichText bound to that string attribute, keeping the
+   * element's tag and props. Renders the server markup when there is no
+   * block to edit or the attribute isn't a string attribute of the block.
+   * Forwards its ref, as it can be the root element receiving blockProps.
+   * @param {Object} props - Element props plus richTextAttribute, richTextTagName
+   * @param {Object} ref - Ref of the element
+   * @returns {React.Element} RichText or the server element
+   */
+  const RichTextRegion = forwardRef(function RichTextRegion(
+    {
+      richTextAttribute,
+      richTextTagName,
+      richTextPlaceholder,
+      children,
+      ...elementProps
+    },
+    ref
+  ) {
+    const block = useContext(BlockEditContext);
+
+    if (getAttributeType(block, richTextAttribute) !== "string") {
+      if (block) {
+        logDebug(
+          `FanCoolo: ${block.blockName} has no string attribute "${richTextAttribute}" for data-fancoolo-richtext`
+        );
       }
-      return safe === name;
+      return createElement(richTextTagName, { ...elementProps, ref }, children);
+    }
+
+    const value = block.attributes[richTextAttribute];
+
+    return createElement(RichText, {
+      ...elementProps,
+      ref,
+      tagName: richTextTagName,
+      identifier: richTextAttribute,
+      value: typeof value === "string" ? value : "",
+      onChange: (newValue) =>
+        block.setAttributes({ [richTextAttribute]: newValue }),
+      placeholder: richTextPlaceholder,
     });
-  }
+  });
+
+  const EMPTY_IMAGE = { id: 0, url: "", alt: "" };
+
+  /**
+   * <img> marked with data-fancoolo-media="<attribute>"
+   * Bound to an image attribute ({ id, url, alt }): a media placeholder while
+   * it has no image, else the image with a replace control in the block
+   * toolbar. Renders the server <img> when there is no block to edit or the
+   * attribute isn't an image attribute of the block.
+   * @param {Object} props - Image props plus mediaAttribute
+   * @param {Object} ref - Ref of the element
+   * @returns {React.Element} Media placeholder, or the image
+   */
+  const MediaRegion = forwardRef(function MediaRegion(
+    { mediaAttribute, children, ...imageProps },
+    ref
+  ) {
+    const block = useContext(BlockEditContext);
+
+    if (getAttributeType(block, mediaAttribute) !== "object") {
+      if (block) {
+        logDebug(
+          `FanCoolo: ${block.blockName} has no image attribute "${mediaAttribute}" for data-fancoolo-media`
+        );
+      }
+      return createElement("img", { ...imageProps, ref });
+    }
+
+    const image = { ...EMPTY_IMAGE, ...block.attributes[mediaAttribute] };
+    const setImage = (media) =>
+      block.setAttributes({
+        [mediaAttribute]: {
+          id: media.id || 0,
+          url: media.url || "",
+          alt: media.alt || "",
+        },
+      });
+
+    if (!image.url) {
+      // Keeps the image's classes and styles, so it takes the image's place
+      return createElement(
+        "div",
+        { className: imageProps.className, style: imageProps.style, ref },
+        createElement(MediaPlaceholder, {
+          icon: "format-image",
+          labels: { title: imageProps.alt || "Image" },
+          accept: "image/*",
+          allowedTypes: ["image"],
+          onSelect: setImage,
+        })
+      );
+    }
+
+    return createElement(
+      Fragment,
+      null,
+      createElement(
+        BlockControls,
+        { group: "other" },
+        createElement(MediaReplaceFlow, {
+          name: `Replace ${mediaAttribute}`,
+          mediaId: image.id,
+          mediaURL: image.url,
+          accept: "image/*",
+          allowedTypes: ["image"],
+          onSelect: setImage,
+          onReset: () => block.setAttributes({ [mediaAttribute]: EMPTY_IMAGE }),
+        })
+      ),
+      createElement("img", {
+        ...imageProps,
+        ref,
+        src: image.url,
+        alt: image.alt,
+      })
+    );
+  });
 
   const SELF_CLOSING_LOWERCASE_TAG_REGEX = /<([a-z0-9:-]+)\s*\/>/gi;
 
@@ -324,6 +561,18 @@
   // Dangerous URL protocols for XSS prevention
   const DANGEROUS_PROTOCOLS = /^(\s)*(javascript|data|vbscript|about):/i;
   const CSS_EXPRESSION_REGEX = /(expression|behavior|moz-binding|@import)/i;
+  // Browsers ignore these inside a URL scheme ("java\tscript:")
+  const URL_IGNORED_CHARS_REGEX = /[\u0000-\u001F\u007F]/g;
+
+  // Attributes holding a URL - kept in sync with HtmlAllowlist::URL_ATTRIBUTES
+  const URL_ATTRIBUTES = new Set([
+    "src",
+    "href",
+    "action",
+    "formaction",
+    "data",
+    "xlink:href",
+  ]);
 
   /**
    * Validate style value is safe
@@ -340,19 +589,45 @@
     return true;
   }
 
+  /**
+   * Validate URL attribute value is safe
+   * @param {string} value - URL to validate
+   * @returns {boolean} Whether value is safe
+   */
+  function isSafeUrlValue(value) {
+    return !DANGEROUS_PROTOCOLS.test(value.replace(URL_IGNORED_CHARS_REGEX, ""));
+  }
+
   /**
    * Parse and sanitize DOM attributes
    * @param {Element} domNode - DOM element
+   * @param {Object} policy - Sanitization policy
+   * @param {Object} options - Parser options, for logging
    * @returns {Object} Sanitized props object
    */
-  function parseAttributes(domNode) {
+  function parseAttributes(domNode, policy, options) {
     const props = {};
 
     for (const attr of domNode.attributes) {
-      if (!isSafeAttribute(attr.name)) {
+      if (!isSafeAttribute(attr.name, policy)) {
+        logDropped(
+          options,
+          `attribute "${attr.name}" on <${domNode.tagName.toLowerCase()}>`
+        );
         continue; // Skip unsafe attributes
       }
 
+      if (
+        URL_ATTRIBUTES.has(attr.name.toLowerCase()) &&
+        !isSafeUrlValue(attr.value)
+      ) {
+        logDropped(
+          options,
+          `${attr.name}="${attr.value.slice(0, 40)}" on <${domNode.tagName.toLowerCase()}>`
+        );
+        continue; // Skip script URLs
+      }
+
       if (attr.name === "class") {
         props.className = attr.value;
       } else if (attr.name === "style") {
@@ -422,6 +697,189 @@
     return createElement(InnerBlocks, filteredProps);
   }
 
+  // Rendered HTML shared by every ServerRenderComponent, least recently used first
+  const RENDER_CACHE_LIMIT = 100;
+  const renderCache = new Map();
+
+  /**
+   * Build the render cache key
+   * @param {string} blockName - Block name (e.g., 'fancoolo/my-block')
+   * @param {number|null} postId - Post the block is rendered for
+   * @param {string} attributesString - Serialized block attributes
+   * @returns {string} Cache key
+   */
+  function getRenderCacheKey(blockName, postId, attributesString) {
+    return `${blockName}|${postId || 0}|${attributesString}`;
+  }
+
+  /**
+   * Get rendered HTML from the cache and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {string|undefined} Rendered HTML
+   */
+  function readRenderCache(key) {
+    const entry = renderCache.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    renderCache.delete(key);
+    renderCache.set(key, entry);
+    return entry.rendered;
+  }
+
+  /**
+   * Store rendered HTML, dropping the least recently used entries over the limit
+   * @param {string} key - Cache key
+   * @param {string} blockName - Block name
+   * @param {string} rendered - Rendered HTML
+   */
+  function writeRenderCache(key, blockName, rendered) {
+    renderCache.delete(key);
+    renderCache.set(key, { blockName, rendered });
+
+    while (renderCache.size > RENDER_CACHE_LIMIT) {
+      renderCache.delete(renderCache.keys().next().value);
+    }
+  }
+
+  // Renders requested within this window are sent as one batch request
+  const RENDER_BATCH_DELAY = 10;
+  const RENDER_BATCH_LIMIT = 50;
+  const RENDER_BATCH_PATH = "/funculo/v1/block-renderer/batch";
+  // Attribute changes (e.g. RichText typing) within this window render once
+  const RENDER_DEBOUNCE_DELAY = 400;
+
+  let pendingRenders = [];
+  let renderBatchTimer = null;
+  let renderRequestId = 0;
+
+  /**
+   * Error a superseded render is rejected with
+   * @returns {DOMException} AbortError
+   */
+  function createAbortError() {
+    return new DOMException("The render request was aborted.", "AbortError");
+  }
+
+  /**
+   * Queue a block render for the next batch request
+   * @param {string} blockName - Block name (e.g., 'fancoolo/my-block')
+   * @param {Object} attributes - Block attributes
+   * @param {number|null} postId - Post the block is rendered for
+   * @param {AbortSignal} signal - Aborted when the render is superseded
+   * @returns {Promise<string>} Rendered HTML
+   */
+  function requestRender(blockName, attributes, postId, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      renderRequestId += 1;
+      const render = {
+        id: String(renderRequestId),
+        blockName,
+        attributes,
+        postId,
+        signal,
+        resolve,
+        reject,
+        batch: null,
+      };
+
+      signal.addEventListener("abort", () => abortRender(render), {
+        once: true,
+      });
+
+      pendingRenders.push(render);
+
+      if (!renderBatchTimer) {
+        renderBatchTimer = setTimeout(flushRenderBatch, RENDER_BATCH_DELAY);
+      }
+    });
+  }
+
+  /**
+   * Drop a superseded render
+   * Queued renders are never sent; a batch already sent is aborted once none
+   * of its renders are wanted anymore.
+   * @param {Object} render - Queued render
+   */
+  function abortRender(render) {
+    pendingRenders = pendingRenders.filter((pending) => pending !== render);
+    render.reject(createAbortError());
+
+    if (
+      render.batch &&
+      render.batch.renders.every((batched) => batched.signal.aborted)
+    ) {
+      render.batch.controller.abort();
+    }
+  }
+
+  /**
+   * Send every queued render, in batches of RENDER_BATCH_LIMIT
+   */
+  function flushRenderBatch() {
+    renderBatchTimer = null;
+
+    while (pendingRenders.length > 0) {
+      sendRenderBatch(pendingRenders.splice(0, RENDER_BATCH_LIMIT));
+    }
+  }
+
+  /**
+   * Render a batch of blocks and settle each render with its own result
+   * @param {Array} renders - Queued renders
+   */
+  function sendRenderBatch(renders) {
+    const batch = { renders, controller: new AbortController() };
+    renders.forEach((render) => {
+      render.batch = batch;
+    });
+
+    wp.apiFetch({
+      path: RENDER_BATCH_PATH,
+      method: "POST",
+      data: {
+        blocks: renders.map((render) => ({
+          id: render.id,
+          name: render.blockName,
+          attributes: render.attributes,
+          // Only include post_id if we have a valid positive integer
+          ...(render.postId ? { post_id: render.postId } : {}),
+        })),
+      },
+      signal: batch.controller.signal,
+    })
+      .then((response) => {
+        const data =
+          response.success !== undefined && response.data !== undefined
+            ? response.data
+            : response;
+        const results = new Map(
+          (data.results || []).map((result) => [result.id, result])
+        );
+
+        renders.forEach((render) => {
+          const result = results.get(render.id);
+
+          if (!result) {
+            render.reject(new Error("No render result returned"));
+          } else if (result.error) {
+            render.reject(result.error);
+          } else {
+            render.resolve(result.rendered || "");
+          }
+        });
+      })
+      .catch((error) => {
+        renders.forEach((render) => render.reject(error));
+      });
+  }
+
   // Expose improved renderer globally for FanCoolo blocks
   window.FanCooloBlockRenderer = {
     /**
@@ -444,13 +902,17 @@
     },
     /**
      * Parse HTML string and convert to React elements
+     * Tags and attributes outside the allowlists are dropped; options.allowedTags
+     * and options.allowedAttributes extend them for one block.
      * @param {string} htmlString - HTML content to parse
-     * @param {Object} options - Options for InnerBlocks parsing
+     * @param {Object} options - Options for InnerBlocks parsing and sanitization
      * @returns {Array} Array of React elements
      */
     parseServerContent: function (htmlString, options = {}) {
       if (!htmlString) return [];
 
+      const policy = createSanitizePolicy(options);
+
       // Replace blockProps placeholder with a temporary marker
       const processedHtml = htmlString.replace(
         /blockProps/g,
@@ -467,7 +929,8 @@
           const tagName = domNode.tagName.toLowerCase();
 
           // Security check: only allow safe tags
-          if (!isSafeTag(tagName)) {
+          if (!isSafeTag(tagName, policy)) {
+            logDropped(options, `<${tagName}>`);
             return null; // Skip unsafe tags
           }
 
@@ -501,7 +964,7 @@
           });
 
           // Use secure attribute parsing
-          const props = parseAttributes(domNode);
+          const props = parseAttributes(domNode, policy, options);
 
           // Check if this element should receive blockProps
           const shouldApplyBlockProps = domNode.hasAttribute(
@@ -517,7 +980,45 @@
           // Add stable key for this element
           props.key = generateStableKey(tagName, path);
 
-          return createElement(tagName, props, ...children);
+          // SVG names are case-sensitive (linearGradient, clipPath)
+          const elementName =
+            domNode.namespaceURI === SVG_NAMESPACE ? domNode.tagName : tagName;
+
+          // Images marked for inline media editing become media regions
+          const mediaAttribute = props["data-fancoolo-media"];
+          if (
+            tagName === "img" &&
+            typeof mediaAttribute === "string" &&
+            mediaAttribute
+          ) {
+            delete props["data-fancoolo-media"];
+
+            return createElement(MediaRegion, { ...props, mediaAttribute });
+          }
+
+          // Elements marked for inline editing become RichText regions
+          const richTextAttribute = props["data-fancoolo-richtext"];
+          if (typeof richTextAttribute === "string" && richTextAttribute) {
+            const richTextPlaceholder = props["data-fancoolo-placeholder"];
+            delete props["data-fancoolo-richtext"];
+            delete props["data-fancoolo-placeholder"];
+
+            return createElement(
+              RichTextRegion,
+              {
+                ...props,
+                richTextAttribute,
+                richTextTagName: elementName,
+                richTextPlaceholder:
+                  typeof richTextPlaceholder === "string"
+                    ? richTextPlaceholder
+                    : undefined,
+              },
+              ...children
+            );
+          }
+
+          return createElement(elementName, props, ...children);
         } else if (domNode.nodeType === Node.TEXT_NODE) {
           return domNode.textContent;
         }
@@ -686,10 +1187,30 @@
       });
     },
 
+    /**
+     * Drop cached renders, e.g. after the block's PHP changed
+     * @param {string} [blockName] - Block name (e.g., 'fancoolo/my-block'), all blocks when omitted
+     */
+    invalidateRenderCache: function (blockName) {
+      if (!blockName) {
+        renderCache.clear();
+        return;
+      }
+
+      renderCache.forEach((entry, key) => {
+        if (entry.blockName === blockName) {
+          renderCache.delete(key);
+        }
+      });
+    },
+
     /**
      * Create a server-side render component for a block
+     * Renders are shared through an LRU cache keyed by block name, post ID and
+     * attributes, so undo/redo and duplicated blocks don't fetch again, and
+     * renders of all mounted blocks are batched into one request
      * @param {string} blockName - Block name (e.g., 'fancoolo/my-block')
-     * @param {Object} parserOptions - Options for InnerBlocks parsing
+     * @param {Object} parserOptions - Options for InnerBlocks parsing and sanitization
      * @returns {Function} React component function
      */
     createServerRenderComponent: function (blockName, parserOptions = {}) {
@@ -699,24 +1220,28 @@
 
       // Serialize parserOptions once - it shouldn't change during component lifecycle
       const parserOptionsString = JSON.stringify(parserOptions);
+      // Block name is only used to tell which block dropped a node
+      const parseOptions = { ...parserOptions, blockName };
 
       return function ServerRenderComponent(props) {
-        const { attributes } = props;
+        const { attributes, setAttributes } = props;
         const [serverContent, setServerContent] = useState("");
         const [isLoading, setIsLoading] = useState(true);
         const abortControllerRef = useRef(null);
         const attributesStringRef = useRef("");
 
-        // Debounced attributes serialization
+        // Serialize attributes once per change
         const attributesString = useMemo(() => {
           return JSON.stringify(attributes);
         }, [attributes]);
 
         useEffect(() => {
-          // Skip if attributes haven't actually changed (debounce)
+          // Skip if attributes haven't actually changed
           if (attributesString === attributesStringRef.current) {
             return;
           }
+          // The first render goes out right away, later ones are debounced
+          const isFirstRender = attributesStringRef.current === "";
           attributesStringRef.current = attributesString;
 
           // Abort previous request if still pending
@@ -748,42 +1273,54 @@
           // Validate post_id is a positive integer
           const validPostId = postId && Number.isInteger(Number(postId)) && Number(postId) > 0;
 
-          setIsLoading(true);
-
-          // Prepare API request data
-          const requestData = {
-            attributes: attributes,
-          };
+          const renderPostId = validPostId ? Number(postId) : null;
+          const cacheKey = getRenderCacheKey(
+            blockName,
+            renderPostId,
+            attributesString
+          );
+          const cachedContent = readRenderCache(cacheKey);
 
-          // Only include post_id if we have a valid positive integer
-          if (validPostId) {
-            requestData.post_id = Number(postId);
+          if (cachedContent !== undefined) {
+            setServerContent(cachedContent);
+            setIsLoading(false);
+            return;
           }
 
-          wp.apiFetch({
-            path: `/wp/v2/block-renderer/${blockName}?context=edit`,
-            method: "POST",
-            data: requestData,
-            signal: abortController.signal,
-          })
-            .then((response) => {
-              // Only update state if component is still mounted and request wasn't aborted
-              if (!abortController.signal.aborted) {
-                setServerContent(response.rendered);
-                setIsLoading(false);
-              }
-            })
-            .catch((error) => {
-              // Only handle errors if request wasn't aborted
-              if (!abortController.signal.aborted) {
-                console.error(`Block render error for ${blockName}:`, error);
-                setServerContent("<div><!-- Block render error --></div>");
-                setIsLoading(false);
-              }
-            });
+          setIsLoading(true);
 
-          // Cleanup function
+          // Then rendered together with the other blocks requesting a render
+          const debounceTimer = setTimeout(
+            () => {
+              requestRender(
+                blockName,
+                attributes,
+                renderPostId,
+                abortController.signal
+              )
+                .then((rendered) => {
+                  // Only update state if component is still mounted and request wasn't aborted
+                  if (!abortController.signal.aborted) {
+                    writeRenderCache(cacheKey, blockName, rendered);
+                    setServerContent(rendered);
+                    setIsLoading(false);
+                  }
+                })
+                .catch((error) => {
+                  // Only handle errors if request wasn't aborted
+                  if (!abortController.signal.aborted) {
+                    console.error(`Block render error for ${blockName}:`, error);
+                    setServerContent("<div><!-- Block render error --></div>");
+                    setIsLoading(false);
+                  }
+                });
+            },
+            isFirstRender ? 0 : RENDER_DEBOUNCE_DELAY
+          );
+
+          // Cleanup function - a newer change restarts the debounce window
           return () => {
+            clearTimeout(debounceTimer);
             if (abortController) {
               abortController.abort();
             }
@@ -806,7 +1343,7 @@
 
           return window.FanCooloBlockRenderer.parseServerContent(
             serverContent,
-            parserOptions
+            parseOptions
           );
         }, [serverContent, parserOptionsString]);
 
@@ -822,13 +1359,23 @@
           );
         }, [parsedContent, blockPropsKey]);
 
+        // Live attributes for RichText and media regions, so edits don't wait for the server
+        const richTextContext = useMemo(
+          () => ({ blockName, attributes, setAttributes }),
+          [attributes, setAttributes]
+        );
+
         // Show spinner only on initial load, not on updates
         if (!renderedContent && isLoading) {
           return createElement("div", blockProps, createElement(Spinner));
         }
 
         // Return rendered content or empty div if no content yet
-        return renderedContent || createElement("div", blockProps);
+        return createElement(
+          BlockEditContext.Provider,
+          { value: richTextContext },
+          renderedContent || createElement("div", blockProps)
+        );
       };
     },
   };
@@ -87,6 +87,7 @@ class FanCooloSimpleHotReload {
       blockId: blockData.postId,
       blockSlug: blockData.blockSlug || blockData.slug,
       blockName: blockData.blockName || blockData.title,
+      isSymbol: !!blockData.isSymbol,
       changes: blockData.changes || ["all"],
       content: blockData.content || {},
     };
@@ -191,6 +192,24 @@ class FanCooloSimpleHotReload {
       );
     }
 
+    // Server renders of the old PHP must not be reused
+    const changes = data.changes || ["all"];
+    const hasPhpChanges =
+      changes.includes("php") ||
+      changes.includes("render") ||
+      changes.includes("all");
+
+    if (hasPhpChanges) {
+      // Symbols can be used by any block, so drop every cached render
+      if (data.isSymbol || !data.blockSlug) {
+        window.FanCooloBlockRenderer?.invalidateRenderCache();
+      } else {
+        window.FanCooloBlockRenderer?.invalidateRenderCache(
+          `fancoolo/${data.blockSlug}`
+        );
+      }
+    }
+
     // Refresh blocks in editor
     this.refreshBlocksInEditor(data.blockSlug);
   }
@@ -458,6 +477,7 @@ class FanCooloSimpleHotReload {
         postId: post.id,
         blockSlug: post.slug,
         blockName: post.title?.rendered || post.title,
+        isSymbol: !!post.terms?.some((term) => term.slug === "symbols"),
         content: {
           css: post.meta?.blocks?.cssContent || post.meta?.blocks?.scss || "",
           editorCss:
@@ -527,6 +547,7 @@ class FanCooloSimpleHotReload {
           payload?.post?.title?.rendered ||
           payload?.post?.title ||
           null,
+        isSymbol: !!payload.isSymbol,
         content: {
           css:
             providedContent.css !== undefined
@@ -91,6 +91,14 @@ async function build() {
 
     const devBundleSize = (fs.statSync('dist/scss-compiler/sass-bundle.js').size / 1024).toFixed(1);
     log(`✓ Development bundle created: ${devBundleSize}KB (readable)`, 'green');
+
+    // Worker that runs compilation off the main thread (loads sass.dart.min.js itself)
+    execSync(`npx esbuild src/scss-compiler/worker.js --bundle --minify --target=es2020 --format=iife --outfile=dist/scss-compiler/sass-worker.min.js`, {
+      stdio: 'inherit'
+    });
+
+    const workerSize = (fs.statSync('dist/scss-compiler/sass-worker.min.js').size / 1024).toFixed(1);
+    log(`✓ Compiler worker bundled: ${workerSize}KB`, 'green');
     
   } catch (error) {
     log(`❌ esbuild failed: ${error.message}`, 'red');
@@ -124,7 +132,8 @@ async function build() {
     files: {
       'sass.dart.min.js': `${minifiedSize}MB (${savings}% smaller than original)`,
       'sass-bundle.min.js': `${(fs.statSync('dist/scss-compiler/sass-bundle.min.js').size / 1024).toFixed(1)}KB (tree-shaken)`,
-      'sass-bundle.js': `${(fs.statSync('dist/scss-compiler/sass-bundle.js').size / 1024).toFixed(1)}KB (readable)`
+      'sass-bundle.js': `${(fs.statSync('dist/scss-compiler/sass-bundle.js').size / 1024).toFixed(1)}KB (readable)`,
+      'sass-worker.min.js': `${(fs.statSync('dist/scss-compiler/sass-worker.min.js').size / 1024).toFixed(1)}KB (worker)`
     },
     staticFiles: {}
   };
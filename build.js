@@ -6,6 +6,7 @@ const fs = require('fs');
 
 const isWatch = process.argv.includes('--watch');
 const isProduction = process.argv.includes('--production');
+const isDemo = process.argv.includes('--demo');
 
 const config = {
     entryPoints: ["src/app/index.js"],
@@ -52,6 +53,28 @@ const config = {
     external: [],
 };
 
+// Standalone demo of the admin app, running on in-memory data (src/demo)
+const demoConfig = {
+    ...config,
+    entryPoints: ["src/demo/index.js"],
+    outdir: "dist/demo",
+};
+
+async function buildDemo() {
+    try {
+        await esbuild.build(demoConfig);
+        fs.copyFileSync(
+            path.join(__dirname, 'src/demo/index.html'),
+            path.join(__dirname, 'dist/demo/index.html')
+        );
+
+        console.log("✅ Demo build successful - serve the plugin folder and open dist/demo/index.html");
+    } catch (error) {
+        console.error("❌ Error during demo build:", error);
+        process.exit(1);
+    }
+}
+
 async function build() {
     try {
         // Ensure dist directory exists
@@ -97,4 +120,8 @@ async function build() {
     }
 }
 
-build();
\ No newline at end of file
+if (isDemo) {
+    buildDemo();
+} else {
+    build();
+}
\ No newline at end of file
@@ -1,5 +1,6 @@
 import React, { Suspense, lazy } from "react";
 import { HashRouter as Router, Routes, Route, Navigate, useSearchParams } from "react-router-dom";
+import SessionExpiredModal from "./components/ui/SessionExpiredModal";
 import "./style.css";
 
 // ========================================
@@ -45,6 +46,7 @@ const App = () => {
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </Suspense>
+      <SessionExpiredModal />
     </Router>
   );
 };
@@ -0,0 +1,120 @@
+import React from "react";
+import { useCompiledCssPreview } from "../../hooks";
+
+const ORIGIN_CLASSES = {
+  main_block: "text-action",
+  global_partial: "text-highlight",
+  selected_partial: "text-warning",
+  module_partial: "text-warning",
+};
+
+const formatBytes = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+
+const originLabel = (origin) => {
+  if (!origin) return "—";
+  if (origin.type === "main_block") return "Block";
+  return origin.partialTitle || `Partial ${origin.partialId}`;
+};
+
+const isPartial = (origin) => Boolean(origin?.partialId);
+
+/**
+ * Compiled CSS of a block's SCSS, shown next to the editor
+ * Every line is labelled with the partial (or the block) that produced it.
+ */
+const CompiledCssPane = ({ postId, scss, getPartials, scope, onOpenPartial }) => {
+  const { css, bytes, attribution, error, compiling } = useCompiledCssPreview({
+    postId,
+    scss,
+    getPartials,
+    scope,
+    enabled: true,
+  });
+
+  const lines = attribution?.lines || css.split("\n").map((text) => ({ text }));
+
+  const openPartial = (origin) => {
+    if (isPartial(origin)) {
+      onOpenPartial?.(origin.partialId);
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-base-1 text-xs font-mono">
+      <div className="flex-shrink-0 flex items-center gap-3 px-4 py-2 border-b border-outline text-contrast">
+        <span className="text-highlight">Compiled CSS</span>
+        <span>{formatBytes(bytes)}</span>
+        <span>{css ? lines.length : 0} lines</span>
+        {compiling && <span>Compiling...</span>}
+      </div>
+
+      {error && (
+        <div className="flex-shrink-0 px-4 py-2 border-b border-outline text-error whitespace-pre-wrap">
+          {error}
+        </div>
+      )}
+
+      {attribution ? (
+        <ul className="flex-shrink-0 flex flex-wrap gap-x-4 gap-y-1 px-4 py-2 border-b border-outline">
+          {attribution.sources.map((source, index) => (
+            <li key={index}>
+              <button
+                type="button"
+                className={`${ORIGIN_CLASSES[source.origin?.type] || "text-contrast"} ${
+                  isPartial(source.origin) ? "hover:underline" : "cursor-default"
+                }`}
+                onClick={() => openPartial(source.origin)}
+              >
+                {originLabel(source.origin)}
+              </button>{" "}
+              <span className="text-contrast">
+                {source.lines} lines · {formatBytes(source.bytes)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        css && (
+          <p className="flex-shrink-0 px-4 py-2 border-b border-outline text-contrast">
+            Per-source attribution isn't available while CSS post-processing
+            is on (Settings → CSS Processing)
+          </p>
+        )
+      )}
+
+      <div className="flex-1 min-h-0 overflow-auto py-2">
+        {css ? (
+          lines.map((line, index) => {
+            // Label only the first line of every run from the same source
+            const previous = lines[index - 1];
+            const showLabel =
+              attribution && (!previous || previous.origin !== line.origin);
+
+            return (
+              <div key={index} className="flex whitespace-pre">
+                {attribution && (
+                  <span
+                    className={`flex-shrink-0 w-32 px-4 truncate ${
+                      ORIGIN_CLASSES[line.origin?.type] || "text-contrast"
+                    }`}
+                    title={originLabel(line.origin)}
+                  >
+                    {showLabel ? originLabel(line.origin) : ""}
+                  </span>
+                )}
+                <span className="pr-4 text-highlight">{line.text}</span>
+              </div>
+            );
+          })
+        ) : (
+          <p className="px-4 text-contrast">
+            {compiling ? "" : "No CSS output"}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CompiledCssPane;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { Textarea, Select, DashiconButton, Button, Toggle } from "../ui";
+import { Textarea, Select, DashiconButton, Button, Toggle, Input } from "../ui";
 import { TrashIcon } from "../icons";
 import ScssPartialsCombined from "./ScssPartialsCombined";
 import InnerBlocksSettings from "./InnerBlocksSettings";
@@ -7,6 +7,15 @@ import ScssPartialSettings from "./ScssPartialSettings";
 import Revisions from "./Revisions";
 import centralizedApi from "../../../utils/api/CentralizedApiService";
 
+// "iframe, dialog" <-> ["iframe", "dialog"]
+const splitList = (text) =>
+  text
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+const isSameList = (text, list) => splitList(text).join(",") === list.join(",");
+
 const EditorSettings = ({
   selectedPost,
   metaData,
@@ -23,6 +32,9 @@ const EditorSettings = ({
   const [category, setCategory] = useState("");
   const [icon, setIcon] = useState("search");
   const [viewScriptModule, setViewScriptModule] = useState(false);
+  const [scopedStyles, setScopedStyles] = useState(false);
+  const [allowedTags, setAllowedTags] = useState("");
+  const [allowedAttributes, setAllowedAttributes] = useState("");
 
   const blockCategories = sharedData?.blockCategories || [];
   const loadingCategories = dataLoading?.blockCategories || false;
@@ -35,20 +47,33 @@ const EditorSettings = ({
       setCategory(settings.category || "");
       setIcon(settings.icon || "search");
       setViewScriptModule(settings.viewScriptModule === true || settings.viewScriptModule === 1 || settings.viewScriptModule === '1');
+      setScopedStyles(settings.scopedStyles === true);
+      // Keep what is being typed ("iframe, ") while it means the same list
+      const tags = Array.isArray(settings.allowedTags) ? settings.allowedTags : [];
+      const attributes = Array.isArray(settings.allowedAttributes) ? settings.allowedAttributes : [];
+      setAllowedTags((current) => (isSameList(current, tags) ? current : tags.join(", ")));
+      setAllowedAttributes((current) => (isSameList(current, attributes) ? current : attributes.join(", ")));
     } catch (e) {
       setDescription("");
       setCategory("");
       setIcon("search");
       setViewScriptModule(false);
+      setScopedStyles(false);
+      setAllowedTags("");
+      setAllowedAttributes("");
     }
   }, [metaData?.blocks?.settings]);
 
-  const updateSettings = (newDescription, newCategory, newIcon, newViewScriptModule) => {
+  const updateSettings = (changes) => {
     const updatedSettings = {
-      description: newDescription,
-      category: newCategory,
-      icon: newIcon,
-      viewScriptModule: newViewScriptModule,
+      description,
+      category,
+      icon,
+      viewScriptModule,
+      scopedStyles,
+      allowedTags: splitList(allowedTags),
+      allowedAttributes: splitList(allowedAttributes),
+      ...changes,
     };
 
     if (onMetaChange) {
@@ -59,24 +84,42 @@ const EditorSettings = ({
   const handleDescriptionChange = (e) => {
     const newDescription = e.target.value;
     setDescription(newDescription);
-    updateSettings(newDescription, category, icon, viewScriptModule);
+    updateSettings({ description: newDescription });
   };
 
   const handleCategoryChange = (e) => {
     const newCategory = e.target.value;
     setCategory(newCategory);
-    updateSettings(description, newCategory, icon, viewScriptModule);
+    updateSettings({ category: newCategory });
   };
 
   const handleIconChange = (newIcon) => {
     setIcon(newIcon);
-    updateSettings(description, category, newIcon, viewScriptModule);
+    updateSettings({ icon: newIcon });
   };
 
   const handleViewScriptModuleChange = (e) => {
     const newValue = e.target.checked;
     setViewScriptModule(newValue);
-    updateSettings(description, category, icon, newValue);
+    updateSettings({ viewScriptModule: newValue });
+  };
+
+  const handleScopedStylesChange = (e) => {
+    const newValue = e.target.checked;
+    setScopedStyles(newValue);
+    updateSettings({ scopedStyles: newValue });
+  };
+
+  const handleAllowedTagsChange = (e) => {
+    const newValue = e.target.value;
+    setAllowedTags(newValue);
+    updateSettings({ allowedTags: splitList(newValue) });
+  };
+
+  const handleAllowedAttributesChange = (e) => {
+    const newValue = e.target.value;
+    setAllowedAttributes(newValue);
+    updateSettings({ allowedAttributes: splitList(newValue) });
   };
 
   const handleDelete = async () => {
@@ -254,6 +297,47 @@ const EditorSettings = ({
                     />
                   </div>
 
+                  {/* Style Settings */}
+                  <div className="pt-4 border-t border-outline space-y-3">
+                    <h4 className="font-medium text-highlight">Style Settings</h4>
+                    <Toggle
+                      checked={scopedStyles}
+                      onChange={handleScopedStylesChange}
+                      label="Scoped styles"
+                    />
+                    <p className="text-sm text-contrast">
+                      Put every rule of Style and Editor Style inside .wp-block-fancoolo-{selectedPost.slug}, so styles can't leak into other blocks. Wrap a selector in :global() to keep it global.
+                    </p>
+                  </div>
+
+                  {/* Editor Preview Settings */}
+                  <div className="pt-4 border-t border-outline space-y-3">
+                    <h4 className="font-medium text-highlight">Editor Preview Settings</h4>
+                    <p className="text-sm text-contrast">
+                      The editor preview drops tags and attributes it doesn't know. List the extra ones this block outputs, comma-separated; "my-*" allows every name starting with "my-". Scripts and on* event attributes are never kept.
+                    </p>
+                    <div>
+                      <label className="block text-sm font-medium text-highlight mb-2">
+                        Allowed tags
+                      </label>
+                      <Input
+                        value={allowedTags}
+                        onChange={handleAllowedTagsChange}
+                        placeholder="iframe, dialog, lineargradient, stop"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-highlight mb-2">
+                        Allowed attributes
+                      </label>
+                      <Input
+                        value={allowedAttributes}
+                        onChange={handleAllowedAttributesChange}
+                        placeholder="allow, allowfullscreen, offset, stop-color"
+                      />
+                    </div>
+                  </div>
+
                   {/* View.js Settings */}
                   <div className="pt-4 border-t border-outline space-y-3">
                     <h4 className="font-medium text-highlight">View.js Settings</h4>
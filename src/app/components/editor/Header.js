@@ -10,6 +10,7 @@ import {
   DropdownMenuSeparator,
 } from "../ui";
 import centralizedApi from "../../../utils/api/CentralizedApiService";
+import WriteQueueStatus from "./WriteQueueStatus";
 
 // DEV MODE - Set to false for production (matches App.js)
 const ENABLE_DESIGN_SYSTEM = true;
@@ -129,6 +130,7 @@ const Header = ({ onSave, saveStatus, onPostsRefresh }) => {
           </Button>
         </div>
         <div id="nav-right" className="flex gap-2 justify-end">
+          <WriteQueueStatus />
           <SaveButton saveStatus={saveStatus} onSave={onSave} />
           <DropdownMenu
             trigger={
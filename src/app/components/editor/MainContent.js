@@ -25,6 +25,10 @@ const MainContent = ({
   onMetaChange,
   onTitleUpdate,
   isLoadingPost = false,
+  scssDiagnostics,
+  scssPartialLoaders,
+  onOpenPartial,
+  editorLocation = null,
 }) => {
   const [isEditTitleModalOpen, setIsEditTitleModalOpen] = useState(false);
 
@@ -70,6 +74,10 @@ const MainContent = ({
               onChange={onMetaChange}
               titleComponent={titleComponent}
               selectedPost={selectedPost}
+              scssDiagnostics={scssDiagnostics}
+              scssPartialLoaders={scssPartialLoaders}
+              onOpenPartial={onOpenPartial}
+              editorLocation={editorLocation}
             />
           ) : (
             <div className="text-center text-contrast py-8">
@@ -0,0 +1,220 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { DiffEditor } from "@monaco-editor/react";
+import { Button, Modal } from "../ui";
+
+const FIELD_LABELS = {
+  blocks: {
+    php: { label: "Content", language: "php" },
+    scss: { label: "Style", language: "scss" },
+    editorScss: { label: "Editor Style", language: "scss" },
+    js: { label: "View", language: "javascript" },
+    attributes: { label: "Attributes", language: "json" },
+  },
+  symbols: {
+    php: { label: "Content", language: "php" },
+  },
+  scss_partials: {
+    scss: { label: "Style", language: "scss" },
+  },
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return "";
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+};
+
+/**
+ * Collect the fields where the local edit and the server version differ
+ */
+const getConflictingFields = (localMeta, serverMeta) => {
+  const fields = [];
+
+  Object.entries(FIELD_LABELS).forEach(([section, sectionFields]) => {
+    if (!serverMeta?.[section]) return;
+
+    Object.entries(sectionFields).forEach(([field, config]) => {
+      const mine = toText(localMeta?.[section]?.[field]);
+      const theirs = toText(serverMeta[section][field]);
+
+      if (mine !== theirs) {
+        fields.push({ section, field, mine, theirs, ...config });
+      }
+    });
+  });
+
+  return fields;
+};
+
+/**
+ * Merge dialog shown when a save is rejected because someone else changed the post
+ * Lets the user pick their own or the server version of every changed field
+ */
+const MergeConflictModal = ({ conflict, localMeta, onResolve, onCancel }) => {
+  const serverPost = conflict?.serverPost;
+
+  const fields = useMemo(
+    () => getConflictingFields(localMeta, serverPost?.meta),
+    [localMeta, serverPost]
+  );
+
+  const [choices, setChoices] = useState({});
+  const [activeKey, setActiveKey] = useState(null);
+
+  // Default every field to the local version whenever a new conflict comes in
+  useEffect(() => {
+    const initial = {};
+    fields.forEach(({ section, field }) => {
+      initial[`${section}.${field}`] = "mine";
+    });
+    setChoices(initial);
+    setActiveKey(fields[0] ? `${fields[0].section}.${fields[0].field}` : null);
+  }, [fields]);
+
+  if (!conflict) {
+    return null;
+  }
+
+  const activeField = fields.find(
+    ({ section, field }) => `${section}.${field}` === activeKey
+  );
+
+  const setAll = (choice) => {
+    const next = {};
+    fields.forEach(({ section, field }) => {
+      next[`${section}.${field}`] = choice;
+    });
+    setChoices(next);
+  };
+
+  const handleResolve = () => {
+    const meta = {};
+
+    fields.forEach(({ section, field, mine, theirs }) => {
+      const choice = choices[`${section}.${field}`];
+      meta[section] = {
+        ...meta[section],
+        [field]: choice === "mine" ? mine : theirs,
+      };
+    });
+
+    onResolve({ meta });
+  };
+
+  const modifiedBy = serverPost?.modified
+    ? ` (last modified ${serverPost.modified})`
+    : "";
+
+  return (
+    <Modal
+      isOpen={!!conflict}
+      onClose={onCancel}
+      title="Someone else saved this post"
+      size="large"
+    >
+      <p className="text-sm text-contrast mb-4">
+        Your changes were not saved because the post changed on the server
+        since you opened it{modifiedBy}. Choose which version to keep for each
+        field. The diff shows the server version on the left and yours on the
+        right.
+      </p>
+
+      {fields.length === 0 ? (
+        <p className="text-sm text-highlight mb-4">
+          The server version matches your edits. Saving again will not
+          overwrite anything.
+        </p>
+      ) : (
+        <div className="flex gap-4">
+          <ul className="flex flex-col gap-2 w-[220px] flex-shrink-0">
+            {fields.map(({ section, field, label }) => {
+              const key = `${section}.${field}`;
+              return (
+                <li
+                  key={key}
+                  className={`p-3 rounded border cursor-pointer ${
+                    activeKey === key
+                      ? "border-action bg-base-2"
+                      : "border-outline"
+                  }`}
+                  onClick={() => setActiveKey(key)}
+                >
+                  <div className="text-highlight text-sm mb-2">{label}</div>
+                  <div className="flex gap-3 text-xs text-contrast">
+                    {["mine", "theirs"].map((choice) => (
+                      <label key={choice} className="flex items-center gap-1">
+                        <input
+                          type="radio"
+                          name={key}
+                          checked={choices[key] === choice}
+                          onChange={() =>
+                            setChoices((prev) => ({ ...prev, [key]: choice }))
+                          }
+                        />
+                        {choice === "mine" ? "Mine" : "Theirs"}
+                      </label>
+                    ))}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="flex-1 min-w-0 border border-outline rounded overflow-hidden">
+            {activeField && (
+              <DiffEditor
+                height="50vh"
+                language={activeField.language}
+                original={activeField.theirs}
+                modified={activeField.mine}
+                theme="vs-dark"
+                options={{
+                  readOnly: true,
+                  originalEditable: false,
+                  minimap: { enabled: false },
+                  scrollBeyondLastLine: false,
+                  fontSize: 13,
+                  automaticLayout: true,
+                  wordWrap: "on",
+                }}
+              />
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-between gap-2 pt-4">
+        <div className="flex gap-2">
+          <Button
+            variant="secondary"
+            onClick={() => setAll("mine")}
+            disabled={fields.length === 0}
+          >
+            Keep all mine
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => setAll("theirs")}
+            disabled={fields.length === 0}
+          >
+            Take all theirs
+          </Button>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button onClick={handleResolve}>
+            {fields.length > 0 &&
+            fields.every(
+              ({ section, field }) => choices[`${section}.${field}`] === "theirs"
+            )
+              ? "Use server version"
+              : "Save merged version"}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default MergeConflictModal;
@@ -0,0 +1,111 @@
+import React from "react";
+import { usePartialDependencies } from "../../hooks";
+import { describeCycle } from "../../../utils/scssPartialGraph";
+
+const MAX_SYMBOLS = 4;
+
+const formatSymbols = (symbols) => {
+  const shown = symbols.slice(0, MAX_SYMBOLS).join(", ");
+  return symbols.length > MAX_SYMBOLS
+    ? `${shown} +${symbols.length - MAX_SYMBOLS} more`
+    : shown;
+};
+
+/**
+ * Dependency graph of the edited partial: what it depends on, what depends
+ * on it, cycles it is part of and the resulting global load order
+ */
+const PartialDependencies = ({ partialId, scss, isGlobal, globalOrder }) => {
+  const { graph, globalOrder: loadOrder, loading, error } =
+    usePartialDependencies({ id: partialId, scss, isGlobal, globalOrder });
+
+  const node = graph.nodes[partialId];
+  const titleOf = (id) => graph.nodes[id]?.title || `#${id}`;
+  const cycles = graph.cycles.filter((cycle) => cycle.includes(partialId));
+  const isReordered = loadOrder.some(
+    (partial, index, order) =>
+      index > 0 && partial.globalOrder < order[index - 1].globalOrder
+  );
+
+  if (error) {
+    return <p className="text-xs text-error">⚠︎ {error}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <h4 className="font-medium text-highlight">Dependencies</h4>
+
+      {loading && <p className="text-xs text-contrast">Loading partials...</p>}
+
+      {cycles.map((cycle) => (
+        <p key={cycle.join("-")} className="text-xs text-error">
+          ⚠︎ Circular dependency: {describeCycle(cycle, graph.nodes)}
+        </p>
+      ))}
+
+      {node?.missing.length > 0 && (
+        <p className="text-xs text-warning">
+          ⚠︎ @requires unknown partials: {node.missing.join(", ")}
+        </p>
+      )}
+
+      <div>
+        <div className="text-sm text-contrast mb-1">Depends on</div>
+        {node?.dependencies.length > 0 ? (
+          <ul className="flex flex-col gap-1">
+            {node.dependencies.map((dependency) => (
+              <li key={dependency.id} className="text-xs">
+                <span className="text-highlight">{titleOf(dependency.id)}</span>
+                {dependency.declared && (
+                  <span className="text-contrast"> · @requires</span>
+                )}
+                {dependency.symbols.length > 0 && (
+                  <div className="text-contrast font-mono">
+                    {formatSymbols(dependency.symbols)}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-contrast">Nothing</p>
+        )}
+      </div>
+
+      <div>
+        <div className="text-sm text-contrast mb-1">Used by</div>
+        {node?.dependents.length > 0 ? (
+          <p className="text-xs text-highlight">
+            {node.dependents.map(titleOf).join(", ")}
+          </p>
+        ) : (
+          <p className="text-xs text-contrast">No other partial</p>
+        )}
+      </div>
+
+      {isGlobal && loadOrder.length > 0 && (
+        <div>
+          <div className="text-sm text-contrast mb-1">Global load order</div>
+          <ol className="list-decimal list-inside text-xs text-contrast">
+            {loadOrder.map((partial) => (
+              <li
+                key={partial.id}
+                className={partial.id === partialId ? "text-highlight" : ""}
+              >
+                {partial.title}
+              </li>
+            ))}
+          </ol>
+          {isReordered && (
+            <p className="text-xs text-contrast mt-1">
+              Some partials load earlier than their Load Order because others
+              depend on them
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PartialDependencies;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { Toggle, Input } from "../ui";
+import PartialDependencies from "./PartialDependencies";
 
 const ScssPartialSettings = ({ selectedPost, metaData, onMetaChange }) => {
   const [isGlobal, setIsGlobal] = useState(false);
@@ -75,11 +76,20 @@ const ScssPartialSettings = ({ selectedPost, metaData, onMetaChange }) => {
               min="1"
             />
             <p className="text-xs text-contrast mt-1">
-              Lower numbers load first
+              Lower numbers load first, after the partials they depend on
             </p>
           </div>
         )}
       </div>
+
+      <div className="pt-4 border-t border-outline">
+        <PartialDependencies
+          partialId={selectedPost?.id}
+          scss={scssPartials.scss}
+          isGlobal={isGlobal}
+          globalOrder={globalOrder}
+        />
+      </div>
     </div>
   );
 };
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { Button, Modal } from "../ui";
+import { useWriteQueue } from "../../hooks";
+import { MutationStatus } from "../../../utils/api/OfflineWriteQueue";
+
+const describeMutation = (mutation) => {
+  const postLabel = mutation.postIds.map((id) => `#${id}`).join(", ");
+  const action =
+    mutation.method === "savePostWithOperations" ? "Save" : "Update";
+  return `${action} ${postLabel}`;
+};
+
+/**
+ * Header indicator for writes queued while the backend was unreachable
+ */
+const WriteQueueStatus = () => {
+  const {
+    total,
+    pending,
+    conflicts,
+    failed,
+    replaying,
+    mutations,
+    replay,
+    discard,
+    overwrite,
+  } = useWriteQueue();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (total === 0) {
+    return null;
+  }
+
+  const needsAttention = conflicts + failed > 0;
+
+  const handleDiscard = (id) => {
+    if (
+      confirm(
+        "Discard this queued change? It will not be sent to the server."
+      )
+    ) {
+      discard(id);
+    }
+  };
+
+  const handleOverwrite = (id) => {
+    if (
+      confirm(
+        "Overwrite the newer server version with this queued change?"
+      )
+    ) {
+      overwrite(id);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="secondary"
+        className={needsAttention ? "!border-error !text-error" : ""}
+        onClick={() => setIsOpen(true)}
+        title="Changes waiting to be sent to the server"
+      >
+        {replaying ? "Syncing..." : `⟳ ${pending} pending`}
+        {needsAttention && ` · ⚠︎ ${conflicts + failed}`}
+      </Button>
+
+      <Modal
+        isOpen={isOpen}
+        onClose={() => setIsOpen(false)}
+        title="Queued changes"
+        size="medium"
+      >
+        <p className="text-sm text-contrast mb-4">
+          These changes were made while the server was unreachable. They are
+          stored in this browser and sent in order once the server responds
+          again.
+        </p>
+
+        <ul className="flex flex-col gap-2 max-h-[50vh] overflow-auto">
+          {mutations.map((mutation) => (
+            <li
+              key={mutation.id}
+              className="flex items-center justify-between gap-4 p-3 rounded border border-outline"
+            >
+              <div className="min-w-0">
+                <div className="text-highlight text-sm">
+                  {describeMutation(mutation)}
+                </div>
+                <div className="text-xs text-contrast">
+                  {new Date(mutation.createdAt).toLocaleString()} ·{" "}
+                  {mutation.status}
+                </div>
+                {mutation.error && (
+                  <div className="text-xs text-error mt-1">{mutation.error}</div>
+                )}
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                {mutation.status !== MutationStatus.PENDING && (
+                  <Button
+                    variant="secondary"
+                    onClick={() => handleOverwrite(mutation.id)}
+                  >
+                    Overwrite
+                  </Button>
+                )}
+                <Button
+                  variant="destroy"
+                  onClick={() => handleDiscard(mutation.id)}
+                >
+                  Discard
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end gap-2 pt-4">
+          <Button variant="secondary" onClick={() => setIsOpen(false)}>
+            Close
+          </Button>
+          <Button onClick={replay} disabled={replaying || pending === 0}>
+            {replaying ? "Syncing..." : "Retry now"}
+          </Button>
+        </div>
+      </Modal>
+    </>
+  );
+};
+
+export default WriteQueueStatus;
@@ -1,5 +1,5 @@
-import { useState, useEffect, useCallback } from 'react';
-import { apiClient } from '../../../../../utils';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { apiClient, isAbortError } from '../../../../../utils';
 
 /**
  * Custom hook for managing block attributes via API
@@ -12,19 +12,29 @@ export const useBlockAttributes = (postId) => {
     const [error, setError] = useState(null);
     const [saving, setSaving] = useState(false);
 
+    // Controller of the fetch in flight - cancelled by a newer fetch or on unmount
+    const fetchControllerRef = useRef(null);
+
     // Fetch attributes from API
     const fetchAttributes = useCallback(async () => {
+        fetchControllerRef.current?.abort();
+
         if (!postId) {
             setAttributes([]);
             setLoading(false);
             return;
         }
 
+        const controller = new AbortController();
+        fetchControllerRef.current = controller;
+
         try {
             setLoading(true);
             setError(null);
 
-            const response = await apiClient.request(`/block-attributes/${postId}`);
+            const response = await apiClient.request(`/block-attributes/${postId}`, {
+                signal: controller.signal
+            });
 
             if (response.success && response.data) {
                 // Transform database format to frontend format
@@ -53,11 +63,15 @@ export const useBlockAttributes = (postId) => {
                 setAttributes([]);
             }
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error('Failed to fetch attributes:', err);
             setError(err.message || 'Failed to load attributes');
             setAttributes([]);
         } finally {
-            setLoading(false);
+            if (fetchControllerRef.current === controller) {
+                fetchControllerRef.current = null;
+                setLoading(false);
+            }
         }
     }, [postId]);
 
@@ -160,6 +174,7 @@ export const useBlockAttributes = (postId) => {
     // Load attributes on mount and when postId changes
     useEffect(() => {
         fetchAttributes();
+        return () => fetchControllerRef.current?.abort();
     }, [fetchAttributes]);
 
     return {
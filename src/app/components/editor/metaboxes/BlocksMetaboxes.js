@@ -1,9 +1,70 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { MonacoEditor } from '../../ui';
 import AttributesManager from '../attributes/AttributesManager';
+import CompiledCssPane from '../CompiledCssPane';
+import { useScssLint } from '../../../hooks';
+import { getStyleScope, getWrapperClass } from '../../../../utils/styleScope';
 
-const BlocksMetaboxes = ({ metaData, onChange, titleComponent, selectedPost }) => {
+const SEVERITY_CLASSES = {
+  error: 'text-error',
+  warning: 'text-warning',
+  info: 'text-contrast',
+};
+
+/**
+ * Errors and warnings of the last SCSS compile for one tab
+ * Block lines jump to the editor, partial lines open the partial at that line
+ * (the generated theme tokens partial can't be opened)
+ */
+const ScssDiagnosticsList = ({ diagnostics, onReveal, onOpenPartial }) => (
+  <ul className="absolute bottom-0 left-0 right-0 z-10 max-h-40 overflow-auto bg-base-2 border-t border-outline text-xs font-mono">
+    {diagnostics.map((diagnostic, index) => {
+      const inPartial = diagnostic.type !== 'main_block';
+      const location = { line: diagnostic.startLine, column: diagnostic.startColumn };
+
+      return (
+        <li key={index} className="flex items-start gap-3 px-4 py-2 border-b border-outline">
+          <span className={`flex-shrink-0 uppercase ${SEVERITY_CLASSES[diagnostic.severity] || 'text-error'}`}>
+            {diagnostic.severity}
+          </span>
+          <span className="flex-1 min-w-0 whitespace-pre-wrap text-highlight">{diagnostic.message}</span>
+          {inPartial && !diagnostic.partialId ? (
+            <span className="flex-shrink-0 text-contrast">
+              {diagnostic.partialTitle}:{diagnostic.startLine}
+            </span>
+          ) : inPartial ? (
+            <button
+              className="flex-shrink-0 text-action hover:underline"
+              onClick={() => onOpenPartial?.(diagnostic.partialId, location)}
+            >
+              {diagnostic.partialTitle}:{diagnostic.startLine}
+            </button>
+          ) : (
+            <button
+              className="flex-shrink-0 text-action hover:underline"
+              onClick={() => onReveal({ ...location })}
+            >
+              Line {diagnostic.startLine}
+            </button>
+          )}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+const BlocksMetaboxes = ({
+  metaData,
+  onChange,
+  titleComponent,
+  selectedPost,
+  scssDiagnostics,
+  scssPartialLoaders,
+  onOpenPartial,
+}) => {
   const [activeTab, setActiveTab] = useState('php');
+  const [revealPosition, setRevealPosition] = useState(null);
+  const [showCompiledCss, setShowCompiledCss] = useState(false);
 
   const handleMetaChange = (field, value) => {
     onChange('blocks', field, value);
@@ -11,10 +72,31 @@ const BlocksMetaboxes = ({ metaData, onChange, titleComponent, selectedPost }) =
 
   const blocks = metaData?.blocks || {};
 
+  // Scoped styles are put inside the wrapper when compiled, so the lint
+  // doesn't ask for it
+  const styleScope = getStyleScope(selectedPost, blocks);
+  const wrapperClass = styleScope ? null : getWrapperClass(selectedPost?.slug);
+  const scssLint = useScssLint(blocks.scss, { wrapperClass });
+  const editorScssLint = useScssLint(blocks.editorScss, { wrapperClass });
+
+  // Only problems in the block's own SCSS can be marked in its editors,
+  // next to the lint results
+  const scssMarkers = useMemo(() => {
+    const lint = { scss: scssLint, editorScss: editorScssLint };
+    const markers = {};
+    ['scss', 'editorScss'].forEach((field) => {
+      markers[field] = [
+        ...(scssDiagnostics?.[field] || []).filter((diagnostic) => diagnostic.type === 'main_block'),
+        ...lint[field],
+      ];
+    });
+    return markers;
+  }, [scssDiagnostics, scssLint, editorScssLint]);
+
   const tabs = [
     { id: 'php', label: 'Content', language: 'php', required: true, placeholder: 'Enter PHP code for the block...' },
-    { id: 'scss', label: 'Style', language: 'scss', placeholder: 'Enter SCSS styles for the block...' },
-    { id: 'editorScss', label: 'Editor Style', language: 'scss', placeholder: 'Enter SCSS styles for the block editor...' },
+    { id: 'scss', label: 'Style', language: 'scss', hasCompiledCss: true, placeholder: 'Enter SCSS styles for the block...' },
+    { id: 'editorScss', label: 'Editor Style', language: 'scss', hasCompiledCss: true, placeholder: 'Enter SCSS styles for the block editor...' },
     { id: 'js', label: 'View', language: 'javascript', placeholder: 'Enter JavaScript code for the block...' },
     { id: 'attributes', label: 'Attributes', isAttributesTab: true }
   ];
@@ -39,6 +121,17 @@ const BlocksMetaboxes = ({ metaData, onChange, titleComponent, selectedPost }) =
                 {tab.label}
               </button>
             ))}
+            {tabs.find(tab => tab.id === activeTab)?.hasCompiledCss && (
+              <button
+                className={`ml-auto p-4 !text-[0.875rem] transition-colors ${
+                  showCompiledCss ? 'text-highlight' : 'text-contrast hover:text-highlight'
+                }`}
+                onClick={() => setShowCompiledCss(!showCompiledCss)}
+                title="Show the CSS this SCSS compiles to, with the partial each line comes from"
+              >
+                {showCompiledCss ? 'Hide CSS' : 'Show CSS'}
+              </button>
+            )}
           </div>
         </div>
       </header>
@@ -57,15 +150,37 @@ const BlocksMetaboxes = ({ metaData, onChange, titleComponent, selectedPost }) =
                 />
               </div>
             ) : (
-              <MonacoEditor
+              <>
+                <MonacoEditor
                   value={blocks[tab.id] || ''}
                   onChange={(e) => handleMetaChange(tab.id, e.target.value)}
                   language={tab.language || 'plaintext'}
-                  className="absolute inset-0"
+                  className={tab.hasCompiledCss && showCompiledCss ? 'absolute inset-y-0 left-0 right-1/2' : 'absolute inset-0'}
                   placeholder={tab.placeholder}
                   enableEmmet={tab.language === 'php' || tab.language === 'javascript' || tab.language === 'scss'}
                   enablePhpHtmlSwitching={tab.language === 'php'}
+                  markers={scssMarkers[tab.id]}
+                  revealPosition={activeTab === tab.id ? revealPosition : null}
                 />
+                {tab.hasCompiledCss && showCompiledCss && activeTab === tab.id && (
+                  <div className="absolute inset-y-0 right-0 w-1/2 border-l border-outline">
+                    <CompiledCssPane
+                      postId={selectedPost?.id}
+                      scss={blocks[tab.id]}
+                      getPartials={scssPartialLoaders?.[tab.id]}
+                      scope={styleScope}
+                      onOpenPartial={onOpenPartial}
+                    />
+                  </div>
+                )}
+                {scssDiagnostics?.[tab.id]?.length > 0 && (
+                  <ScssDiagnosticsList
+                    diagnostics={scssDiagnostics[tab.id]}
+                    onReveal={setRevealPosition}
+                    onOpenPartial={onOpenPartial}
+                  />
+                )}
+              </>
             )}
           </div>
         ))}
@@ -1,12 +1,14 @@
 import React from 'react';
 import { MonacoEditor } from '../../ui';
+import { useScssLint } from '../../../hooks';
 
-const ScssPartialsMetaboxes = ({ metaData, onChange, titleComponent }) => {
+const ScssPartialsMetaboxes = ({ metaData, onChange, titleComponent, editorLocation }) => {
   const handleMetaChange = (field, value) => {
     onChange('scss_partials', field, value);
   };
 
   const scssPartials = metaData?.scss_partials || {};
+  const lintMarkers = useScssLint(scssPartials.scss, { isPartial: true });
 
   return (
     <>
@@ -24,6 +26,8 @@ const ScssPartialsMetaboxes = ({ metaData, onChange, titleComponent }) => {
           className="absolute inset-0"
           placeholder="Enter SCSS partial code..."
           enableEmmet={true}
+          revealPosition={editorLocation}
+          markers={lintMarkers}
         />
       </div>
     </>
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react";
+import { Button, Input, Toast } from "../ui";
+import centralizedApi from "../../../utils/api/CentralizedApiService";
+
+const DEFAULTS = {
+  allowedTags: "",
+  allowedAttributes: "",
+};
+
+/**
+ * Tags and attributes the editor preview keeps for every block
+ * Blocks can allow more in their own settings. The editor picks changes up
+ * when it is opened again.
+ */
+const BlockRendererSettings = () => {
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULTS,
+    ...window.funculoSettings?.settings?.blockRenderer,
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+  const [toast, setToast] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    centralizedApi
+      .getSettings()
+      .then((loaded) => {
+        if (isCurrent && loaded?.blockRenderer) {
+          setSettings({ ...DEFAULTS, ...loaded.blockRenderer });
+        }
+      })
+      .catch((error) => {
+        console.warn("Failed to load settings:", error);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  const updateSetting = (key, value) => {
+    setSettings((current) => ({ ...current, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const saved = await centralizedApi.updateSettings({
+        blockRenderer: settings,
+      });
+      setSettings({ ...DEFAULTS, ...saved.blockRenderer });
+      setToast({
+        type: "success",
+        title: "Settings saved",
+        message: "Reload the block editor to use them",
+      });
+    } catch (error) {
+      setToast({ type: "error", title: "Save failed", message: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-base-2 border border-outline rounded-lg p-6 text-left mb-6">
+      <h2 className="text-xl text-highlight mb-2">Editor Preview</h2>
+      <p className="text-sm text-contrast mb-4">
+        The block editor preview drops tags and attributes it doesn't know.
+        Names listed here are kept for every block; "my-*" allows every name
+        starting with "my-". Scripts and on* event attributes are never kept.
+      </p>
+
+      <div className="flex flex-col gap-4">
+        <label className="flex flex-col gap-1">
+          <span className="text-sm text-highlight">Allowed tags</span>
+          <Input
+            value={settings.allowedTags}
+            onChange={(event) => updateSetting("allowedTags", event.target.value)}
+            placeholder="iframe, dialog, template"
+          />
+        </label>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-sm text-highlight">Allowed attributes</span>
+          <Input
+            value={settings.allowedAttributes}
+            onChange={(event) =>
+              updateSetting("allowedAttributes", event.target.value)
+            }
+            placeholder="allow, allowfullscreen, frameborder"
+          />
+          <span className="text-xs text-contrast">
+            Comma-separated. With WP_DEBUG on, the editor logs what it drops.
+          </span>
+        </label>
+
+        <div>
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save"}
+          </Button>
+        </div>
+      </div>
+
+      <Toast
+        isVisible={!!toast}
+        type={toast?.type}
+        title={toast?.title}
+        message={toast?.message}
+        onClose={() => setToast(null)}
+      />
+    </div>
+  );
+};
+
+export default BlockRendererSettings;
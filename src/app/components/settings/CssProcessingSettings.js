@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from "react";
+import { Button, Input, Select, Toast, Toggle } from "../ui";
+import centralizedApi from "../../../utils/api/CentralizedApiService";
+
+const OUTPUT_OPTIONS = [
+  { value: "expanded", label: "Expanded (readable)" },
+  { value: "production", label: "Production (minified)" },
+];
+
+const DEFAULTS = {
+  autoprefix: false,
+  targets: "defaults",
+  output: "expanded",
+};
+
+/**
+ * Post-processing applied to every block's compiled CSS
+ * Blocks pick the new settings up the next time their SCSS compiles.
+ */
+const CssProcessingSettings = () => {
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULTS,
+    ...window.funculoSettings?.settings?.cssProcessing,
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+  const [toast, setToast] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    centralizedApi
+      .getSettings()
+      .then((loaded) => {
+        if (isCurrent && loaded?.cssProcessing) {
+          setSettings({ ...DEFAULTS, ...loaded.cssProcessing });
+        }
+      })
+      .catch((error) => {
+        console.warn("Failed to load settings:", error);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  const updateSetting = (key, value) => {
+    setSettings((current) => ({ ...current, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      if (settings.autoprefix) {
+        // Loaded on demand - browserslist brings the browser usage data
+        const { findTargetsError } = await import(
+          "../../../scss-compiler/postprocess.js"
+        );
+        const targetsError = findTargetsError(settings.targets);
+        if (targetsError) {
+          throw new Error(`Invalid browser targets: ${targetsError}`);
+        }
+      }
+
+      const saved = await centralizedApi.updateSettings({
+        cssProcessing: settings,
+      });
+      setSettings({ ...DEFAULTS, ...saved.cssProcessing });
+      setToast({
+        type: "success",
+        title: "Settings saved",
+        message: "Blocks use them the next time their styles are compiled",
+      });
+    } catch (error) {
+      setToast({ type: "error", title: "Save failed", message: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-base-2 border border-outline rounded-lg p-6 text-left mb-6">
+      <h2 className="text-xl text-highlight mb-2">CSS Processing</h2>
+      <p className="text-sm text-contrast mb-4">
+        Runs after SCSS compilation. Autoprefixing adds the vendor prefixes the
+        target browsers need; production output minifies the CSS.
+      </p>
+
+      <div className="flex flex-col gap-4">
+        <Toggle
+          id="css-processing-autoprefix"
+          checked={settings.autoprefix}
+          onChange={(event) => updateSetting("autoprefix", event.target.checked)}
+          label="Add vendor prefixes"
+        />
+
+        <label className="flex flex-col gap-1">
+          <span className="text-sm text-highlight">Browser targets</span>
+          <Input
+            value={settings.targets}
+            onChange={(event) => updateSetting("targets", event.target.value)}
+            placeholder="defaults"
+            disabled={!settings.autoprefix}
+          />
+          <span className="text-xs text-contrast">
+            Browserslist query, e.g. "&gt; 0.5%, last 2 versions, not dead"
+          </span>
+        </label>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-sm text-highlight">Output</span>
+          <Select
+            value={settings.output}
+            onChange={(event) => updateSetting("output", event.target.value)}
+            options={OUTPUT_OPTIONS}
+          />
+        </label>
+
+        <div>
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save"}
+          </Button>
+        </div>
+      </div>
+
+      <Toast
+        isVisible={!!toast}
+        type={toast?.type}
+        title={toast?.title}
+        message={toast?.message}
+        onClose={() => setToast(null)}
+      />
+    </div>
+  );
+};
+
+export default CssProcessingSettings;
@@ -0,0 +1,164 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Button } from "../ui";
+import centralizedApi from "../../../utils/api/CentralizedApiService";
+
+const REFRESH_INTERVAL = 2000;
+
+const formatMs = (value) => `${Math.round(value)} ms`;
+
+const formatExpiry = (expiresIn) =>
+  expiresIn <= 0 ? "expired" : `${Math.ceil(expiresIn / 1000)} s`;
+
+const Stat = ({ label, value }) => (
+  <div className="p-3 rounded border border-outline">
+    <div className="text-xs text-contrast">{label}</div>
+    <div className="text-lg text-highlight">{value}</div>
+  </div>
+);
+
+/**
+ * Debug mode panel for API latency, retries, deduplication and cache contents
+ * Data comes from centralizedApi.getDiagnostics() and refreshes every few seconds
+ */
+const DiagnosticsPanel = () => {
+  const [snapshot, setSnapshot] = useState(() => centralizedApi.getDiagnostics());
+
+  const refresh = useCallback(() => {
+    setSnapshot(centralizedApi.getDiagnostics());
+  }, []);
+
+  useEffect(() => {
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [refresh]);
+
+  const handleInvalidate = (entry) => {
+    centralizedApi.invalidateCacheKey(entry.layer, entry.key);
+    refresh();
+  };
+
+  const handleExport = () => {
+    const current = centralizedApi.getDiagnostics();
+    const blob = new Blob([JSON.stringify(current, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `fancoolo-diagnostics-${current.generatedAt.replace(/[:.]/g, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const { client, endpoints, cacheEntries } = snapshot;
+  const pendingKeys = [
+    ...client.pendingRequestKeys,
+    ...snapshot.serviceCache.pendingKeys,
+  ];
+  const endpointRows = Object.entries(endpoints).sort(
+    ([, a], [, b]) => b.p95 - a.p95
+  );
+
+  return (
+    <div className="bg-base-2 border border-outline rounded-lg p-6 text-left mt-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 className="text-xl text-highlight">Diagnostics</h2>
+        <div className="flex gap-2">
+          <Button variant="secondary" onClick={refresh}>
+            Refresh
+          </Button>
+          <Button onClick={handleExport}>Export snapshot</Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-2 mb-6">
+        <Stat label="Requests" value={client.requests} />
+        <Stat label="Cache hit ratio" value={client.cacheHitRate} />
+        <Stat label="Retries" value={client.retries} />
+        <Stat label="Errors" value={client.errors} />
+        <Stat label="Aborted" value={client.aborted} />
+        <Stat label="Pending (deduplicated)" value={pendingKeys.length} />
+        <Stat label="Queued writes" value={client.queuedWrites} />
+        <Stat label="Transport" value={client.transport} />
+      </div>
+
+      <h3 className="text-highlight mb-2">Endpoint latency</h3>
+      {endpointRows.length === 0 ? (
+        <p className="text-sm text-contrast mb-6">No requests recorded yet.</p>
+      ) : (
+        <div className="overflow-auto max-h-[40vh] mb-6">
+          <table className="w-full text-xs">
+            <thead className="text-contrast">
+              <tr>
+                <th className="text-left p-1">Endpoint</th>
+                <th className="text-right p-1">Count</th>
+                <th className="text-right p-1">p50</th>
+                <th className="text-right p-1">p95</th>
+                <th className="text-right p-1">p99</th>
+                <th className="text-right p-1">Retries</th>
+              </tr>
+            </thead>
+            <tbody>
+              {endpointRows.map(([operation, metric]) => (
+                <tr key={operation} className="border-t border-outline">
+                  <td className="p-1 text-highlight break-all">
+                    {operation.replace(/^request:/, "")}
+                  </td>
+                  <td className="p-1 text-right">{metric.count}</td>
+                  <td className="p-1 text-right">{formatMs(metric.p50)}</td>
+                  <td className="p-1 text-right">{formatMs(metric.p95)}</td>
+                  <td className="p-1 text-right">{formatMs(metric.p99)}</td>
+                  <td className="p-1 text-right">{metric.retries}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pendingKeys.length > 0 && (
+        <>
+          <h3 className="text-highlight mb-2">Pending requests</h3>
+          <ul className="text-xs text-contrast mb-6 flex flex-col gap-1">
+            {pendingKeys.map((key) => (
+              <li key={key} className="break-all">
+                {key}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <h3 className="text-highlight mb-2">Cache entries</h3>
+      {cacheEntries.length === 0 ? (
+        <p className="text-sm text-contrast">The cache is empty.</p>
+      ) : (
+        <ul className="flex flex-col gap-1 max-h-[40vh] overflow-auto">
+          {cacheEntries.map((entry) => (
+            <li
+              key={`${entry.layer}:${entry.key}`}
+              className="flex items-center justify-between gap-4 p-2 rounded border border-outline text-xs"
+            >
+              <span className="min-w-0 break-all text-highlight">
+                {entry.key}
+              </span>
+              <span className="flex items-center gap-3 flex-shrink-0 text-contrast">
+                <span>{entry.layer}</span>
+                <span>{formatExpiry(entry.expiresIn)}</span>
+                <Button
+                  variant="ghost"
+                  className="!px-2 !py-1 text-xs"
+                  onClick={() => handleInvalidate(entry)}
+                >
+                  Invalidate
+                </Button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
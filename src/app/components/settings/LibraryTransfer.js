@@ -0,0 +1,254 @@
+import React, { useRef, useState } from "react";
+import { Button, Modal, Toast } from "../ui";
+import centralizedApi from "../../../utils/api/CentralizedApiService";
+
+const ACTION_LABELS = {
+  create: "Create",
+  update: "Overwrite",
+  collision: "Skip - slug collision",
+  invalid: "Skip - invalid",
+};
+
+const STAGE_LABELS = {
+  create: "Creating posts",
+  write: "Writing content",
+  css: "Restoring compiled CSS",
+  regenerate: "Regenerating files",
+  done: "Finishing",
+};
+
+const TYPE_LABELS = {
+  blocks: "Block",
+  symbols: "Symbol",
+  "scss-partials": "SCSS Partial",
+};
+
+/**
+ * Export the library to a JSON file and import it on another site
+ * Imports always go through a server preview first so the user can see
+ * what will be created, overwritten or skipped before anything changes.
+ */
+const LibraryTransfer = () => {
+  const fileInputRef = useRef(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [bundle, setBundle] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [toast, setToast] = useState(null);
+
+  const showToast = (type, title, message) => {
+    setToast({ type, title, message });
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const exported = await centralizedApi.exportLibrary();
+      const blob = new Blob([JSON.stringify(exported, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `fancoolo-library-${new Date()
+        .toISOString()
+        .slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      showToast(
+        "success",
+        "Library exported",
+        `${exported.items.length} items saved to ${link.download}`
+      );
+    } catch (error) {
+      showToast("error", "Export failed", error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const plan = await centralizedApi.previewLibraryImport(parsed);
+      setBundle(parsed);
+      setPreview(plan);
+    } catch (error) {
+      showToast(
+        "error",
+        "Can't import this file",
+        error instanceof SyntaxError ? "The file is not valid JSON" : error.message
+      );
+    }
+  };
+
+  const closePreview = () => {
+    if (isImporting) return;
+    setBundle(null);
+    setPreview(null);
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await centralizedApi.importLibrary(bundle, {
+        onProgress: setProgress,
+      });
+
+      const summary = `${result.created.length} created, ${result.updated.length} updated, ${result.skipped.length} skipped`;
+      if (result.failed.length > 0) {
+        showToast(
+          "error",
+          `Import finished with ${result.failed.length} errors`,
+          `${summary}. Failed: ${result.failed
+            .map((item) => `${item.slug} (${item.error})`)
+            .join(", ")}`
+        );
+      } else {
+        showToast("success", "Library imported", summary);
+      }
+
+      setBundle(null);
+      setPreview(null);
+    } catch (error) {
+      showToast("error", "Import failed", error.message);
+    } finally {
+      setIsImporting(false);
+      setProgress(null);
+    }
+  };
+
+  const importCount = preview
+    ? preview.summary.create + preview.summary.update
+    : 0;
+
+  return (
+    <div className="bg-base-2 border border-outline rounded-lg p-6 text-left">
+      <h2 className="text-xl text-highlight mb-2">Library</h2>
+      <p className="text-sm text-contrast mb-4">
+        Move blocks, symbols and SCSS partials between sites. The export
+        includes block attributes, inner blocks settings, selected partials and
+        global partial order.
+      </p>
+
+      <div className="flex gap-2">
+        <Button onClick={handleExport} disabled={isExporting}>
+          {isExporting ? "Exporting..." : "Export library"}
+        </Button>
+        <Button
+          variant="secondary"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Import library...
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleFileChange}
+        />
+      </div>
+
+      <Modal
+        isOpen={!!preview}
+        onClose={closePreview}
+        title="Import library"
+        size="large"
+      >
+        {preview && (
+          <>
+            <p className="text-sm text-contrast mb-4">
+              {preview.source?.site_url
+                ? `Exported from ${preview.source.site_url}`
+                : "Exported library"}
+              {preview.source?.exported_at &&
+                ` on ${new Date(preview.source.exported_at).toLocaleString()}`}
+              . {preview.summary.create} to create, {preview.summary.update} to
+              overwrite, {preview.summary.collision + preview.summary.invalid}{" "}
+              to skip.
+            </p>
+
+            {preview.warnings?.length > 0 && (
+              <ul className="text-xs text-error mb-4 flex flex-col gap-1">
+                {preview.warnings.map((warning) => (
+                  <li key={warning}>⚠︎ {warning}</li>
+                ))}
+              </ul>
+            )}
+
+            <ul className="flex flex-col gap-2 max-h-[50vh] overflow-auto">
+              {preview.items.map((entry) => (
+                <li
+                  key={entry.index}
+                  className="flex items-center justify-between gap-4 p-3 rounded border border-outline"
+                >
+                  <div className="min-w-0">
+                    <div className="text-highlight text-sm">
+                      {entry.title || entry.slug}
+                    </div>
+                    <div className="text-xs text-contrast">
+                      {TYPE_LABELS[entry.type] || entry.type} · {entry.slug}
+                    </div>
+                    {entry.reason && (
+                      <div className="text-xs text-error mt-1">
+                        {entry.reason}
+                      </div>
+                    )}
+                  </div>
+                  <span
+                    className={`text-xs flex-shrink-0 ${
+                      entry.action === "collision" || entry.action === "invalid"
+                        ? "text-error"
+                        : "text-highlight"
+                    }`}
+                  >
+                    {ACTION_LABELS[entry.action] || entry.action}
+                  </span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex justify-between items-center gap-2 pt-4">
+              <span className="text-xs text-contrast">
+                {progress &&
+                  `${STAGE_LABELS[progress.stage] || progress.stage} (${progress.done}/${progress.total})`}
+              </span>
+              <div className="flex gap-2">
+                <Button
+                  variant="secondary"
+                  onClick={closePreview}
+                  disabled={isImporting}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  onClick={handleImport}
+                  disabled={isImporting || importCount === 0}
+                >
+                  {isImporting ? "Importing..." : `Import ${importCount} items`}
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </Modal>
+
+      <Toast
+        isVisible={!!toast}
+        type={toast?.type}
+        title={toast?.title}
+        message={toast?.message}
+        onClose={() => setToast(null)}
+      />
+    </div>
+  );
+};
+
+export default LibraryTransfer;
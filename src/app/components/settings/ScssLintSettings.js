@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from "react";
+import { Button, Input, Select, Toast, Toggle } from "../ui";
+import centralizedApi from "../../../utils/api/CentralizedApiService";
+import {
+  DEFAULT_LINT_SETTINGS,
+  LINT_RULES,
+  getLintSettings,
+} from "../../../utils/scssLint";
+
+const SEVERITY_OPTIONS = [
+  { value: "off", label: "Off" },
+  { value: "warning", label: "Warning" },
+  { value: "error", label: "Error" },
+];
+
+const withDefaults = (settings = {}) => ({
+  ...DEFAULT_LINT_SETTINGS,
+  ...settings,
+  rules: { ...DEFAULT_LINT_SETTINGS.rules, ...settings.rules },
+});
+
+/**
+ * Rules of the SCSS linter in the Style, Editor Style and partial editors
+ */
+const ScssLintSettings = () => {
+  const [settings, setSettings] = useState(getLintSettings);
+  const [isSaving, setIsSaving] = useState(false);
+  const [toast, setToast] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    centralizedApi
+      .getSettings()
+      .then((loaded) => {
+        if (isCurrent && loaded?.scssLint) {
+          setSettings(withDefaults(loaded.scssLint));
+        }
+      })
+      .catch((error) => {
+        console.warn("Failed to load settings:", error);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  const updateSetting = (key, value) => {
+    setSettings((current) => ({ ...current, [key]: value }));
+  };
+
+  const updateRule = (rule, severity) => {
+    setSettings((current) => ({
+      ...current,
+      rules: { ...current.rules, [rule]: severity },
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const saved = await centralizedApi.updateSettings({
+        scssLint: {
+          ...settings,
+          maxNestingDepth: Number(settings.maxNestingDepth),
+          maxImportant: Number(settings.maxImportant),
+        },
+      });
+      setSettings(withDefaults(saved.scssLint));
+      setToast({
+        type: "success",
+        title: "Settings saved",
+        message: "Lint rules apply to the editors right away",
+      });
+    } catch (error) {
+      setToast({ type: "error", title: "Save failed", message: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-base-2 border border-outline rounded-lg p-6 text-left mb-6">
+      <h2 className="text-xl text-highlight mb-2">SCSS Lint</h2>
+      <p className="text-sm text-contrast mb-4">
+        Checks block and partial SCSS while you type and marks problems in the
+        editor. Block selectors must start with the block wrapper class
+        (.wp-block-fancoolo-&lt;slug&gt;).
+      </p>
+
+      <div className="flex flex-col gap-4">
+        <Toggle
+          id="scss-lint-enabled"
+          checked={settings.enabled}
+          onChange={(event) => updateSetting("enabled", event.target.checked)}
+          label="Lint SCSS"
+        />
+        <Toggle
+          id="scss-lint-block-save"
+          checked={settings.blockSave}
+          onChange={(event) => updateSetting("blockSave", event.target.checked)}
+          disabled={!settings.enabled}
+          label='Block saving while rules set to "Error" are violated'
+        />
+
+        <ul className="flex flex-col gap-2">
+          {Object.entries(LINT_RULES).map(([rule, label]) => (
+            <li key={rule} className="flex items-center justify-between gap-4">
+              <span className="text-sm text-highlight">
+                {label}
+                <span className="text-xs text-contrast font-mono"> {rule}</span>
+              </span>
+              <Select
+                value={settings.rules[rule]}
+                onChange={(event) => updateRule(rule, event.target.value)}
+                options={SEVERITY_OPTIONS}
+                disabled={!settings.enabled}
+              />
+            </li>
+          ))}
+        </ul>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="flex flex-col gap-1">
+            <span className="text-sm text-highlight">Max nesting depth</span>
+            <Input
+              type="number"
+              min="0"
+              max="20"
+              value={settings.maxNestingDepth}
+              onChange={(event) =>
+                updateSetting("maxNestingDepth", event.target.value)
+              }
+              disabled={!settings.enabled}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-sm text-highlight">
+              Max !important per stylesheet
+            </span>
+            <Input
+              type="number"
+              min="0"
+              max="20"
+              value={settings.maxImportant}
+              onChange={(event) =>
+                updateSetting("maxImportant", event.target.value)
+              }
+              disabled={!settings.enabled}
+            />
+          </label>
+        </div>
+
+        <div>
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save"}
+          </Button>
+        </div>
+      </div>
+
+      <Toast
+        isVisible={!!toast}
+        type={toast?.type}
+        title={toast?.title}
+        message={toast?.message}
+        onClose={() => setToast(null)}
+      />
+    </div>
+  );
+};
+
+export default ScssLintSettings;
@@ -2,10 +2,18 @@ import React, { useEffect, useRef, useState } from 'react';
 import Editor from '@monaco-editor/react';
 import { emmetHTML, emmetCSS } from 'emmet-monaco-es';
 import { initializeWindenAutocomplete } from '../../../utils/monaco/classNamesCompletionProvider';
+import { registerThemeTokensCompletion } from '../../../utils/monaco/themeTokensCompletionProvider';
 
 // Global Emmet initialization flags
 let globalEmmetHtmlInitialized = false;
 let globalEmmetCssInitialized = false;
+let globalThemeTokensInitialized = false;
+
+const MARKER_SEVERITIES = {
+  error: 'Error',
+  warning: 'Warning',
+  info: 'Info',
+};
 
 const MonacoEditor = ({
   value,
@@ -16,10 +24,14 @@ const MonacoEditor = ({
   enableEmmet = false,
   enablePhpHtmlSwitching = false,
   enableWindenAutocomplete = true,
+  markers = null, // [{ severity, message, startLine, startColumn, endLine, endColumn, source?, code? }]
+  markerOwner = 'fancoolo',
+  revealPosition = null, // { line, column } - moves the cursor there when it changes
   ...props
 }) => {
   const editorRef = useRef(null);
   const monacoRef = useRef(null);
+  const [isEditorReady, setIsEditorReady] = useState(false);
   const [currentLanguage, setCurrentLanguage] = useState(language);
   const isInternalChangeRef = useRef(false);
   const windenDisposableRef = useRef(null);
@@ -40,6 +52,43 @@ const MonacoEditor = ({
     isInternalChangeRef.current = false;
   }, [value]);
 
+  // Show diagnostics (compile errors, lint results) as squiggles
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    const model = editor?.getModel();
+    if (!isEditorReady || !model) return;
+
+    monaco.editor.setModelMarkers(
+      model,
+      markerOwner,
+      (markers || []).map((marker) => ({
+        severity: monaco.MarkerSeverity[MARKER_SEVERITIES[marker.severity] || 'Error'],
+        message: marker.message,
+        startLineNumber: marker.startLine,
+        startColumn: marker.startColumn,
+        endLineNumber: marker.endLine,
+        endColumn: marker.endColumn,
+        source: marker.source,
+        code: marker.code,
+      }))
+    );
+  }, [markers, markerOwner, isEditorReady]);
+
+  // Jump to a requested location (e.g. the line of an error in this file)
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!isEditorReady || !editor || !revealPosition) return;
+
+    const position = {
+      lineNumber: revealPosition.line,
+      column: revealPosition.column || 1,
+    };
+    editor.setPosition(position);
+    editor.revealLineInCenter(position.lineNumber);
+    editor.focus();
+  }, [revealPosition, isEditorReady]);
+
   // Cleanup Winden disposable on unmount
   useEffect(() => {
     return () => {
@@ -53,6 +102,7 @@ const MonacoEditor = ({
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
+    setIsEditorReady(true);
 
     if (enableEmmet) {
       // Initialize HTML Emmet for HTML-compatible languages including PHP (only once globally)
@@ -68,6 +118,12 @@ const MonacoEditor = ({
       }
     }
 
+    // Suggest theme.json tokens in SCSS editors (only once globally)
+    if (language === 'scss' && !globalThemeTokensInitialized) {
+      registerThemeTokensCompletion(monaco, ['scss']);
+      globalThemeTokensInitialized = true;
+    }
+
     // Set up PHP/HTML context switching if enabled
     if (enablePhpHtmlSwitching && language === 'php') {
       setupPhpHtmlSwitching(editor, monaco);
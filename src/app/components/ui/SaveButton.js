@@ -10,7 +10,7 @@ export default function SaveButton({ saveStatus, onSave }) {
       <Button
         variant="secondary"
         className={`${
-          saveStatus === "error"
+          saveStatus === "error" || saveStatus === "conflict"
             ? "!bg-red-600 !text-white hover:!bg-red-700"
             : "!bg-base-2"
         }`}
@@ -21,6 +21,10 @@ export default function SaveButton({ saveStatus, onSave }) {
           ? "Saving..."
           : saveStatus === "error"
           ? "⚠︎ Error - Retry"
+          : saveStatus === "queued"
+          ? "Queued offline"
+          : saveStatus === "conflict"
+          ? "⚠︎ Conflict - Resolve"
           : "Save"}
       </Button>
     </div>
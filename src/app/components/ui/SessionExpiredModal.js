@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from "react";
+import Button from "./Button";
+import Modal from "./Modal";
+import restSession from "../../../utils/api/RestSession";
+
+/**
+ * Asks the user to log in again once the WordPress session has ended
+ * Login happens in a separate window so unsaved editor changes survive.
+ */
+const SessionExpiredModal = () => {
+  const [expired, setExpired] = useState(() => restSession.getState().expired);
+  const [isChecking, setIsChecking] = useState(false);
+  const [stillLoggedOut, setStillLoggedOut] = useState(false);
+
+  useEffect(() => {
+    return restSession.subscribe((state) => setExpired(state.expired));
+  }, []);
+
+  const handleLogin = () => {
+    window.open(restSession.loginUrl, "fancoolo-login", "width=480,height=640");
+  };
+
+  const handleContinue = async () => {
+    setIsChecking(true);
+    const nonce = await restSession.refreshNonce();
+    setIsChecking(false);
+    setStillLoggedOut(!nonce);
+  };
+
+  return (
+    <Modal
+      isOpen={expired}
+      onClose={() => {}}
+      title="Session ended"
+      size="small"
+    >
+      <p className="text-sm text-contrast mb-4">
+        Your WordPress session has ended. Log in again in the new window, then
+        continue here - your unsaved changes are still in this tab.
+      </p>
+
+      {stillLoggedOut && (
+        <p className="text-xs text-error mb-4">
+          Still logged out. Finish logging in and try again.
+        </p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button variant="secondary" onClick={handleLogin}>
+          Log in
+        </Button>
+        <Button onClick={handleContinue} disabled={isChecking}>
+          {isChecking ? "Checking..." : "I've logged in"}
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+export default SessionExpiredModal;
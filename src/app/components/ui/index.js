@@ -15,4 +15,5 @@ export { default as ReactTags } from './ReactTags';
 export { default as SaveButton } from './SaveButton';
 export { default as AdminButton } from './AdminButton';
 export { default as IconGallery } from './IconGallery';
+export { default as SessionExpiredModal } from './SessionExpiredModal';
 export { DropdownMenu, DropdownMenuItem, DropdownMenuSeparator, DropdownMenuLabel } from './DropdownMenu';
\ No newline at end of file
@@ -4,3 +4,7 @@ export { useAppData } from "./useAppData";
 export { usePostOperations } from "./usePostOperations";
 export { useHotReloadSave } from "../../hooks/useHotReload";
 export { default as useRevisions } from "./useRevisions";
+export { default as useWriteQueue } from "./useWriteQueue";
+export { default as usePartialDependencies } from "./usePartialDependencies";
+export { default as useCompiledCssPreview } from "./useCompiledCssPreview";
+export { default as useScssLint } from "./useScssLint";
@@ -1,5 +1,14 @@
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import centralizedApi from "../../utils/api/CentralizedApiService";
+import { isAbortError } from "../../utils";
+
+// Service cache keys whose data this hook holds
+const SHARED_CACHE_KEYS = [
+  "posts",
+  "scss-partials",
+  "registered-blocks",
+  "block-categories",
+];
 
 /**
  * Custom hook for managing app-wide data loading
@@ -26,11 +35,23 @@ export const useAppData = (selectedPost, handlePostSelect, searchParams) => {
     blockCategories: true,
   });
 
+  // Controller of the load in flight - cancelled by a newer load or on unmount
+  const loadControllerRef = useRef(null);
+
+  useEffect(() => {
+    return () => loadControllerRef.current?.abort();
+  }, []);
+
   /**
    * Centralized data loading with cache warming and parallel fetching
    */
   const loadAllData = useCallback(
     async (showInitialLoading = true) => {
+      loadControllerRef.current?.abort();
+      const controller = new AbortController();
+      loadControllerRef.current = controller;
+      const { signal } = controller;
+
       try {
         if (showInitialLoading) setLoading(true);
 
@@ -46,12 +67,15 @@ export const useAppData = (selectedPost, handlePostSelect, searchParams) => {
           registeredBlocksResult,
           blockCategoriesResult,
         ] = await Promise.allSettled([
-          centralizedApi.getPosts({ per_page: 100 }),
-          centralizedApi.getScssPartials(),
-          centralizedApi.getRegisteredBlocks(),
-          centralizedApi.getBlockCategories(),
+          centralizedApi.getPosts({ per_page: 100 }, { signal }),
+          centralizedApi.getScssPartials({ signal }),
+          centralizedApi.getRegisteredBlocks({ signal }),
+          centralizedApi.getBlockCategories({ signal }),
         ]);
 
+        // A newer load replaced this one (or the component unmounted)
+        if (signal.aborted) return;
+
         // Process posts data
         if (postsResult.status === "fulfilled") {
           const posts = postsResult.value.posts || [];
@@ -79,9 +103,11 @@ export const useAppData = (selectedPost, handlePostSelect, searchParams) => {
             const preloadIds = allPosts.slice(1, 4).map((post) => post.id);
             if (preloadIds.length > 0) {
               centralizedApi
-                .getBatchPostsWithRelated(preloadIds)
+                .getBatchPostsWithRelated(preloadIds, { signal })
                 .catch((error) => {
-                  console.warn("Background preloading failed:", error);
+                  if (!isAbortError(error)) {
+                    console.warn("Background preloading failed:", error);
+                  }
                 });
             }
           }
@@ -139,6 +165,7 @@ export const useAppData = (selectedPost, handlePostSelect, searchParams) => {
           blockCategories: blockCategoriesResult.status !== "fulfilled",
         });
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error("Error loading app data:", error);
         setGroupedPosts({ blocks: [], symbols: [], "scss-partials": [] });
       } finally {
@@ -155,6 +182,16 @@ export const useAppData = (selectedPost, handlePostSelect, searchParams) => {
     loadAllData(false);
   }, [loadAllData]);
 
+  // Reload shared data when a background revalidation or another tab changed it
+  useEffect(() => {
+    return centralizedApi.onCacheChange((event) => {
+      const baseKey = (event.key || event.pattern || "").split(":")[0];
+      if (event.type === "clear" || SHARED_CACHE_KEYS.includes(baseKey)) {
+        refreshData();
+      }
+    });
+  }, [refreshData]);
+
   return {
     groupedPosts,
     setGroupedPosts,
@@ -0,0 +1,93 @@
+import { useEffect, useState } from "react";
+import { compileScssWithDiagnostics, isAbortError } from "../../utils";
+import { attributeCss } from "../../utils/cssAttribution";
+
+const EMPTY_PREVIEW = {
+  css: "",
+  bytes: 0,
+  attribution: null,
+  error: null,
+  compiling: false,
+};
+
+/**
+ * Hook compiling a block's SCSS for the live CSS preview
+ *
+ * Compiles with the same partials as saving does, `delay` ms after the last
+ * change. Nothing is saved, and results go through the compile cache, so
+ * saving afterwards usually doesn't run Sass again.
+ *
+ * @param {object} options
+ * @param {number} options.postId Block post ID
+ * @param {string} options.scss SCSS to compile
+ * @param {Function} options.getPartials Resolves { globalPartials, selectedPartials }
+ * @param {string} options.scope Scope selector of scoped styles, if any
+ * @param {boolean} options.enabled Compile only while the preview is shown
+ * @param {number} options.delay Debounce in ms
+ * @returns {object} { css, bytes, attribution, error, compiling } - see attributeCss
+ */
+const useCompiledCssPreview = ({
+  postId,
+  scss,
+  getPartials,
+  scope = null,
+  enabled,
+  delay = 500,
+}) => {
+  const [preview, setPreview] = useState(EMPTY_PREVIEW);
+
+  useEffect(() => {
+    setPreview(EMPTY_PREVIEW);
+  }, [postId]);
+
+  useEffect(() => {
+    if (!enabled || !postId) {
+      return;
+    }
+
+    const controller = new AbortController();
+    setPreview((current) => ({ ...current, compiling: true }));
+
+    const timer = setTimeout(async () => {
+      try {
+        const partials = getPartials ? await getPartials() : null;
+        const result = await compileScssWithDiagnostics(
+          scss || "",
+          null,
+          partials,
+          { signal: controller.signal, scope }
+        );
+
+        setPreview({
+          css: result.css,
+          bytes: new TextEncoder().encode(result.css).length,
+          attribution: attributeCss(result.css, result.sourceMap, result.origins),
+          error: null,
+          compiling: false,
+        });
+      } catch (error) {
+        if (isAbortError(error)) return;
+        // Keep the last good output next to the error
+        const diagnostic = error.diagnostics?.[0];
+        setPreview((current) => ({
+          ...current,
+          error: diagnostic
+            ? `${diagnostic.message} (${
+                diagnostic.type === "main_block" ? "" : `${diagnostic.partialTitle} `
+              }line ${diagnostic.startLine})`
+            : error.message,
+          compiling: false,
+        }));
+      }
+    }, delay);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [enabled, postId, scss, getPartials, scope, delay]);
+
+  return preview;
+};
+
+export default useCompiledCssPreview;
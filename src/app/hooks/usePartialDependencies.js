@@ -0,0 +1,102 @@
+import { useEffect, useMemo, useState } from "react";
+import centralizedApi from "../../utils/api/CentralizedApiService";
+import { isAbortError } from "../../utils";
+import { buildPartialGraph, orderPartials } from "../../utils/scssPartialGraph";
+
+/**
+ * Hook for the dependency graph of the SCSS partial library
+ *
+ * Loads every partial once per selected partial and rebuilds the graph as
+ * the edited partial changes, using its unsaved SCSS and global settings.
+ *
+ * @param {object} partial Edited partial { id, scss, isGlobal, globalOrder }
+ * @returns {object} { graph, globalOrder, loading, error } - globalOrder is
+ *   the order the compiler loads global partials in
+ */
+const usePartialDependencies = ({ id, scss, isGlobal, globalOrder }) => {
+  const [library, setLibrary] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!id) {
+      setLibrary([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const data = await centralizedApi.getScssPartials({ signal });
+        const partials = [
+          ...(data.globalPartials || []).map((partial) => ({
+            ...partial,
+            isGlobal: true,
+          })),
+          ...(data.availablePartials || []).map((partial) => ({
+            ...partial,
+            isGlobal: false,
+          })),
+        ];
+
+        const loaded = await Promise.all(
+          partials.map(async (partial) => {
+            const post = await centralizedApi.getPost(partial.id, { signal });
+            return {
+              id: partial.id,
+              slug: partial.slug,
+              title: partial.title,
+              isGlobal: partial.isGlobal,
+              globalOrder: Number(partial.globalOrder ?? partial.global_order) || 0,
+              scss: post.meta?.scss_partials?.scss || "",
+            };
+          })
+        );
+
+        setLibrary(loaded);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error("Error loading partial dependencies:", err);
+        setError(err.message || "Failed to load partials");
+      } finally {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    load();
+
+    return () => controller.abort();
+  }, [id]);
+
+  return useMemo(() => {
+    // The edited partial may be new or unpublished, so add it when missing
+    const edited = library.find((partial) => partial.id === id) || {
+      id,
+      title: "This partial",
+    };
+    const partials = [
+      ...library.filter((partial) => partial.id !== id),
+      { ...edited, scss: scss || "", isGlobal, globalOrder },
+    ];
+
+    const globals = partials
+      .filter((partial) => partial.isGlobal)
+      .sort((a, b) => a.globalOrder - b.globalOrder);
+
+    return {
+      graph: buildPartialGraph(partials),
+      globalOrder: orderPartials(globals).order,
+      loading,
+      error,
+    };
+  }, [library, id, scss, isGlobal, globalOrder, loading, error]);
+};
+
+export default usePartialDependencies;
@@ -1,5 +1,5 @@
-import { useCallback } from "react";
-import { apiClient } from "../../utils";
+import { useCallback, useEffect, useRef } from "react";
+import { apiClient, isAbortError } from "../../utils";
 import centralizedApi from "../../utils/api/CentralizedApiService";
 
 /**
@@ -14,7 +14,15 @@ export const usePostOperations = ({
   setToastTitle,
   setShowToast,
   saveStatus,
+  setEditorLocation,
 }) => {
+  // Controller of the post load in flight - a newer selection cancels it
+  const selectControllerRef = useRef(null);
+
+  useEffect(() => {
+    return () => selectControllerRef.current?.abort();
+  }, []);
+
   /**
    * Fetch post with related data using optimized batch operation
    */
@@ -30,8 +38,25 @@ export const usePostOperations = ({
         }
       }
 
+      // Cancel the load of a previously clicked post so it can't overwrite this one
+      selectControllerRef.current?.abort();
+      const controller = new AbortController();
+      selectControllerRef.current = controller;
+
       // Always use batch operation to get complete post data with related info
-      const postWithRelated = await centralizedApi.getPostWithRelated(post.id);
+      let postWithRelated;
+      try {
+        postWithRelated = await centralizedApi.getPostWithRelated(post.id, {
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (isAbortError(error)) return;
+        throw error;
+      }
+
+      if (controller.signal.aborted) return;
+      selectControllerRef.current = null;
+
       const fullPost = postWithRelated.post;
 
       setSelectedPost(fullPost);
@@ -41,6 +66,9 @@ export const usePostOperations = ({
       if (typeof setToastTitle === "function") {
         setToastTitle("");
       }
+      if (typeof setEditorLocation === "function") {
+        setEditorLocation(null);
+      }
 
       // Check if SCSS needs recompilation (set by backend when partial changes)
       const needsRecompile = fullPost.meta?._funculo_scss_needs_recompile === '1';
@@ -50,7 +78,7 @@ export const usePostOperations = ({
         window._funculo_auto_recompile_post_id = post.id;
       }
     },
-    [selectedPost, saveStatus, setSelectedPost, setMetaData, setSaveStatus, setToastMessage, setToastTitle]
+    [selectedPost, saveStatus, setSelectedPost, setMetaData, setSaveStatus, setToastMessage, setToastTitle, setEditorLocation]
   );
 
   /**
@@ -88,21 +116,27 @@ export const usePostOperations = ({
   );
 
   /**
-   * Handle opening partial for editing from toast - use cached data when possible
+   * Handle opening partial for editing from toast or an SCSS diagnostic - use cached data when possible
+   * @param {string|number} partial - Partial title (toast) or post ID (diagnostic)
+   * @param {object} location - Optional { line, column } to reveal in the editor
    */
   const handleOpenPartial = useCallback(
-    async (partialName) => {
+    async (partial, location = null) => {
       try {
-        // Use cached posts data first, fall back to fresh fetch if needed
-        const data = await centralizedApi.getPosts({ per_page: 100 });
-        const posts = data.posts || [];
-
-        // Find the partial with matching title
-        const targetPartial = posts.find(
-          (post) =>
-            post.terms?.some((term) => term.slug === "scss-partials") &&
-            (post.title?.rendered === partialName || post.title === partialName)
-        );
+        let targetPartial = typeof partial === "number" ? { id: partial } : null;
+
+        if (!targetPartial) {
+          // Use cached posts data first, fall back to fresh fetch if needed
+          const data = await centralizedApi.getPosts({ per_page: 100 });
+          const posts = data.posts || [];
+
+          // Find the partial with matching title
+          targetPartial = posts.find(
+            (post) =>
+              post.terms?.some((term) => term.slug === "scss-partials") &&
+              (post.title?.rendered === partial || post.title === partial)
+          );
+        }
 
         if (targetPartial) {
           // Close the toast and navigate to the partial
@@ -120,14 +154,19 @@ export const usePostOperations = ({
           if (typeof setToastTitle === "function") {
             setToastTitle("");
           }
+          if (typeof setEditorLocation === "function") {
+            setEditorLocation(
+              location ? { postId: fullPartial.id, ...location } : null
+            );
+          }
         } else {
-          console.error("Partial not found:", partialName);
+          console.error("Partial not found:", partial);
         }
       } catch (error) {
         console.error("Error opening partial:", error);
       }
     },
-    [setShowToast, setSelectedPost, setMetaData, setSaveStatus, setToastMessage, setToastTitle]
+    [setShowToast, setSelectedPost, setMetaData, setSaveStatus, setToastMessage, setToastTitle, setEditorLocation]
   );
 
   /**
@@ -1,5 +1,6 @@
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import centralizedApi from "../../utils/api/CentralizedApiService";
+import { isAbortError } from "../../utils";
 
 /**
  * Hook for managing post revisions
@@ -12,29 +13,47 @@ const useRevisions = (postId) => {
   const [applying, setApplying] = useState(false);
   const [error, setError] = useState(null);
 
+  // Controller of the load in flight - cancelled when the post changes or on unmount
+  const loadControllerRef = useRef(null);
+
+  useEffect(() => {
+    return () => loadControllerRef.current?.abort();
+  }, [postId]);
+
   /**
    * Load revisions for current post
    */
   const loadRevisions = useCallback(async () => {
+    loadControllerRef.current?.abort();
+
     if (!postId) {
       setRevisions([]);
       return;
     }
 
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+
     setLoading(true);
     setError(null);
 
     try {
-      const response = await centralizedApi.getRevisions(postId);
+      const response = await centralizedApi.getRevisions(postId, {
+        signal: controller.signal,
+      });
       console.log('Revisions API response:', response);
       console.log('Revisions data:', response?.data);
       setRevisions(response?.data || []);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error("Error loading revisions:", err);
       setError(err.message || "Failed to load revisions");
       setRevisions([]);
     } finally {
-      setLoading(false);
+      if (loadControllerRef.current === controller) {
+        loadControllerRef.current = null;
+        setLoading(false);
+      }
     }
   }, [postId]);
 
@@ -1,10 +1,19 @@
-import { useMemo, useState, useCallback } from "react";
-import { compileScss, apiClient } from "../../utils";
+import { useMemo, useState, useCallback, useEffect } from "react";
+import {
+  compileScssWithDiagnostics,
+  apiClient,
+  isAbortError,
+} from "../../utils";
 import centralizedApi from "../../utils/api/CentralizedApiService";
+import { getStyleScope } from "../../utils/styleScope";
+
+// Diagnostics of the last compile, per SCSS field of the block
+const EMPTY_DIAGNOSTICS = { scss: [], editorScss: [] };
 
 /**
  * Custom hook for handling SCSS compilation logic
  * Manages frontend and editor SCSS compilation with partial support
+ * and keeps the errors/warnings of the last compile for Monaco markers
  */
 export const useScssCompilation = (
   selectedPost,
@@ -14,6 +23,22 @@ export const useScssCompilation = (
   setShowToast,
   setToastType
 ) => {
+  const [scssDiagnostics, setScssDiagnostics] = useState(EMPTY_DIAGNOSTICS);
+
+  // Diagnostics belong to the post they were compiled for
+  useEffect(() => {
+    setScssDiagnostics(EMPTY_DIAGNOSTICS);
+  }, [selectedPost?.id]);
+
+  const updateDiagnostics = useCallback((field, diagnostics) => {
+    setScssDiagnostics((prev) => ({ ...prev, [field]: diagnostics || [] }));
+  }, []);
+
+  // True when the post already stores exactly this SCSS and compiled CSS
+  const isSavedOutput = (scssField, cssField, scss, css) =>
+    selectedPost?.meta?.blocks?.[scssField] === scss &&
+    selectedPost?.meta?.blocks?.[cssField] === css;
+
   // Get current partials data for compilation
   const getCurrentPartials = useMemo(() => {
     return async () => {
@@ -83,68 +108,9 @@ export const useScssCompilation = (
     };
   }, [metaData.blocks?.selected_partials, metaData.blocks?.selectedPartials]);
 
-  /**
-   * Compile frontend SCSS with partials support
-   */
-  const compileFrontendScss = useCallback(async () => {
-    const hasScssContent =
-      selectedPost?.terms?.some((term) => term.slug === "blocks") &&
-      metaData.blocks?.scss;
-
-    if (!hasScssContent) {
-      return null;
-    }
-
-    try {
-      // Get current partials data for real-time compilation
-      const currentPartials = await getCurrentPartials();
-
-      // Compile SCSS to CSS with current partials support
-      const scssContent = metaData.blocks.scss;
-      const cssContent = await compileScss(
-        scssContent,
-        selectedPost.id,
-        currentPartials
-      );
-
-      // Save both SCSS and compiled CSS
-      await centralizedApi.saveScssContent(selectedPost.id, {
-        scss_content: scssContent,
-        css_content: cssContent,
-      });
-
-      return {
-        scssContent,
-        cssContent,
-      };
-    } catch (compilationError) {
-      console.error("❌ SCSS compilation failed:", compilationError);
-      const errorMessage =
-        compilationError.message || "SCSS compilation failed";
-      setToastMessage(errorMessage);
-      setToastTitle("SCSS Compilation Error");
-      if (typeof setToastType === "function") {
-        setToastType("error");
-      }
-      setShowToast(true);
-      // Continue with normal save even if SCSS compilation fails
-      return null;
-    }
-  }, [selectedPost, metaData.blocks?.scss, getCurrentPartials, setToastMessage, setToastTitle, setShowToast, setToastType]);
-
-  /**
-   * Compile editor SCSS with partials support
-   */
-  const compileEditorScss = useCallback(async () => {
-    const hasEditorScssContent =
-      selectedPost?.terms?.some((term) => term.slug === "blocks") &&
-      metaData.blocks?.editorScss;
-
-    if (!hasEditorScssContent) {
-      return null;
-    }
-
-    try {
+  // Get current editor partials data for editor style compilation
+  const getEditorPartials = useMemo(() => {
+    return async () => {
       // Get editor partials for compilation
       const editorPartialsData = await apiClient.getScssPartials();
       const globalPartials = editorPartialsData.globalPartials || [];
@@ -195,31 +161,140 @@ export const useScssCompilation = (
         });
       }
 
-      const editorCurrentPartials = {
+      return {
         globalPartials,
         selectedPartials: enrichedEditorSelectedPartials,
       };
+    };
+  }, [metaData.blocks?.editor_selected_partials, metaData.blocks?.editorSelectedPartials]);
+
+  /**
+   * Compile frontend SCSS with partials support
+   */
+  const compileFrontendScss = useCallback(async () => {
+    const hasScssContent =
+      selectedPost?.terms?.some((term) => term.slug === "blocks") &&
+      metaData.blocks?.scss;
+
+    if (!hasScssContent) {
+      updateDiagnostics("scss", []);
+      return null;
+    }
+
+    try {
+      // Get current partials data for real-time compilation
+      const currentPartials = await getCurrentPartials();
+
+      // Compile SCSS to CSS with current partials support
+      const scssContent = metaData.blocks.scss;
+      const { css: cssContent, diagnostics, cached } =
+        await compileScssWithDiagnostics(
+          scssContent,
+          selectedPost.id,
+          currentPartials,
+          {
+            key: `${selectedPost.id}:scss`,
+            scope: getStyleScope(selectedPost, metaData.blocks),
+          }
+        );
+      updateDiagnostics("scss", diagnostics);
+
+      const unchanged =
+        cached && isSavedOutput("scss", "cssContent", scssContent, cssContent);
+
+      // Save both SCSS and compiled CSS
+      if (!unchanged) {
+        await centralizedApi.saveScssContent(selectedPost.id, {
+          scss_content: scssContent,
+          css_content: cssContent,
+        });
+      }
+
+      return {
+        scssContent,
+        cssContent,
+        cached,
+        unchanged,
+      };
+    } catch (compilationError) {
+      if (isAbortError(compilationError)) {
+        // Superseded by a newer compile of the same block
+        return null;
+      }
+      updateDiagnostics("scss", compilationError.diagnostics);
+      console.error("❌ SCSS compilation failed:", compilationError);
+      const errorMessage =
+        compilationError.message || "SCSS compilation failed";
+      setToastMessage(errorMessage);
+      setToastTitle("SCSS Compilation Error");
+      if (typeof setToastType === "function") {
+        setToastType("error");
+      }
+      setShowToast(true);
+      // Continue with normal save even if SCSS compilation fails
+      return null;
+    }
+  }, [selectedPost, metaData.blocks?.scss, metaData.blocks?.settings, getCurrentPartials, updateDiagnostics, setToastMessage, setToastTitle, setShowToast, setToastType]);
+
+  /**
+   * Compile editor SCSS with partials support
+   */
+  const compileEditorScss = useCallback(async () => {
+    const hasEditorScssContent =
+      selectedPost?.terms?.some((term) => term.slug === "blocks") &&
+      metaData.blocks?.editorScss;
+
+    if (!hasEditorScssContent) {
+      updateDiagnostics("editorScss", []);
+      return null;
+    }
+
+    try {
+      const editorCurrentPartials = await getEditorPartials();
 
       // Compile editor SCSS to CSS with partials support
       const editorScssContent = metaData.blocks.editorScss;
       // Pass null as postId to force using our provided editorCurrentPartials
-      const editorCssContent = await compileScss(
-        editorScssContent,
-        null,
-        editorCurrentPartials
-      );
+      const { css: editorCssContent, diagnostics, cached } =
+        await compileScssWithDiagnostics(
+          editorScssContent,
+          null,
+          editorCurrentPartials,
+          {
+            key: `${selectedPost.id}:editorScss`,
+            scope: getStyleScope(selectedPost, metaData.blocks),
+          }
+        );
+      updateDiagnostics("editorScss", diagnostics);
+
+      const unchanged =
+        cached &&
+        isSavedOutput(
+          "editorScss",
+          "editorCssContent",
+          editorScssContent,
+          editorCssContent
+        );
 
       // Save both editor SCSS and compiled CSS
-      await centralizedApi.saveEditorScssContent(selectedPost.id, {
-        editor_scss_content: editorScssContent,
-        editor_css_content: editorCssContent,
-      });
+      if (!unchanged) {
+        await centralizedApi.saveEditorScssContent(selectedPost.id, {
+          editor_scss_content: editorScssContent,
+          editor_css_content: editorCssContent,
+        });
+      }
 
       return {
         scssContent: editorScssContent,
         cssContent: editorCssContent,
+        cached,
+        unchanged,
       };
     } catch (compilationError) {
+      if (isAbortError(compilationError)) {
+        return null;
+      }
+      updateDiagnostics("editorScss", compilationError.diagnostics);
       console.error(
         "❌ Editor SCSS compilation failed:",
         compilationError
@@ -235,7 +310,7 @@ export const useScssCompilation = (
       // Continue with normal save even if editor SCSS compilation fails
       return null;
     }
-  }, [selectedPost, metaData.blocks?.editorScss, metaData.blocks?.editor_selected_partials, metaData.blocks?.editorSelectedPartials, setToastMessage, setToastTitle, setShowToast, setToastType]);
+  }, [selectedPost, metaData.blocks?.editorScss, metaData.blocks?.settings, getEditorPartials, updateDiagnostics, setToastMessage, setToastTitle, setShowToast, setToastType]);
 
   /**
    * Compile both frontend and editor SCSS
@@ -246,14 +321,31 @@ export const useScssCompilation = (
     const frontend = await compileFrontendScss();
     const editor = await compileEditorScss();
 
+    // Compiles that ran vs. came from the compile cache, for the save toast
+    // (a field with SCSS but no result failed and already showed its error)
+    const isBlock = selectedPost?.terms?.some((term) => term.slug === "blocks");
+    const expected = isBlock
+      ? [metaData.blocks?.scss, metaData.blocks?.editorScss].filter(Boolean)
+          .length
+      : 0;
+    const results = [frontend, editor].filter(Boolean);
+    const stats = {
+      compiled: results.filter((result) => !result.cached).length,
+      cached: results.filter((result) => result.cached).length,
+      failed: expected - results.length,
+    };
+
     return {
       frontend,
       editor,
+      stats,
     };
-  }, [compileFrontendScss, compileEditorScss]);
+  }, [compileFrontendScss, compileEditorScss, selectedPost, metaData.blocks?.scss, metaData.blocks?.editorScss]);
 
   return {
+    scssDiagnostics,
     getCurrentPartials,
+    getEditorPartials,
     compileFrontendScss,
     compileEditorScss,
     compileAllScss
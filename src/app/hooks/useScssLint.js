@@ -0,0 +1,23 @@
+import { useDeferredValue, useMemo } from "react";
+import { lintScss } from "../../utils/scssLint";
+
+/**
+ * Hook linting SCSS as it is typed
+ *
+ * Linting runs on a deferred copy of the source, so typing stays responsive
+ * in large stylesheets.
+ *
+ * @param {string} scss SCSS source
+ * @param {object} options lintScss options ({ isPartial, wrapperClass })
+ * @returns {Array<object>} Diagnostics, ready for MonacoEditor markers
+ */
+const useScssLint = (scss, { isPartial = false, wrapperClass = null } = {}) => {
+  const deferredScss = useDeferredValue(scss);
+
+  return useMemo(
+    () => lintScss(deferredScss, { isPartial, wrapperClass }),
+    [deferredScss, isPartial, wrapperClass]
+  );
+};
+
+export default useScssLint;
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from "react";
+import offlineWriteQueue from "../../utils/api/OfflineWriteQueue";
+
+/**
+ * Hook for observing the offline write queue
+ *
+ * Exposes pending/conflict counts and actions to replay, discard or
+ * force-overwrite queued mutations.
+ */
+const useWriteQueue = () => {
+  const [queueState, setQueueState] = useState(() =>
+    offlineWriteQueue.getState()
+  );
+
+  useEffect(() => {
+    return offlineWriteQueue.subscribe(setQueueState);
+  }, []);
+
+  const replay = useCallback(() => offlineWriteQueue.replay(), []);
+
+  const discard = useCallback((id) => offlineWriteQueue.discard(id), []);
+
+  const overwrite = useCallback((id) => offlineWriteQueue.overwrite(id), []);
+
+  return {
+    ...queueState,
+    replay,
+    discard,
+    overwrite,
+  };
+};
+
+export default useWriteQueue;
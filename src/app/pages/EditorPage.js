@@ -4,9 +4,12 @@ import Header from "../components/editor/Header";
 import MainContent from "../components/editor/MainContent";
 import EditorSettings from "../components/editor/EditorSettings";
 import EditorNoPosts from "../components/editor/EditorNoPosts";
+import MergeConflictModal from "../components/editor/MergeConflictModal";
 import { Toast } from "../components/ui";
 import { errorHandler, apiClient } from "../../utils";
 import centralizedApi from "../../utils/api/CentralizedApiService";
+import { MutationStatus } from "../../utils/api/OfflineWriteQueue";
+import { getLintSettings, lintPost } from "../../utils/scssLint";
 
 import {
   useMetadata,
@@ -15,6 +18,7 @@ import {
   useAppData,
   usePostOperations,
   useHotReloadSave,
+  useWriteQueue,
 } from "../hooks";
 
 const EditorPage = ({ searchParams, setSearchParams }) => {
@@ -26,6 +30,9 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
   const [toastType, setToastType] = useState("error");
   const [showToast, setShowToast] = useState(false);
   const [settingsTab, setSettingsTab] = useState("settings"); // Settings sidebar tab state
+  const [revisionConflict, setRevisionConflict] = useState(null); // Rejected save waiting for a merge
+  const [saveAfterMerge, setSaveAfterMerge] = useState(false);
+  const [editorLocation, setEditorLocation] = useState(null); // { postId, line, column } to reveal in Monaco
 
   // Metadata hook
   const { metaData, setMetaData, handleMetaChange } = useMetadata(
@@ -35,7 +42,12 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
   );
 
   // SCSS compilation hook
-  const { compileAllScss } = useScssCompilation(
+  const {
+    compileAllScss,
+    scssDiagnostics,
+    getCurrentPartials,
+    getEditorPartials,
+  } = useScssCompilation(
     selectedPost,
     metaData,
     setToastMessage,
@@ -54,6 +66,7 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
     setToastTitle,
     setShowToast,
     saveStatus,
+    setEditorLocation,
   });
 
   // Data loading hook
@@ -100,10 +113,12 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
     try {
       let hotReloadPayload = null;
       let operationsResult = null;
+      let scssCompilationStats = null;
 
       if (selectedPost?.id) {
         // Compile SCSS (both frontend and editor) if needed
         const scssCompilation = await compileAllScss();
+        scssCompilationStats = scssCompilation.stats;
 
         // Check if list-visible metadata changed (only icon affects the list display)
         const listMetadataChanged = hasListVisibleChanges(
@@ -112,18 +127,27 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
         );
 
         // Use batch operation to save meta data and regenerate files in one request
+        // Send the revision the edit is based on so concurrent saves are rejected
         operationsResult = await centralizedApi.savePostWithOperations(
           selectedPost.id,
           metaData,
           true,
-          { invalidateCollectionCache: listMetadataChanged }
+          {
+            invalidateCollectionCache: listMetadataChanged,
+            expectedRevision: selectedPost.revision_hash,
+          }
         );
 
+        const savedRevision = operationsResult?.successful?.find(
+          (item) => item.type === "update_meta"
+        )?.result?.revision_hash;
+
         // Optimistically update local state with saved data
         // This keeps Monaco and all UI in sync even if a re-render happens before cache refresh
         setSelectedPost((prev) => ({
           ...prev,
           meta: metaData,
+          revision_hash: savedRevision || prev.revision_hash,
         }));
 
         // Also update the post in groupedPosts to reflect meta changes in the list
@@ -144,15 +168,18 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
         const editorCompilation = scssCompilation?.editor;
         const changeSet = [];
 
-        if (frontendCompilation) {
+        if (frontendCompilation && !frontendCompilation.unchanged) {
           changeSet.push("css");
         }
-        if (editorCompilation) {
+        if (editorCompilation && !editorCompilation.unchanged) {
           changeSet.push("editorCss");
         }
 
         hotReloadPayload = {
           blockSlug: selectedPost.slug,
+          isSymbol: !!selectedPost.terms?.some(
+            (term) => term.slug === "symbols"
+          ),
           blockName:
             selectedPost.title?.rendered ||
             selectedPost.title ||
@@ -216,8 +243,29 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
 
       setSaveStatus("saved");
       setTimeout(() => setSaveStatus(""), 3000);
-      return { success: true, hotReloadPayload };
+      return {
+        success: true,
+        hotReloadPayload,
+        compileStats: scssCompilationStats,
+      };
     } catch (error) {
+      if (error?.queued) {
+        // Backend unreachable - the save is stored locally and replayed later
+        setToastMessage(error.message);
+        setToastTitle("Saved offline");
+        setToastType("warning");
+        setShowToast(true);
+        setSaveStatus("queued");
+        return false;
+      }
+
+      if (error?.conflict) {
+        // Someone else saved this post in the meantime - let the user merge
+        setRevisionConflict(error);
+        setSaveStatus("conflict");
+        return false;
+      }
+
       console.error("Error saving/generating:", error);
       setSaveStatus("error");
       return false; // Return failure for hot reload
@@ -235,8 +283,109 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
     postType
   );
 
-  // Use the wrapped save function
-  const handleSave = saveWithHotReload;
+  // Use the wrapped save function, reporting compile cache hits once it's done
+  const handleSave = async (...args) => {
+    // Settings → SCSS Lint can make lint errors block saving
+    const lintSettings = getLintSettings();
+    if (lintSettings.enabled && lintSettings.blockSave) {
+      const lintErrors = Object.values(
+        lintPost(selectedPost, metaData, lintSettings)
+      )
+        .flat()
+        .filter((diagnostic) => diagnostic.severity === "error");
+
+      if (lintErrors.length > 0) {
+        const [first] = lintErrors;
+        setToastMessage(
+          `${lintErrors.length} SCSS lint error${
+            lintErrors.length === 1 ? "" : "s"
+          } - first on line ${first.startLine}: ${first.message}`
+        );
+        setToastTitle("Not saved");
+        setToastType("error");
+        setShowToast(true);
+        return { success: false, error: "scss_lint" };
+      }
+    }
+
+    const result = await saveWithHotReload(...args);
+    const stats = result?.compileStats;
+
+    // Only when the save went through cleanly - don't cover an error toast
+    if (result?.success && stats?.cached > 0 && !stats.failed) {
+      const total = stats.compiled + stats.cached;
+      setToastMessage(
+        stats.compiled === 0
+          ? `Styles unchanged - all ${total} SCSS compiles came from the cache.`
+          : `Compiled ${stats.compiled} of ${total} stylesheets, ${stats.cached} came from the cache.`
+      );
+      setToastTitle("Saved");
+      setToastType("success");
+      setShowToast(true);
+    }
+
+    return result;
+  };
+
+  // Apply the choices made in the merge dialog
+  const handleConflictResolve = ({ meta }) => {
+    const conflict = revisionConflict;
+    setRevisionConflict(null);
+
+    // Conflicting fields take the chosen version, other local edits are kept
+    setMetaData((prev) => {
+      const merged = { ...prev };
+      Object.entries(meta).forEach(([section, fields]) => {
+        merged[section] = { ...prev[section], ...fields };
+      });
+      return merged;
+    });
+
+    // The merged result is based on the server's current revision
+    setSelectedPost((prev) => ({
+      ...prev,
+      revision_hash: conflict?.currentRevision || prev.revision_hash,
+    }));
+    setSaveAfterMerge(true);
+  };
+
+  const handleConflictCancel = () => {
+    setRevisionConflict(null);
+    setSaveStatus("unsaved");
+  };
+
+  // Save once the merged meta has been applied to state
+  useEffect(() => {
+    if (saveAfterMerge) {
+      setSaveAfterMerge(false);
+      handleSave();
+    }
+  }, [saveAfterMerge]);
+
+  const { mutations: queuedWrites } = useWriteQueue();
+
+  // Follow a queued save until the write queue has sent it or held it back
+  useEffect(() => {
+    if (saveStatus !== "queued" || !selectedPost?.id) {
+      return;
+    }
+
+    const postWrites = queuedWrites.filter((mutation) =>
+      mutation.postIds.includes(selectedPost.id)
+    );
+
+    if (postWrites.some(({ status }) => status === MutationStatus.CONFLICT)) {
+      setSaveStatus("conflict");
+    } else if (postWrites.some(({ status }) => status === MutationStatus.FAILED)) {
+      setSaveStatus("error");
+    } else if (postWrites.length === 0) {
+      setSaveStatus("saved");
+      setTimeout(
+        () => setSaveStatus((status) => (status === "saved" ? "" : status)),
+        3000
+      );
+    }
+  }, [queuedWrites, saveStatus, selectedPost?.id]);
 
   // Handle revision apply - reload post data after applying revision
   const handleRevisionApply = async (postId) => {
@@ -375,6 +524,15 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
             onMetaChange={handleMetaChangeWithStatus}
             onTitleUpdate={postOperations.handleTitleUpdate(setGroupedPosts)}
             isLoadingPost={!selectedPost && totalPosts > 0}
+            scssDiagnostics={scssDiagnostics}
+            scssPartialLoaders={{
+              scss: getCurrentPartials,
+              editorScss: getEditorPartials,
+            }}
+            onOpenPartial={postOperations.handleOpenPartial}
+            editorLocation={
+              editorLocation?.postId === selectedPost?.id ? editorLocation : null
+            }
           />
           <EditorSettings
             selectedPost={selectedPost}
@@ -390,6 +548,13 @@ const EditorPage = ({ searchParams, setSearchParams }) => {
         </div>
       </div>
 
+      <MergeConflictModal
+        conflict={revisionConflict}
+        localMeta={metaData}
+        onResolve={handleConflictResolve}
+        onCancel={handleConflictCancel}
+      />
+
       {/* Toast for editor errors (SCSS compilation, PHP lint, etc.) */}
       <Toast
         message={toastMessage}
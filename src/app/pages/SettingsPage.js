@@ -1,5 +1,10 @@
 import React from "react";
 import Header from "../components/editor/Header";
+import CssProcessingSettings from "../components/settings/CssProcessingSettings";
+import ScssLintSettings from "../components/settings/ScssLintSettings";
+import BlockRendererSettings from "../components/settings/BlockRendererSettings";
+import LibraryTransfer from "../components/settings/LibraryTransfer";
+import DiagnosticsPanel from "../components/settings/DiagnosticsPanel";
 
 const SettingsPage = () => {
   return (
@@ -13,11 +18,11 @@ const SettingsPage = () => {
           <p className="text-contrast text-lg mb-6">
             Configure your FanCoolo plugin settings here.
           </p>
-          <div className="bg-base-2 border border-outline rounded-lg p-6">
-            <p className="text-sm text-contrast">
-              Settings page coming soon...
-            </p>
-          </div>
+          <CssProcessingSettings />
+          <ScssLintSettings />
+          <BlockRendererSettings />
+          <LibraryTransfer />
+          {window.funculoSettings?.debugMode && <DiagnosticsPanel />}
         </div>
       </div>
     </div>
@@ -0,0 +1,7 @@
+/**
+ * Standalone demo of the admin app - no WordPress install needed
+ * Posts, settings and revisions live in memory, seeded from demoLibrary.js,
+ * and are gone on reload. Build with `npm run build:demo`.
+ */
+import "./settings.js";
+import "../app/index.js";
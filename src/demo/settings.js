@@ -0,0 +1,9 @@
+// Page settings WordPress prints for the admin app (see AdminAssets.php),
+// switched to demo mode: the API client then runs on MemoryTransport
+window.funculoSettings = {
+  // The page lives in dist/demo/ - the SCSS compiler is in dist/scss-compiler/
+  pluginUrl: new URL("../../", window.location.href).href,
+  pluginVersion: "demo",
+  debugMode: false,
+  demoMode: true,
+};
@@ -1,7 +1,8 @@
 import { useCallback } from "react";
 import centralizedApi from "../utils/api/CentralizedApiService";
-import { apiClient } from "../utils";
-import { compileScss } from "../utils/scssCompiler";
+import { apiClient, isAbortError } from "../utils";
+import { compileScssWithDiagnostics } from "../utils/scssCompiler";
+import { getStyleScope } from "../utils/styleScope";
 
 const parsePartialSelection = (value) => {
   if (!value) {
@@ -134,6 +135,7 @@ export const useHotReloadSave = (postId, originalSaveFunction, postType) => {
       const hotReloadPayload =
         result && typeof result === "object" ? result.hotReloadPayload : null;
       const saveSucceeded = result !== false;
+      let compileStats = null; // Affected block compiles: { compiled, cached }
 
       // Trigger hot reload after successful save (but not for SCSS partials - they trigger affected blocks instead)
       if (
@@ -218,6 +220,15 @@ export const useHotReloadSave = (postId, originalSaveFunction, postType) => {
             // );
 
             const regenerationOperations = [];
+            compileStats = { compiled: 0, cached: 0 };
+            const countCompile = (compileResult) => {
+              if (compileResult.cached) {
+                compileStats.cached++;
+              } else {
+                compileStats.compiled++;
+              }
+            };
+
             const blockTasks = affectedBlocks.map((blockId) =>
               (async () => {
                 // console.log(`⚙️ [useHotReload] Compiling block ${blockId}...`);
@@ -250,35 +261,59 @@ export const useHotReloadSave = (postId, originalSaveFunction, postType) => {
 
                   let compiledCss = null;
                   let compiledEditorCss = null;
+                  const scope = getStyleScope(block, blockMeta);
 
+                  // A cached compile matching the stored CSS means the
+                  // partial change doesn't reach this output - skip saving it
                   if (blockMeta.scss) {
                     const scssCode = blockMeta.scss;
-                    compiledCss = await compileScss(scssCode, blockId, {
-                      globalPartials,
-                      selectedPartials,
-                    });
-
-                    await centralizedApi.saveScssContent(blockId, {
-                      scss_content: scssCode,
-                      css_content: compiledCss,
-                    });
+                    const frontendResult = await compileScssWithDiagnostics(
+                      scssCode,
+                      blockId,
+                      { globalPartials, selectedPartials },
+                      { key: `${blockId}:scss`, scope }
+                    );
+                    countCompile(frontendResult);
+
+                    if (
+                      !frontendResult.cached ||
+                      frontendResult.css !== blockMeta.cssContent
+                    ) {
+                      compiledCss = frontendResult.css;
+                      await centralizedApi.saveScssContent(blockId, {
+                        scss_content: scssCode,
+                        css_content: compiledCss,
+                      });
+                    }
                   }
 
                   if (blockMeta.editorScss) {
                     const editorScssCode = blockMeta.editorScss;
-                    compiledEditorCss = await compileScss(
+                    const editorResult = await compileScssWithDiagnostics(
                       editorScssCode,
                       blockId,
                       {
                         globalPartials,
                         selectedPartials: editorSelectedPartials,
-                      }
+                      },
+                      { key: `${blockId}:editorScss`, scope }
                     );
+                    countCompile(editorResult);
+
+                    if (
+                      !editorResult.cached ||
+                      editorResult.css !== blockMeta.editorCssContent
+                    ) {
+                      compiledEditorCss = editorResult.css;
+                      await centralizedApi.saveEditorScssContent(blockId, {
+                        editor_scss_content: editorScssCode,
+                        editor_css_content: compiledEditorCss,
+                      });
+                    }
+                  }
 
-                    await centralizedApi.saveEditorScssContent(blockId, {
-                      editor_scss_content: editorScssCode,
-                      editor_css_content: compiledEditorCss,
-                    });
+                  if (compiledCss === null && compiledEditorCss === null) {
+                    return; // Block is unchanged - no regeneration or reload
                   }
 
                   regenerationOperations.push({
@@ -330,6 +365,10 @@ export const useHotReloadSave = (postId, originalSaveFunction, postType) => {
                     }
                   }
                 } catch (compileError) {
+                  if (isAbortError(compileError)) {
+                    // A newer compile of this block took over
+                    return;
+                  }
                   console.error(
                     `❌ [useHotReload] Failed to compile block ${blockId}:`,
                     compileError
@@ -369,6 +408,9 @@ export const useHotReloadSave = (postId, originalSaveFunction, postType) => {
         }
       }
 
+      if (compileStats && result && typeof result === "object") {
+        return { ...result, compileStats };
+      }
       return result;
     },
     [originalSaveFunction, postId, postType]
@@ -0,0 +1,166 @@
+// Shared compile step for the worker and the main-thread fallback
+//
+// Partials and the block's own SCSS are compiled as separate in-memory
+// sources ("fancoolo:partial/12", "fancoolo:main", ...) served by a custom
+// importer. Errors, warnings and the source map therefore point at the real
+// file and line instead of a position in one concatenated string.
+//
+// The importer also resolves `@use "partials/<slug>"` (and @forward/@import)
+// to the partial with that slug, so partials can be loaded as Sass modules.
+//
+// The compiled CSS can then be scoped to the block wrapper, autoprefixed and
+// minified (see postprocess.js).
+
+import {
+  keepsLines,
+  needsPostprocess,
+  postprocessCss,
+} from "./postprocess.js";
+
+// Sass hands relative URLs over resolved against the containing source, so
+// "partials/buttons" arrives as "fancoolo:partials/buttons" from the block
+// and as "fancoolo:partial/partials/buttons" from inside a partial
+const PARTIAL_MODULE_URL = /(?:^|[:/])partials\/_?([\w-]+?)(?:\.scss)?$/;
+
+const toLocation = (location) => ({
+  line: location.line,
+  column: location.column,
+});
+
+/**
+ * Convert a Sass SourceSpan into plain data that survives postMessage
+ * @param {object} span Sass span (0-based lines and columns)
+ * @returns {object|null} { url, start, end } or null
+ */
+export function serializeSpan(span) {
+  if (!span) {
+    return null;
+  }
+
+  return {
+    url: span.url ? String(span.url) : null,
+    start: toLocation(span.start),
+    end: toLocation(span.end),
+  };
+}
+
+/**
+ * Location of a @warn/@debug without a span, from the first stack frame
+ * @param {string} stack Sass stack trace ("fancoolo:main 2:3  root stylesheet")
+ * @returns {object|null} Span-like { url, start, end } (0-based) or null
+ */
+function spanFromStack(stack) {
+  const match = String(stack || "").match(/^(\S+) (\d+):(\d+)/);
+  if (!match) {
+    return null;
+  }
+
+  const location = { line: Number(match[2]) - 1, column: Number(match[3]) - 1 };
+  return { url: match[1], start: location, end: location };
+}
+
+/**
+ * Importer resolving URLs against the provided sources map
+ * @param {object} sources url -> SCSS contents
+ * @param {object} partialModules partial slug -> source url
+ * @returns {object} Sass importer
+ */
+function createSourcesImporter(sources, partialModules) {
+  const hasSource = (url) =>
+    Boolean(url) && Object.prototype.hasOwnProperty.call(sources, url);
+
+  return {
+    canonicalize(url) {
+      if (hasSource(url)) {
+        return new URL(url);
+      }
+
+      const slug = url.match(PARTIAL_MODULE_URL)?.[1];
+      const target = slug ? partialModules[slug] : null;
+      return hasSource(target) ? new URL(target) : null;
+    },
+    load(canonicalUrl) {
+      return {
+        contents: sources[String(canonicalUrl)],
+        syntax: "scss",
+        sourceMapUrl: canonicalUrl,
+      };
+    },
+  };
+}
+
+/**
+ * Compile SCSS with in-memory sources, collecting warnings
+ * @param {object} sass Dart Sass API (compileString)
+ * @param {object} request { scss, url, sources, partialModules, options, postprocess }
+ * @returns {object} { css, sourceMap, warnings }
+ */
+export function compileWithSources(sass, request) {
+  const {
+    scss,
+    url = null,
+    sources = {},
+    partialModules = {},
+    options = {},
+    postprocess = null,
+  } = request;
+  const warnings = [];
+
+  const result = sass.compileString(scss, {
+    style: "expanded",
+    quietDeps: true,
+    verbose: false,
+    ...options,
+    url: url ? new URL(url) : undefined,
+    importers: [createSourcesImporter(sources, partialModules)],
+    sourceMap: true,
+    // Partials are pulled in with @import so they share one global scope
+    silenceDeprecations: ["import"],
+    logger: {
+      warn(message, { deprecation, span, stack }) {
+        warnings.push({
+          severity: "warning",
+          message,
+          deprecation: Boolean(deprecation),
+          span: serializeSpan(span) || spanFromStack(stack),
+        });
+      },
+      debug(message, { span }) {
+        warnings.push({
+          severity: "info",
+          message,
+          span: serializeSpan(span),
+        });
+      },
+    },
+  });
+
+  // The Sass source map no longer matches post-processed CSS, so it is
+  // dropped - unless only selectors changed, which keeps its lines usable
+  if (needsPostprocess(postprocess)) {
+    return {
+      css: postprocessCss(result.css, postprocess, warnings),
+      sourceMap: keepsLines(postprocess) ? result.sourceMap || null : null,
+      warnings,
+    };
+  }
+
+  return {
+    css: result.css,
+    sourceMap: result.sourceMap || null,
+    warnings,
+  };
+}
+
+/**
+ * Convert a thrown Sass exception into plain data
+ * @param {Error} error Sass exception
+ * @returns {object} { message, sassMessage, span }
+ */
+export function serializeError(error) {
+  return {
+    message: error?.message || String(error),
+    sassMessage: error?.sassMessage || null,
+    span: serializeSpan(error?.span),
+  };
+}
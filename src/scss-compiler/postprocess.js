@@ -0,0 +1,235 @@
+// Post-processing of compiled CSS: scoping to the block wrapper, vendor
+// prefixes and minification
+import postcss from "postcss";
+import autoprefixer from "autoprefixer";
+import browserslist from "browserslist";
+
+const GLOBAL_PSEUDO = ":global(";
+
+/**
+ * Find the parenthesis closing the one at `open`
+ * @param {string} text Selector
+ * @param {number} open Index of "("
+ * @returns {number} Index of ")", or -1
+ */
+const findClosingParen = (text, open) => {
+  let depth = 0;
+  for (let index = open; index < text.length; index++) {
+    if (text[index] === "(") depth++;
+    if (text[index] === ")" && --depth === 0) return index;
+  }
+  return -1;
+};
+
+/**
+ * Replace every :global(x) with x
+ * @param {string} selector Single selector
+ * @returns {string} Selector without :global()
+ */
+const unwrapGlobals = (selector) => {
+  let result = selector;
+  let start = result.indexOf(GLOBAL_PSEUDO);
+
+  while (start !== -1) {
+    const open = start + GLOBAL_PSEUDO.length - 1;
+    const close = findClosingParen(result, open);
+    if (close === -1) break;
+
+    result =
+      result.slice(0, start) + result.slice(open + 1, close) + result.slice(close + 1);
+    start = result.indexOf(GLOBAL_PSEUDO, start);
+  }
+
+  return result;
+};
+
+/**
+ * Put a selector inside the scope
+ *
+ * Selectors starting with the scope are left as they are. A leading
+ * :global(x) stays outside the scope (":global(.dark) .title" becomes
+ * ".dark .scope .title"), a selector that is only :global(x) isn't scoped at
+ * all, and :global() anywhere else is just unwrapped.
+ *
+ * @param {string} selector Single selector
+ * @param {string} scope Scope selector, e.g. ".wp-block-fancoolo-hero"
+ * @returns {string} Scoped selector
+ */
+export const scopeSelector = (selector, scope) => {
+  const trimmed = selector.trim();
+  const escapedScope = scope.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (new RegExp(`^${escapedScope}(?![\\w-])`).test(trimmed)) {
+    return trimmed;
+  }
+
+  let outside = "";
+  let rest = trimmed;
+
+  while (rest.startsWith(GLOBAL_PSEUDO)) {
+    const close = findClosingParen(rest, GLOBAL_PSEUDO.length - 1);
+    // Only a whole compound selector can stay outside
+    if (close === -1 || /^[^\s>+~]/.test(rest.slice(close + 1))) break;
+
+    outside += `${rest.slice(GLOBAL_PSEUDO.length, close)} `;
+    rest = rest.slice(close + 1).trimStart();
+  }
+
+  if (!rest) {
+    return unwrapGlobals(outside.trim());
+  }
+
+  return unwrapGlobals(`${outside}${scope} ${rest}`);
+};
+
+/**
+ * PostCSS plugin putting every rule inside the block wrapper
+ * @param {string} scope Scope selector
+ */
+const scopeRules = (scope) => ({
+  postcssPlugin: "fancoolo-scope",
+  Rule(rule) {
+    // Keyframe selectors (from, 50%...) aren't element selectors
+    if (rule.parent?.type === "atrule" && /keyframes$/i.test(rule.parent.name)) {
+      return;
+    }
+    if (rule.raws.fancooloScoped) {
+      return;
+    }
+
+    rule.selectors = rule.selectors.map((selector) => scopeSelector(selector, scope));
+    rule.raws.fancooloScoped = true;
+  },
+});
+
+/**
+ * Drop optional whitespace around combinators
+ * Selectors with strings are left alone - their spaces may be significant
+ * @param {string} selector Single selector
+ * @returns {string} Compact selector
+ */
+const compactSelector = (selector) =>
+  /["']/.test(selector)
+    ? selector
+    : selector.replace(/\s*([>+~])\s*/g, "$1").replace(/\s+/g, " ");
+
+/**
+ * PostCSS plugin stripping comments (except /*! ... *\/) and whitespace
+ */
+const minify = () => ({
+  postcssPlugin: "fancoolo-minify",
+  OnceExit(root) {
+    root.walk((node) => {
+      if (node.type === "comment" && !node.text.startsWith("!")) {
+        node.remove();
+        return;
+      }
+
+      node.raws.before = "";
+      node.raws.after = "";
+
+      if (node.type === "decl") {
+        node.raws.between = ":";
+        node.value = node.value.trim();
+      } else if (node.type === "rule") {
+        node.raws.between = "";
+        node.raws.semicolon = false;
+        node.selector = node.selectors.map(compactSelector).join(",");
+      } else if (node.type === "atrule") {
+        node.raws.afterName = node.params ? " " : "";
+        node.raws.between = "";
+        node.raws.semicolon = false;
+      }
+    });
+
+    root.raws.after = "";
+  },
+});
+
+/**
+ * Whether any post-processing is switched on
+ * @param {object} settings { scope, autoprefix, targets, output }
+ * @returns {boolean} True when postprocessCss would change the CSS
+ */
+export function needsPostprocess(settings) {
+  return Boolean(
+    settings?.scope || settings?.autoprefix || settings?.output === "production"
+  );
+}
+
+/**
+ * Whether post-processing keeps every rule on its line
+ * Scoping only rewrites selectors in place, so a source map of the original
+ * CSS still tells which source every line came from.
+ * @param {object} settings { scope, autoprefix, targets, output }
+ * @returns {boolean} True when lines stay where they were
+ */
+export function keepsLines(settings) {
+  return !settings?.autoprefix && settings?.output !== "production";
+}
+
+/**
+ * Check a browserslist query
+ * @param {string} targets Browserslist query
+ * @returns {string|null} Why the query is invalid, or null
+ */
+export function findTargetsError(targets) {
+  try {
+    browserslist(targets || "defaults");
+    return null;
+  } catch (error) {
+    if (error.name !== "BrowserslistError") {
+      throw error;
+    }
+    return error.message;
+  }
+}
+
+/**
+ * Scope rules to the block wrapper, add vendor prefixes for the target
+ * browsers and minify for production
+ * @param {string} css Compiled CSS
+ * @param {object} settings { scope (selector), autoprefix, targets
+ *   (browserslist query), output }
+ * @param {Array} warnings Receives a warning when the targets are invalid
+ * @returns {string} Processed CSS
+ */
+export function postprocessCss(css, settings = {}, warnings = []) {
+  const plugins = [];
+
+  if (settings.scope) {
+    plugins.push(scopeRules(settings.scope));
+  }
+
+  if (settings.autoprefix) {
+    let targets = settings.targets || "defaults";
+    const targetsError = findTargetsError(targets);
+
+    // A bad query must not break every compile - prefix for the defaults
+    if (targetsError) {
+      warnings.push({
+        severity: "warning",
+        message: `Invalid browser targets "${targets}" in the CSS Processing settings, using "defaults": ${targetsError}`,
+        span: null,
+      });
+      targets = "defaults";
+    }
+
+    plugins.push(
+      autoprefixer({
+        overrideBrowserslist: targets,
+        // Set explicitly - otherwise it reads process.env, which a worker lacks
+        grid: false,
+      })
+    );
+  }
+  if (settings.output === "production") {
+    plugins.push(minify());
+  }
+
+  if (plugins.length === 0) {
+    return css;
+  }
+
+  // Every plugin is synchronous, so the result can be read right away
+  return postcss(plugins).process(css, { from: undefined }).css;
+}
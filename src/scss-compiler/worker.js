@@ -0,0 +1,87 @@
+// Dedicated worker running Dart Sass off the main thread
+import * as Immutable from "immutable";
+import { compileWithSources, serializeError } from "./compile.js";
+
+// Message protocol (every message carries the request id):
+//   in:  { id, type: "init" }
+//        { id, type: "compile", scss, url, sources, partialModules, options,
+//          postprocess }
+//        { id, type: "cancel" }
+//   out: { id, result }    - init: { version }
+//                            compile: { css, sourceMap, warnings }
+//        { id, error }     - { message, sassMessage, span }
+//
+// Compilation is synchronous, so jobs are queued and run one per task. That
+// lets "cancel" messages posted while a compile is running drop the stale
+// jobs waiting behind it.
+
+let sass = null;
+const queue = [];
+let scheduled = false;
+
+function loadSass() {
+  if (sass) return sass;
+
+  // sass.dart.min.js sits next to this worker in dist/scss-compiler/
+  importScripts(new URL("sass.dart.min.js", self.location.href).href);
+
+  // Get the Sass library from global exports (Dart Sass pattern)
+  const _cliPkgLibrary = globalThis._cliPkgExports.pop();
+  if (globalThis._cliPkgExports.length === 0) delete globalThis._cliPkgExports;
+
+  const _cliPkgExports = {};
+  _cliPkgLibrary.load({ immutable: Immutable }, _cliPkgExports);
+
+  sass = {
+    compileString: _cliPkgExports.compileString,
+    info: _cliPkgExports.info,
+  };
+  return sass;
+}
+
+function reply(id, run) {
+  try {
+    self.postMessage({ id, result: run() });
+  } catch (error) {
+    self.postMessage({ id, error: serializeError(error) });
+  }
+}
+
+function schedule() {
+  if (!scheduled && queue.length > 0) {
+    scheduled = true;
+    setTimeout(runNext, 0);
+  }
+}
+
+function runNext() {
+  scheduled = false;
+  const job = queue.shift();
+
+  if (job) {
+    reply(job.id, () => compileWithSources(loadSass(), job));
+  }
+
+  schedule();
+}
+
+self.onmessage = (event) => {
+  const { id, type } = event.data || {};
+
+  switch (type) {
+    case "init":
+      reply(id, () => ({ version: loadSass().info }));
+      break;
+    case "compile":
+      queue.push(event.data);
+      schedule();
+      break;
+    case "cancel": {
+      const index = queue.findIndex((job) => job.id === id);
+      if (index !== -1) {
+        queue.splice(index, 1);
+      }
+      break;
+    }
+  }
+};
@@ -6,6 +6,7 @@
  */
 
 import { ApiError } from './FunculoApiClient.js';
+import { isAbortError } from './api/abortable.js';
 
 /**
  * Error severity levels
@@ -43,8 +44,14 @@ class ErrorLogger {
    * Log an error with context
    * @param {Error} error The error object
    * @param {Object} context Additional context
+   * @returns {Object|null} Log entry, or null for cancelled requests
    */
   log(error, context = {}) {
+    // Cancelled requests are intentional - not failures
+    if (isAbortError(error)) {
+      return null;
+    }
+
     const errorEntry = {
       timestamp: new Date().toISOString(),
       message: error.message,
@@ -261,6 +268,11 @@ class ApiErrorHandler {
       customMessage = null
     } = options;
 
+    // Cancelled requests are intentional - nothing to log or show
+    if (isAbortError(error)) {
+      return { aborted: true, canRetry: false };
+    }
+
     // Log the error
     const logEntry = this.logger.log(error, context);
 
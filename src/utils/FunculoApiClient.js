@@ -4,12 +4,28 @@
  * Features:
  * - Request caching to reduce redundant API calls
  * - Request deduplication for simultaneous identical requests
+ * - Request coalescing - single post fetches in the same tick share one batch request
  * - Centralized error handling and logging
  * - Performance monitoring and metrics
  * - Automatic retry logic for failed requests
+ * - Expired REST nonces are refreshed and the request replayed (see FetchTransport)
+ * - Offline write queue for mutations that fail while the backend is down
+ * - Optimistic concurrency - saves carry the revision they were based on
+ * - AbortSignal support - callers can cancel requests they no longer need
+ * - Pluggable transport - fetch against WordPress or an in-memory backend for the standalone demo
  * - TypeScript-like JSDoc annotations for better IDE support
  */
 
+import offlineWriteQueue from "./api/OfflineWriteQueue.js";
+import FetchTransport from "./api/FetchTransport.js";
+import RequestCoalescer from "./api/RequestCoalescer.js";
+import {
+  SharedRequest,
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+} from "./api/abortable.js";
+
 /**
  * Custom API Error class for better error handling
  */
@@ -23,12 +39,61 @@ export class ApiError extends Error {
   }
 }
 
+/**
+ * Thrown when a mutation could not reach the backend and was stored in the
+ * offline write queue instead. Callers can treat it as "saved locally".
+ */
+export class QueuedWriteError extends ApiError {
+  constructor(originalError, mutationId) {
+    super(
+      "Backend unreachable - changes were queued and will be sent automatically",
+      originalError?.status ?? 0,
+      originalError?.data ?? null,
+      originalError?.endpoint ?? null
+    );
+    this.name = "QueuedWriteError";
+    this.queued = true;
+    this.mutationId = mutationId;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Thrown when the server rejects a save because the post changed since it was
+ * loaded (HTTP 409). Carries the current server content for merging.
+ */
+export class RevisionConflictError extends ApiError {
+  constructor(message, data = null, endpoint = null) {
+    super(message, 409, data, endpoint);
+    this.name = "RevisionConflictError";
+    this.conflict = true;
+
+    const details = data?.data || {};
+    this.postId = details.post_id ?? null;
+    this.expectedRevision = details.expected_revision ?? null;
+    this.currentRevision = details.current_revision ?? null;
+    this.serverPost = details.post ?? null;
+    this.conflicts = details.conflicts || (details.post_id ? [details] : []);
+  }
+}
+
+/**
+ * Meta fields that make up the editable content of a post
+ * Used to fingerprint the server state a local edit was based on
+ */
+const TRACKED_META_FIELDS = {
+  blocks: ["php", "scss", "editorScss", "js", "attributes"],
+  symbols: ["php"],
+  scss_partials: ["scss"],
+};
+
 /**
  * Performance monitoring utility
  */
 class PerformanceMonitor {
   constructor() {
     this.metrics = new Map();
+    this.retries = new Map();
     this.enabled = window.funculoSettings?.debugMode || false;
   }
 
@@ -85,6 +150,31 @@ class PerformanceMonitor {
     return sum / times.length;
   }
 
+  /**
+   * Record a retry of an operation
+   * @param {string} operation Operation name
+   */
+  recordRetry(operation) {
+    if (!this.enabled) return;
+    this.retries.set(operation, (this.retries.get(operation) || 0) + 1);
+  }
+
+  /**
+   * Get a latency percentile for an operation (nearest-rank)
+   * @param {string} operation Operation name
+   * @param {number} percentile Percentile between 0 and 100
+   * @returns {number} Duration in milliseconds
+   */
+  getPercentile(operation, percentile) {
+    const durations = (this.metrics.get(operation) || [])
+      .map((metric) => metric.duration)
+      .sort((a, b) => a - b);
+    if (durations.length === 0) return 0;
+
+    const rank = Math.ceil((percentile / 100) * durations.length);
+    return durations[Math.min(durations.length, Math.max(1, rank)) - 1];
+  }
+
   /**
    * Export all metrics for analysis
    * @returns {Object} Metrics summary
@@ -97,25 +187,76 @@ class PerformanceMonitor {
         average: this.getAverageTime(operation),
         total: metrics.reduce((acc, m) => acc + m.duration, 0),
         latest: metrics[metrics.length - 1]?.duration || 0,
+        p50: this.getPercentile(operation, 50),
+        p95: this.getPercentile(operation, 95),
+        p99: this.getPercentile(operation, 99),
+        retries: this.retries.get(operation) || 0,
       };
     }
     return summary;
   }
 }
 
+/**
+ * Transport for demo mode (see src/demo) - runs on the seeded in-memory backend
+ * MemoryTransport and the demo library are loaded on the first request, so
+ * they stay out of the bundle WordPress loads
+ */
+class DemoTransport {
+  constructor() {
+    this.name = "memory";
+    this.transport = null;
+  }
+
+  async send(endpoint, config) {
+    if (!this.transport) {
+      this.transport = Promise.all([
+        import("./api/MemoryTransport.js"),
+        import("./api/demoLibrary.js"),
+      ]).then(
+        ([{ default: MemoryTransport }, { default: demoLibrary }]) =>
+          new MemoryTransport(demoLibrary)
+      );
+    }
+    return (await this.transport).send(endpoint, config);
+  }
+}
+
+/**
+ * Pick the transport for the current page
+ * Demo data is opt-in (funculoSettings.demoMode === true); otherwise the page
+ * must provide the WordPress REST settings
+ * @returns {FetchTransport|DemoTransport} Transport instance
+ */
+export function createDefaultTransport() {
+  if (window.funculoSettings?.demoMode === true) {
+    return new DemoTransport();
+  }
+  if (!window.wpApiSettings?.root) {
+    throw new Error(
+      "FanCoolo: window.wpApiSettings.root is missing - the REST API settings were not printed on this page"
+    );
+  }
+  return new FetchTransport(window.wpApiSettings);
+}
+
 /**
  * Main Funculo API Client
  */
 class FunculoApiClient {
-  constructor() {
-    this.baseUrl = `${window.wpApiSettings.root}funculo/v1`;
-    this.nonce = window.wpApiSettings.nonce;
+  /**
+   * @param {Object|null} transport Object with send(endpoint, config) returning
+   *   a fetch Response; createDefaultTransport() on the first request when null
+   */
+  constructor(transport = null) {
+    this.transport = transport;
 
     // Caching system - stores successful responses
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes default
 
     // Request deduplication - prevents duplicate simultaneous requests
+    // Values are SharedRequest instances so each caller can cancel independently
     this.pendingRequests = new Map();
 
     // Performance monitoring
@@ -126,7 +267,7 @@ class FunculoApiClient {
       maxRetries: 3,
       retryDelay: 1000, // Start with 1 second
       retryMultiplier: 2, // Double delay each retry
-      retryableStatuses: [403, 408, 429, 500, 502, 503, 504], // Added 403 for nonce failures
+      retryableStatuses: [408, 429, 500, 502, 503, 504],
     };
 
     // Statistics tracking
@@ -135,22 +276,64 @@ class FunculoApiClient {
       cacheHits: 0,
       errors: 0,
       retries: 0,
+      aborted: 0,
     };
+
+    // Last known server content per post - base for conflict detection
+    this.postSnapshots = new Map();
+
+    // Last known server revision hash per post - sent with saves
+    this.postRevisions = new Map();
+
+    // Coalesces getPost/getPostWithRelated calls into batch requests
+    this.postCoalescer = new RequestCoalescer(
+      (postIds, signal) => this.fetchPostsWithRelated(postIds, signal),
+      {
+        maxBatchSize: 50,
+        onMissing: (postId) =>
+          new ApiError(
+            `Post with ID ${postId} not found`,
+            404,
+            null,
+            `/post/${postId}/with-related`
+          ),
+      }
+    );
+
+    // Offline write queue - failed mutations are persisted and replayed
+    this.writeQueue = offlineWriteQueue;
+    this.writeQueue.attach(this);
+  }
+
+  /**
+   * Get the transport, picking the page's default one on first use
+   * Deferred so importing the client never fails outside WordPress
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createDefaultTransport();
+    }
+    return this.transport;
   }
 
   /**
    * Make a generic API request with all optimizations
    * @param {string} endpoint API endpoint (relative to base URL)
    * @param {Object} options Request options
+   * @param {boolean} options.noCache Skip the response cache
+   * @param {AbortSignal} options.signal Cancels this call (rejects with AbortError)
    * @returns {Promise} API response data
    */
   async request(endpoint, options = {}) {
     const timer = this.performanceMonitor.startTiming(`request:${endpoint}`);
     this.stats.requests++;
 
-    const { noCache = false, ...requestOptions } = options;
+    const { noCache = false, signal, ...requestOptions } = options;
 
     try {
+      throwIfAborted(signal);
+
       // Generate cache key for this request
       const cacheKey = this.generateCacheKey(endpoint, requestOptions);
       const useCache = !noCache && this.shouldUseCache(requestOptions.method);
@@ -166,30 +349,43 @@ class FunculoApiClient {
         }
       }
 
-      // Check for pending identical requests (deduplication)
-      if (this.pendingRequests.has(cacheKey)) {
-        return this.pendingRequests.get(cacheKey);
-      }
-
-      // Make the actual request with retry logic
-      const requestPromise = this.makeRequestWithRetry(endpoint, requestOptions);
-      this.pendingRequests.set(cacheKey, requestPromise);
+      // Join a pending identical request (deduplication) or start a new one
+      // An aborted request only lingers until it settles - don't join it
+      let pending = this.pendingRequests.get(cacheKey);
+      if (!pending || pending.aborted) {
+        pending = new SharedRequest((sharedSignal) =>
+          this.makeRequestWithRetry(endpoint, {
+            ...requestOptions,
+            signal: sharedSignal,
+          })
+        );
+        this.pendingRequests.set(cacheKey, pending);
 
-      try {
-        const response = await requestPromise;
+        // Always clean up pending requests
+        const cleanup = () => {
+          if (this.pendingRequests.get(cacheKey) === pending) {
+            this.pendingRequests.delete(cacheKey);
+          }
+        };
+        pending.promise.then(cleanup, cleanup);
+      }
 
-        // Cache successful GET responses
-        if (useCache && response) {
-          this.setInCache(cacheKey, response);
-        }
+      const response = await pending.subscribe(signal);
 
-        timer.end();
-        return response;
-      } finally {
-        // Always clean up pending requests
-        this.pendingRequests.delete(cacheKey);
+      // Cache successful GET responses
+      if (useCache && response) {
+        this.setInCache(cacheKey, response);
       }
+
+      timer.end();
+      return response;
     } catch (error) {
+      // Cancelled requests are expected - don't count them as failures
+      if (isAbortError(error)) {
+        this.stats.aborted++;
+        throw error;
+      }
+
       this.stats.errors++;
       timer.end();
       throw error;
@@ -205,29 +401,36 @@ class FunculoApiClient {
   async makeRequestWithRetry(endpoint, options) {
     let lastError;
 
+    // A page without transport settings fails the same way on every attempt
+    this.getTransport();
+
     for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
       try {
+        throwIfAborted(options.signal);
+
         if (attempt > 0) {
           this.stats.retries++;
+          this.performanceMonitor.recordRetry(`request:${endpoint}`);
           const delay =
             this.retryConfig.retryDelay *
             Math.pow(this.retryConfig.retryMultiplier, attempt - 1);
           console.log(
             `🔄 Retrying ${endpoint} (attempt ${attempt}/${this.retryConfig.maxRetries}) after ${delay}ms`
           );
-          await this.sleep(delay);
+          await this.sleep(delay, options.signal);
         }
 
         return await this.makeRawRequest(endpoint, options);
       } catch (error) {
+        // Never retry a cancelled request
+        if (isAbortError(error)) {
+          throw error;
+        }
+
         lastError = error;
 
-        // Special handling for nonce errors (403 with cookie check failure)
-        if (error.status === 403 && error.message?.includes("Cookie check failed")) {
-          console.warn("⚠️ Nonce expired. Retrying with fresh nonce...");
-          // Continue to retry - the makeRawRequest will use updated nonce
-          continue;
-        }
+        // Expired nonces are refreshed and replayed by the transport - a 403
+        // that gets here is a permission error or an ended session
 
         // Don't retry on client errors (4xx) except specific ones
         if (
@@ -249,27 +452,16 @@ class FunculoApiClient {
    * @returns {Promise} API response data
    */
   async makeRawRequest(endpoint, options) {
-    const url = `${this.baseUrl}${endpoint}`;
-
     // Prepare request configuration
     const config = {
+      ...options,
       headers: {
         "Content-Type": "application/json",
-        "X-WP-Nonce": this.nonce,
         ...options.headers,
       },
-      ...options,
     };
 
-    const response = await fetch(url, config);
-
-    // Check if nonce needs refresh
-    const newNonce = response.headers.get("X-WP-Nonce");
-    if (newNonce && newNonce !== this.nonce) {
-      console.log("🔄 Refreshing WordPress nonce");
-      this.nonce = newNonce;
-      window.wpApiSettings.nonce = newNonce;
-    }
+    const response = await this.getTransport().send(endpoint, config);
 
     // Handle non-JSON responses
     const contentType = response.headers.get("content-type");
@@ -287,6 +479,14 @@ class FunculoApiClient {
 
     const data = await response.json();
 
+    if (response.status === 409 && data?.code === "conflict") {
+      throw new RevisionConflictError(
+        data.message || "Post was modified by someone else",
+        data,
+        endpoint
+      );
+    }
+
     if (!response.ok) {
       throw new ApiError(
         data.message || `HTTP ${response.status}`,
@@ -306,12 +506,13 @@ class FunculoApiClient {
   /**
    * Get paginated posts list (optimized with bulk queries)
    * @param {Object} params Query parameters
+   * @param {Object} options Request options (e.g. signal)
    * @returns {Promise<Object>} Posts data with pagination
    */
-  async getPosts(params = {}) {
+  async getPosts(params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = `/posts${queryString ? `?${queryString}` : ""}`;
-    const response = await this.request(endpoint);
+    const response = await this.request(endpoint, options);
 
     // Handle new unified API response format
     if (response.success !== undefined && response.data !== undefined) {
@@ -330,31 +531,26 @@ class FunculoApiClient {
   }
 
   /**
-   * Get single post by ID (always uses batch endpoint for consistency)
+   * Get single post by ID (coalesced into the with-related batch endpoint)
    * @param {number} id Post ID
+   * @param {Object} options Request options (e.g. noCache, signal)
    * @returns {Promise<Object>} Post data
    */
-  async getPost(id) {
-    const response = await this.request(`/post/${id}`);
-
-    // Handle new unified API response format
-    if (response.success !== undefined && response.data !== undefined) {
-      return this.normalizePost(response.data);
-    }
-
-    // Old format: return as-is
-    return response;
+  async getPost(id, options = {}) {
+    const result = await this.loadPostWithRelated(id, options);
+    return result.post;
   }
 
   /**
    * Get multiple posts by IDs (primary method)
    * @param {Array} postIds Array of post IDs to fetch
-   * @param {Object} options Fetch options
+   * @param {Object} options Fetch options (includeMeta, signal)
    * @returns {Promise<Object>} Batch posts result
    */
   async getBatchPosts(postIds, options = {}) {
-    const { includeMeta = true } = options;
+    const { includeMeta = true, signal } = options;
     const response = await this.request("/posts/batch", {
+      signal,
       method: "POST",
       body: JSON.stringify({
         post_ids: postIds,
@@ -366,6 +562,9 @@ class FunculoApiClient {
     if (response.success !== undefined && response.data !== undefined) {
       const postsPayload = response.data.posts || response.data;
       const posts = this.normalizePostCollection(postsPayload);
+      if (Array.isArray(posts)) {
+        posts.forEach((post) => this.rememberPostSnapshot(post));
+      }
       return {
         posts,
         found: response.data.found || response.meta?.found || 0,
@@ -417,27 +616,52 @@ class FunculoApiClient {
 
   /**
    * Update multiple posts (primary method)
+   * Queued for later replay if the backend is unreachable
+   * Meta updates carry the last known revision and fail with a
+   * RevisionConflictError if the post changed on the server in the meantime
    * @param {Array} updates Array of post updates
+   * @param {Object} options Options
+   * @param {boolean} options.skipQueue Bypass the offline queue
+   * @param {null} options.expectedRevision Pass null to skip the revision check
    * @returns {Promise<Object>} Bulk update result
    */
-  async batchUpdatePosts(updates) {
-    this.invalidateCache("/posts");
-    const response = await this.request("/posts/batch-update", {
-      method: "PUT",
-      body: JSON.stringify({ updates }),
-    });
-
-    // Handle new unified API response format
-    if (response.success !== undefined && response.data !== undefined) {
-      return {
-        successful: response.data.successful || [],
-        failed: response.data.failed || [],
-        total: response.meta?.total || updates.length,
-      };
-    }
+  async batchUpdatePosts(updates, options = {}) {
+    const postIds = updates
+      .map((update) => update.post_id ?? update.id)
+      .filter(Boolean);
+    const checkRevisions = options.expectedRevision !== null;
+
+    return this.withWriteQueue(
+      "batchUpdatePosts",
+      [updates],
+      postIds,
+      options,
+      async () => {
+        this.invalidateCache("/posts");
+        const response = await this.request("/posts/batch-update", {
+          method: "PUT",
+          body: JSON.stringify({
+            updates: checkRevisions
+              ? updates.map((update) => this.withExpectedRevision(update))
+              : updates,
+          }),
+        });
+
+        // Handle new unified API response format
+        if (response.success !== undefined && response.data !== undefined) {
+          const successful = response.data.successful || [];
+          successful.forEach((post) => this.rememberPostSnapshot(post));
+          return {
+            successful,
+            failed: response.data.failed || [],
+            total: response.meta?.total || updates.length,
+          };
+        }
 
-    // Old format: return as-is
-    return response;
+        // Old format: return as-is
+        return response;
+      }
+    );
   }
 
   /**
@@ -472,10 +696,11 @@ class FunculoApiClient {
 
   /**
    * Get SCSS partials
+   * @param {Object} options Request options (e.g. signal)
    * @returns {Promise<Object>} SCSS partials data
    */
-  async getScssPartials() {
-    const response = await this.request("/scss-partials");
+  async getScssPartials(options = {}) {
+    const response = await this.request("/scss-partials", options);
 
     // Handle new unified API response format
     if (response.success !== undefined && response.data !== undefined) {
@@ -621,10 +846,11 @@ class FunculoApiClient {
 
   /**
    * Get block categories
+   * @param {Object} options Request options (e.g. signal)
    * @returns {Promise<Array>} Block categories
    */
-  async getBlockCategories() {
-    const response = await this.request("/block-categories");
+  async getBlockCategories(options = {}) {
+    const response = await this.request("/block-categories", options);
 
     // Handle new unified API response format
     if (response.success !== undefined && response.data !== undefined) {
@@ -637,10 +863,11 @@ class FunculoApiClient {
 
   /**
    * Get taxonomy terms
+   * @param {Object} options Request options (e.g. signal)
    * @returns {Promise<Array>} Taxonomy terms
    */
-  async getTaxonomyTerms() {
-    const response = await this.request("/taxonomy");
+  async getTaxonomyTerms(options = {}) {
+    const response = await this.request("/taxonomy", options);
 
     // Handle new unified API response format
     if (response.success !== undefined && response.data !== undefined) {
@@ -653,10 +880,11 @@ class FunculoApiClient {
 
   /**
    * Get all registered blocks
+   * @param {Object} options Request options (e.g. signal)
    * @returns {Promise<Object>} All registered blocks data
    */
-  async getRegisteredBlocks() {
-    const response = await this.request("/registered-blocks");
+  async getRegisteredBlocks(options = {}) {
+    const response = await this.request("/registered-blocks", options);
 
     // Handle new unified API response format
     if (response.success !== undefined && response.data !== undefined) {
@@ -674,25 +902,68 @@ class FunculoApiClient {
   /**
    * Get post with all related data (primary method for single post)
    * @param {number} id Post ID
+   * @param {Object} options Request options (e.g. signal)
    * @returns {Promise<Object>} Post with all related data
    */
-  async getPostWithRelated(id) {
+  async getPostWithRelated(id, options = {}) {
     try {
-      const response = await this.request(`/post/${id}/with-related`);
-
-      // Handle new unified API response format
-      if (response.success !== undefined && response.data !== undefined) {
-        const normalized = this.normalizePostWithRelatedPayload(response.data);
-        return normalized;
-      }
-
-      return response;
+      return await this.loadPostWithRelated(id, options);
     } catch (error) {
-      console.error('FunculoApiClient getPostWithRelated error:', error);
+      if (!isAbortError(error)) {
+        console.error('FunculoApiClient getPostWithRelated error:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Load a post with related data through the request coalescer
+   * Payloads are cached under the single post endpoint so invalidateCache()
+   * patterns keep working.
+   * @param {number} id Post ID
+   * @param {Object} options Request options (noCache, signal)
+   * @returns {Promise<Object>} Normalized post with related data
+   */
+  async loadPostWithRelated(id, options = {}) {
+    const { noCache = false, signal } = options;
+    const cacheKey = this.generateCacheKey(`/post/${id}/with-related`, {});
+
+    this.stats.requests++;
+    let payload = noCache ? null : this.getFromCache(cacheKey);
+    if (payload) {
+      this.stats.cacheHits++;
+    } else {
+      payload = await this.postCoalescer.load(Number(id), signal);
+      this.setInCache(cacheKey, payload);
+    }
+
+    // Normalize per call so callers never share (and mutate) cached objects
+    const normalized = this.normalizePostWithRelatedPayload(payload);
+    this.rememberPostSnapshot(normalized?.post);
+    return normalized;
+  }
+
+  /**
+   * Fetch several posts with related data in one request
+   * @param {Array<number>} postIds Post IDs (at most 50)
+   * @param {AbortSignal} signal Optional signal
+   * @returns {Promise<Map>} Post ID -> { post, related } payload
+   */
+  async fetchPostsWithRelated(postIds, signal) {
+    const response = await this.request("/posts/with-related/batch", {
+      signal,
+      method: "POST",
+      body: JSON.stringify({ post_ids: postIds }),
+    });
+
+    const results = new Map();
+    (response?.data?.items || []).forEach((item) => {
+      results.set(Number(item.post.id), item);
+    });
+
+    return results;
+  }
+
   /**
    * Get multiple posts with their partials (primary method for multiple posts)
    * @param {Array} postIds Array of post IDs
@@ -715,27 +986,67 @@ class FunculoApiClient {
   /**
    * Save post with related operations (primary save method)
    * Combines multiple operations into a single request
+   * Queued for later replay if the backend is unreachable
+   * Fails with a RevisionConflictError if the post changed on the server
+   * since the revision the edit was based on
    * @param {number} postId Post ID
    * @param {Object} metaData Meta data to update
    * @param {boolean} regenerateFiles Whether to regenerate files
+   * @param {Object} options Options
+   * @param {boolean} options.skipQueue Bypass the offline queue
+   * @param {string|null} options.expectedRevision Revision the edit is based on
+   *   (defaults to the last known one, null skips the check)
    * @returns {Promise<Object>} Combined operation result
    */
-  async savePostWithOperations(postId, metaData, regenerateFiles = true) {
-    const operations = [
-      {
-        type: "update_meta",
-        data: { post_id: postId, meta: metaData },
-      },
-    ];
+  async savePostWithOperations(
+    postId,
+    metaData,
+    regenerateFiles = true,
+    options = {}
+  ) {
+    return this.withWriteQueue(
+      "savePostWithOperations",
+      [postId, metaData, regenerateFiles],
+      [postId],
+      options,
+      async () => {
+        const expectedRevision =
+          options.expectedRevision !== undefined
+            ? options.expectedRevision
+            : this.postRevisions.get(Number(postId));
+
+        const updateData = { post_id: postId, meta: metaData };
+        if (expectedRevision) {
+          updateData.expected_revision = expectedRevision;
+        }
 
-    if (regenerateFiles) {
-      operations.push({
-        type: "regenerate_files",
-        data: { post_id: postId },
-      });
-    }
+        const operations = [
+          {
+            type: "update_meta",
+            data: updateData,
+          },
+        ];
+
+        if (regenerateFiles) {
+          operations.push({
+            type: "regenerate_files",
+            data: { post_id: postId },
+          });
+        }
+
+        const result = await this.executeBulkOperations(operations);
+
+        const metaResult = result.successful?.find(
+          (item) => item.type === "update_meta"
+        );
+        if (metaResult) {
+          this.applySavedMeta(postId, metaData);
+          this.rememberPostRevision(postId, metaResult.result?.revision_hash);
+        }
 
-    return this.executeBulkOperations(operations);
+        return result;
+      }
+    );
   }
 
   /**
@@ -833,6 +1144,187 @@ class FunculoApiClient {
     });
   }
 
+  // ===========================================
+  // OFFLINE WRITE QUEUE
+  // ===========================================
+
+  /**
+   * Run a mutation, queueing it for replay if the backend is unreachable
+   * Writes to posts that already have queued mutations go straight to the
+   * queue so they can never overtake an earlier unsent edit.
+   * @param {string} method Client method name used for replay
+   * @param {Array} args Method arguments (without options)
+   * @param {Array<number>} postIds Posts touched by the mutation
+   * @param {Object} options Options (skipQueue to bypass the queue)
+   * @param {Function} operation Performs the actual request
+   * @returns {Promise<Object>} Operation result
+   */
+  async withWriteQueue(method, args, postIds, options, operation) {
+    const { skipQueue = false } = options;
+
+    if (skipQueue) {
+      return operation();
+    }
+
+    const baseFingerprints = {};
+    postIds.forEach((postId) => {
+      const fingerprint = this.getPostFingerprint(postId);
+      if (fingerprint) {
+        baseFingerprints[postId] = fingerprint;
+      }
+    });
+
+    const enqueue = async (error) => {
+      const mutation = await this.writeQueue.enqueue({
+        method,
+        args,
+        postIds,
+        baseFingerprints,
+      });
+      return new QueuedWriteError(error, mutation.id);
+    };
+
+    if (this.writeQueue.hasQueuedWrites(postIds)) {
+      const queuedError = await enqueue(null);
+      this.writeQueue.replay();
+      throw queuedError;
+    }
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (!this.writeQueue.isOfflineError(error)) {
+        throw error;
+      }
+      throw await enqueue(error);
+    }
+  }
+
+  /**
+   * Replay a queued mutation (called by the offline write queue)
+   * @param {Object} mutation Queued mutation
+   * @returns {Promise<Object>} Operation result
+   */
+  async replayMutation(mutation) {
+    const replayableMethods = ["batchUpdatePosts", "savePostWithOperations"];
+    if (!replayableMethods.includes(mutation.method)) {
+      throw new Error(`Cannot replay unknown mutation: ${mutation.method}`);
+    }
+
+    const result = await this[mutation.method](...mutation.args, {
+      skipQueue: true,
+      // Overwrites were confirmed by the user, so skip the revision check
+      ...(mutation.force ? { expectedRevision: null } : {}),
+    });
+
+    if (result?.failed?.length > 0) {
+      const first = result.failed[0];
+      throw new ApiError(first.error || "Replay failed", 400, first);
+    }
+
+    mutation.postIds.forEach((postId) => {
+      this.invalidateCache(`/post/${postId}`);
+    });
+    this.invalidateCache("/posts");
+
+    return result;
+  }
+
+  /**
+   * Remember the editable content of a post as returned by the server
+   * @param {Object} post Normalized post
+   */
+  rememberPostSnapshot(post) {
+    if (!post?.id) return;
+
+    this.rememberPostRevision(post.id, post.revision_hash);
+
+    if (!post.meta) return;
+
+    const snapshot = {};
+    for (const [section, fields] of Object.entries(TRACKED_META_FIELDS)) {
+      const sectionMeta = post.meta[section];
+      if (!sectionMeta) continue;
+
+      snapshot[section] = {};
+      fields.forEach((field) => {
+        snapshot[section][field] = sectionMeta[field] ?? "";
+      });
+    }
+
+    this.postSnapshots.set(Number(post.id), snapshot);
+  }
+
+  /**
+   * Remember the revision hash of a post as returned by the server
+   * @param {number} postId Post ID
+   * @param {string} revision Revision hash
+   */
+  rememberPostRevision(postId, revision) {
+    if (!postId || !revision) return;
+    this.postRevisions.set(Number(postId), revision);
+  }
+
+  /**
+   * Attach the last known revision to a post update that changes meta
+   * @param {Object} update Post update
+   * @returns {Object} Update with expected_revision when known
+   */
+  withExpectedRevision(update) {
+    if (!update.meta || update.expected_revision) {
+      return update;
+    }
+
+    const revision = this.postRevisions.get(
+      Number(update.post_id ?? update.id)
+    );
+    return revision ? { ...update, expected_revision: revision } : update;
+  }
+
+  /**
+   * Merge successfully saved meta into the known server snapshot
+   * @param {number} postId Post ID
+   * @param {Object} metaData Saved meta data
+   */
+  applySavedMeta(postId, metaData) {
+    const snapshot = this.postSnapshots.get(Number(postId));
+    if (!snapshot || !metaData) return;
+
+    for (const [section, fields] of Object.entries(TRACKED_META_FIELDS)) {
+      const sectionMeta = metaData[section];
+      if (!sectionMeta || !snapshot[section]) continue;
+
+      fields.forEach((field) => {
+        if (sectionMeta[field] !== undefined) {
+          snapshot[section][field] = sectionMeta[field];
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the fingerprint of the last known server content of a post
+   * @param {number} postId Post ID
+   * @returns {string|null} Fingerprint or null if the post was never loaded
+   */
+  getPostFingerprint(postId) {
+    const snapshot = this.postSnapshots.get(Number(postId));
+    if (!snapshot) return null;
+
+    const serialized = JSON.stringify(snapshot);
+    return `${serialized.length}-${this.hashString(serialized)}`;
+  }
+
+  /**
+   * Fetch a post fresh from the server and fingerprint its content
+   * @param {number} postId Post ID
+   * @returns {Promise<string|null>} Current server fingerprint
+   */
+  async getServerFingerprint(postId) {
+    await this.getPost(postId, { noCache: true });
+    return this.getPostFingerprint(postId);
+  }
+
   // ===========================================
   // CACHE MANAGEMENT
   // ===========================================
@@ -847,16 +1339,23 @@ class FunculoApiClient {
     const method = options.method || "GET";
     const body = options.body || "";
 
-    // Use a simple hash instead of btoa to avoid Unicode issues
+    return `${method}:${endpoint}:${this.hashString(body)}`;
+  }
+
+  /**
+   * Simple string hash (used instead of btoa to avoid Unicode issues)
+   * @param {string} value String to hash
+   * @returns {string} Base36 hash
+   */
+  hashString(value) {
     let hash = 0;
-    for (let i = 0; i < body.length; i++) {
-      const char = body.charCodeAt(i);
+    for (let i = 0; i < value.length; i++) {
+      const char = value.charCodeAt(i);
       hash = ((hash << 5) - hash) + char;
       hash = hash & hash; // Convert to 32bit integer
     }
 
-    return `${method}:${endpoint}:${Math.abs(hash).toString(36).slice(0, 10)}`;
-
+    return Math.abs(hash).toString(36).slice(0, 10);
   }
 
   /**
@@ -913,6 +1412,15 @@ class FunculoApiClient {
     }
   }
 
+  /**
+   * Remove a single cache entry
+   * @param {string} cacheKey Cache key as listed by getCacheEntries()
+   * @returns {boolean} Whether an entry was removed
+   */
+  invalidateCacheKey(cacheKey) {
+    return this.cache.delete(cacheKey);
+  }
+
   /**
    * Clear all cache
    */
@@ -920,6 +1428,32 @@ class FunculoApiClient {
     this.cache.clear();
   }
 
+  /**
+   * List cached responses with their remaining lifetime
+   * @returns {Array<{key: string, expiresIn: number}>} Cache entries
+   */
+  getCacheEntries() {
+    const now = Date.now();
+    return Array.from(this.cache.entries()).map(([key, cached]) => ({
+      key,
+      expiresIn: cached.expires - now,
+    }));
+  }
+
+  /**
+   * Switch to another transport, e.g. a MemoryTransport
+   * Cached responses belong to the old backend and are dropped; callers
+   * using centralizedApi should call its clearCache() as well.
+   * @param {Object} transport Object with send(endpoint, config) returning a fetch Response
+   */
+  setTransport(transport) {
+    this.transport = transport;
+    this.clearCache();
+    this.pendingRequests.clear();
+    this.postSnapshots.clear();
+    this.postRevisions.clear();
+  }
+
   /**
    * Ensure both camelCase and snake_case keys are exposed on block meta
    * @param {Object} blocksMeta Blocks meta object
@@ -1068,10 +1602,21 @@ class FunculoApiClient {
   /**
    * Sleep utility for retry delays
    * @param {number} ms Milliseconds to sleep
+   * @param {AbortSignal} signal Optional signal that cuts the delay short
    * @returns {Promise} Promise that resolves after delay
    */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(createAbortError());
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
   }
 
   /**
@@ -1081,8 +1626,11 @@ class FunculoApiClient {
   getStats() {
     return {
       ...this.stats,
+      transport: this.transport?.name || "none",
       cacheSize: this.cache.size,
       pendingRequests: this.pendingRequests.size,
+      pendingRequestKeys: Array.from(this.pendingRequests.keys()),
+      queuedWrites: this.writeQueue.getState().total,
       cacheHitRate:
         this.stats.requests > 0
           ? ((this.stats.cacheHits / this.stats.requests) * 100).toFixed(2) +
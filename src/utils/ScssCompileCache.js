@@ -0,0 +1,175 @@
+/**
+ * SCSS Compile Cache - Reuses compiled CSS for unchanged inputs
+ *
+ * Entries are keyed by a hash of everything that affects the output: the
+ * entry stylesheet, the block SCSS, every partial's content, the compiler
+ * and post-processing options and the build of the compiler bundles (which
+ * changes with the Dart Sass and post-processing versions). Saving a
+ * block whose styles didn't change, or recompiling blocks after a partial
+ * edit that doesn't reach them, then skips Sass entirely.
+ *
+ * Only successful compiles are stored. Entries live in IndexedDB and the
+ * least recently used ones are dropped above MAX_ENTRIES.
+ */
+
+import IndexedDbStore from "./api/IndexedDbStore.js";
+
+// Bump when the stored record shape or the compile pipeline changes
+const CACHE_FORMAT_VERSION = 1;
+const MAX_ENTRIES = 300;
+
+/**
+ * Hash a string - SHA-256 where available, FNV-1a otherwise
+ * (crypto.subtle only exists on https and localhost)
+ * @param {string} text Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashText(text) {
+  if (globalThis.crypto?.subtle && typeof TextEncoder !== "undefined") {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(text)
+    );
+    return Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+  }
+
+  // Two differently seeded 32-bit FNV-1a passes plus the length
+  let first = 0x811c9dc5;
+  let second = 0x01000193;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    first = Math.imul(first ^ code, 0x01000193) >>> 0;
+    second = Math.imul(second ^ code, 0x811c9dc5) >>> 0;
+  }
+  return `${first.toString(16)}${second.toString(16)}-${text.length}`;
+}
+
+class ScssCompileCache {
+  constructor() {
+    this.store = new IndexedDbStore("fancoolo_scss_cache", "compiled", {
+      keyPath: "hash",
+    });
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Cache key for a compile request
+   * @param {object} request { scss, url, sources, partialModules, options,
+   *   postprocess }
+   * @returns {Promise<string>} Hash
+   */
+  keyFor(request) {
+    const {
+      scss,
+      url,
+      sources = {},
+      partialModules = {},
+      options = {},
+      postprocess = null,
+    } = request;
+    const sortedEntries = (object) =>
+      Object.keys(object)
+        .sort()
+        .map((key) => [key, object[key]]);
+
+    return hashText(
+      JSON.stringify([
+        CACHE_FORMAT_VERSION,
+        window.funculoSettings?.scssCompilerBuild || "dev",
+        scss,
+        url,
+        sortedEntries(sources),
+        sortedEntries(partialModules),
+        sortedEntries(options),
+        sortedEntries(postprocess || {}),
+      ])
+    );
+  }
+
+  /**
+   * Get a cached compile result
+   * @param {string} hash Key from keyFor()
+   * @returns {Promise<object|null>} { css, sourceMap, warnings } or null
+   */
+  async get(hash) {
+    let record = null;
+    try {
+      record = await this.store.get(hash);
+    } catch (error) {
+      console.warn("Failed to read SCSS compile cache:", error);
+    }
+
+    if (!record) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    record.lastAccess = Date.now();
+    this.store.put(record).catch(() => {});
+
+    return {
+      css: record.css,
+      sourceMap: record.sourceMap,
+      warnings: record.warnings || [],
+    };
+  }
+
+  /**
+   * Store a compile result
+   * @param {string} hash Key from keyFor()
+   * @param {object} result { css, sourceMap, warnings }
+   */
+  async set(hash, result) {
+    try {
+      await this.store.put({
+        hash,
+        css: result.css,
+        sourceMap: result.sourceMap || null,
+        warnings: result.warnings || [],
+        lastAccess: Date.now(),
+      });
+      await this.evict();
+    } catch (error) {
+      // Quota errors and the like - the next compile just runs Sass again
+      console.warn("Failed to store SCSS compile result:", error);
+    }
+  }
+
+  /**
+   * Drop the least recently used entries above MAX_ENTRIES
+   */
+  async evict() {
+    const keys = await this.store.getAllKeys();
+    if (keys.length <= MAX_ENTRIES) return;
+
+    const records = await this.store.getAll();
+    const stale = records
+      .sort((a, b) => a.lastAccess - b.lastAccess)
+      .slice(0, records.length - MAX_ENTRIES);
+
+    await Promise.all(stale.map((record) => this.store.delete(record.hash)));
+  }
+
+  /**
+   * Remove every cached compile
+   */
+  async clear() {
+    await this.store.clear();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {{hits: number, misses: number}} Stats
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+const scssCompileCache = new ScssCompileCache();
+
+export default scssCompileCache;
@@ -6,6 +6,7 @@
  */
 
 import { ApiError } from './FunculoApiClient.js';
+import { isAbortError } from './api/abortable.js';
 
 /**
  * Error severity levels (simplified)
@@ -61,6 +62,11 @@ class SimpleErrorHandler {
       customMessage = null
     } = options;
 
+    // Cancelled requests are intentional - nothing to log or show
+    if (isAbortError(error)) {
+      return { aborted: true, canRetry: false };
+    }
+
     // Log to console for debugging
     console.error('API Error:', error);
 
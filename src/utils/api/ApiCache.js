@@ -1,25 +1,59 @@
+import { SharedRequest, throwIfAborted } from "./abortable";
+import IndexedDbStore from "./IndexedDbStore";
+
+const CHANNEL_NAME = "fancoolo_api_cache";
+
+// Bump when the shape of cached responses changes; combined with the plugin
+// version so every plugin update starts from an empty persistent cache
+const CACHE_SCHEMA_VERSION = 1;
+
+// Prefix of the old localStorage persistence, removed on load
+const LEGACY_STORAGE_PREFIX = "fancoolo_cache_";
+
 /**
  * Enhanced API Cache Service - Handles request deduplication, caching, and persistence
  * Prevents redundant API calls and provides centralized data management
+ *
+ * Stale-while-revalidate: entries older than their TTL are still returned
+ * instantly (up to staleTTL, or options.staleTTL per call) while a background
+ * request refreshes them.
+ * Invalidations are broadcast to other admin tabs over a BroadcastChannel.
  */
 class ApiCache {
   constructor() {
     this.cache = new Map();
     this.pendingRequests = new Map();
+    // Bumped on invalidation, so responses to older requests aren't stored
+    this.generations = new Map(); // key -> generation
+    this.clearGeneration = 0;
     this.defaultTTL = 5 * 60 * 1000; // 5 minutes
+    this.staleTTL = 10 * 60 * 1000; // Serve stale data for up to 10 minutes while revalidating
+    this.listeners = new Set();
     this.persistentKeys = new Set([
       "posts",
       "scss-partials",
       "block-categories",
       "registered-blocks",
     ]);
-    this.storagePrefix = "fancoolo_cache_";
 
-    // Load persistent cache from localStorage on initialization
-    this.loadPersistentCache();
+    // Persistent entries live in IndexedDB (memory when unavailable)
+    this.persistentStore = new IndexedDbStore("fancoolo_cache", "entries", {
+      keyPath: "key",
+    });
+    this.schemaVersion = `${CACHE_SCHEMA_VERSION}:${
+      window.funculoSettings?.pluginVersion || "dev"
+    }`;
+    this.persistentBudget = 20 * 1024 * 1024; // Approximate bytes of JSON
+    this.persistentIndex = new Map(); // key -> { size, lastAccess }
+
+    // Load persistent cache on initialization - get() waits for it
+    this.ready = this.loadPersistentCache();
 
     // Set up cache cleanup interval
     this.setupCleanupInterval();
+
+    // Receive invalidations from other tabs
+    this.setupBroadcastChannel();
   }
 
   /**
@@ -37,135 +71,303 @@ class ApiCache {
     return Date.now() - cacheItem.timestamp < cacheItem.ttl;
   }
 
+  /**
+   * Check if cached data may still be served while it is revalidated
+   */
+  isUsable(cacheItem, staleTTL = this.staleTTL) {
+    return Date.now() - cacheItem.timestamp < cacheItem.ttl + staleTTL;
+  }
+
   /**
    * Get cached data or execute request with deduplication
+   * requestFn receives an AbortSignal shared by every caller waiting on the key;
+   * it is only aborted once all of them have cancelled via options.signal;
+   * options.staleTTL overrides how long expired data may still be served
    */
-  async get(key, requestFn, ttl = this.defaultTTL) {
-    // Check if we have valid cached data
+  async get(key, requestFn, ttl = this.defaultTTL, options = {}) {
+    const { signal, staleTTL = this.staleTTL } = options;
+    throwIfAborted(signal);
+    await this.ready;
+
     if (this.cache.has(key)) {
       const cacheItem = this.cache.get(key);
+      this.touchPersistent(key);
       if (this.isValid(cacheItem)) {
         return cacheItem.data;
       }
+
+      // Stale - answer now, refresh in the background
+      if (this.isUsable(cacheItem, staleTTL)) {
+        this.revalidate(key, requestFn, ttl, cacheItem);
+        return cacheItem.data;
+      }
+
       // Remove expired cache
       this.cache.delete(key);
     }
 
     // Check if request is already in progress
-    if (this.pendingRequests.has(key)) {
-      return this.pendingRequests.get(key);
+    const pending = this.getPending(key);
+    if (pending) {
+      return pending.subscribe(signal);
     }
 
-    // Execute new request
-    const requestPromise = requestFn()
-      .then((data) => {
-        // Cache the result
-        const cacheItem = {
-          data,
-          timestamp: Date.now(),
-          ttl,
-        };
-        this.cache.set(key, cacheItem);
-
-        // Save to persistent storage if applicable
-        this.saveToPersistentStorage(key, cacheItem);
+    return this.startRequest(key, requestFn, ttl).subscribe(signal);
+  }
 
-        // Remove from pending requests
-        this.pendingRequests.delete(key);
+  /**
+   * Refresh a stale entry without blocking the caller
+   * Subscribers are notified if the fresh data differs from what was served.
+   */
+  revalidate(key, requestFn, ttl, staleItem) {
+    if (this.getPending(key)) {
+      return;
+    }
 
-        return data;
+    this.startRequest(key, requestFn, ttl)
+      .subscribe()
+      .then((data) => {
+        if (JSON.stringify(data) !== JSON.stringify(staleItem.data)) {
+          this.notify({ type: "revalidated", key });
+        }
       })
       .catch((error) => {
-        // Remove from pending requests on error
-        this.pendingRequests.delete(key);
-        throw error;
+        console.warn(`Background revalidation failed for ${key}:`, error);
       });
+  }
+
+  /**
+   * Start a request for a key and store the result once it succeeds
+   * @returns {SharedRequest} Pending request, registered for deduplication
+   */
+  startRequest(key, requestFn, ttl) {
+    const generation = this.getGeneration(key);
+
+    const pending = new SharedRequest(async (sharedSignal) => {
+      const data = await requestFn(sharedSignal);
+
+      // Invalidated while in flight - the response may predate the change
+      if (this.getGeneration(key) !== generation) {
+        return data;
+      }
+
+      // Cache the result
+      const cacheItem = {
+        data,
+        timestamp: Date.now(),
+        ttl,
+      };
+      this.cache.set(key, cacheItem);
+
+      // Save to persistent storage if applicable
+      this.saveToPersistentStorage(key, cacheItem);
+
+      return data;
+    });
 
     // Store pending request
-    this.pendingRequests.set(key, requestPromise);
+    this.pendingRequests.set(key, pending);
+
+    // Remove from pending requests (also on error or cancellation) - chained
+    // here, as requestFn may fail before the constructor returns
+    pending.promise
+      .finally(() => this.removePending(key, pending))
+      .catch(() => {});
 
-    return requestPromise;
+    return pending;
+  }
+
+  /**
+   * In-flight request of a key, unless every caller already cancelled it
+   * (an aborted request stays registered until it settles)
+   * @returns {SharedRequest|null} Request to join
+   */
+  getPending(key) {
+    const pending = this.pendingRequests.get(key);
+    return pending && !pending.aborted ? pending : null;
+  }
+
+  /**
+   * Remove a finished request unless it was already replaced by a newer one
+   */
+  removePending(key, pending) {
+    if (this.pendingRequests.get(key) === pending) {
+      this.pendingRequests.delete(key);
+    }
+  }
+
+  /**
+   * Generation of a key, changed by every invalidation that covers it
+   */
+  getGeneration(key) {
+    return `${this.clearGeneration}:${this.generations.get(key) || 0}`;
+  }
+
+  /**
+   * Drop the in-flight request of a key; its response won't be stored
+   */
+  discardPending(key) {
+    this.generations.set(key, (this.generations.get(key) || 0) + 1);
+    this.pendingRequests.delete(key);
   }
 
   /**
    * Invalidate specific cache entry
    */
-  invalidate(key) {
+  invalidate(key, { broadcast = true } = {}) {
     this.cache.delete(key);
-    this.pendingRequests.delete(key);
+    this.discardPending(key);
 
-    // Also remove from localStorage if persistent
-    const baseKey = key.split(":")[0];
-    if (this.persistentKeys.has(baseKey)) {
-      try {
-        const storageKey = this.storagePrefix + baseKey;
-        localStorage.removeItem(storageKey);
-      } catch (error) {
-        console.warn("Failed to remove from localStorage:", error);
-      }
+    this.removePersistent(key);
+
+    if (broadcast) {
+      this.broadcast({ type: "invalidate", key });
     }
   }
 
   /**
    * Invalidate cache entries matching pattern
    */
-  invalidatePattern(pattern) {
+  invalidatePattern(pattern, { broadcast = true } = {}) {
     // Clear in-memory cache and persistent storage
     for (const key of this.cache.keys()) {
       if (key.includes(pattern)) {
         this.cache.delete(key);
-
-        // Also remove from localStorage if persistent
-        const baseKey = key.split(":")[0];
-        if (this.persistentKeys.has(baseKey)) {
-          try {
-            const storageKey = this.storagePrefix + baseKey;
-            localStorage.removeItem(storageKey);
-          } catch (error) {
-            console.warn("Failed to remove from localStorage:", error);
-          }
-        }
+        this.removePersistent(key);
       }
     }
 
     // Clear pending requests
-    for (const key of this.pendingRequests.keys()) {
+    for (const key of [...this.pendingRequests.keys()]) {
       if (key.includes(pattern)) {
-        this.pendingRequests.delete(key);
+        this.discardPending(key);
       }
     }
+
+    if (broadcast) {
+      this.broadcast({ type: "invalidatePattern", pattern });
+    }
   }
 
   /**
    * Clear all cache
    */
-  clear() {
+  clear({ broadcast = true } = {}) {
     this.cache.clear();
     this.pendingRequests.clear();
+    this.generations.clear();
+    this.clearGeneration++;
+    this.persistentIndex.clear();
+    this.persistentStore.clear().catch((error) => {
+      console.warn("Failed to clear persistent cache:", error);
+    });
+
+    if (broadcast) {
+      this.broadcast({ type: "clear" });
+    }
   }
 
   /**
-   * Load persistent cache from localStorage
+   * Listen for cache changes that did not originate in this tab's code:
+   * { type: "revalidated", key } after a background refresh changed the data,
+   * { type: "invalidate" | "invalidatePattern" | "clear", remote: true, ... }
+   * when another tab invalidated entries
+   * @returns {Function} Unsubscribe function
    */
-  loadPersistentCache() {
-    if (typeof window === "undefined" || !window.localStorage) return;
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a cache change
+   */
+  notify(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn("Cache listener failed:", error);
+      }
+    });
+  }
+
+  /**
+   * Open the channel shared by all admin tabs
+   */
+  setupBroadcastChannel() {
+    if (typeof BroadcastChannel === "undefined") return;
+
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.onmessage = (event) => {
+      this.handleRemoteMessage(event.data);
+    };
+  }
+
+  /**
+   * Tell other tabs to drop entries
+   */
+  broadcast(message) {
+    if (!this.channel) return;
+
+    try {
+      this.channel.postMessage(message);
+    } catch (error) {
+      console.warn("Failed to broadcast cache invalidation:", error);
+    }
+  }
+
+  /**
+   * Apply an invalidation sent by another tab (without re-broadcasting it)
+   */
+  handleRemoteMessage(message) {
+    switch (message?.type) {
+      case "invalidate":
+        this.invalidate(message.key, { broadcast: false });
+        break;
+      case "invalidatePattern":
+        this.invalidatePattern(message.pattern, { broadcast: false });
+        break;
+      case "clear":
+        this.clear({ broadcast: false });
+        break;
+      default:
+        return;
+    }
+
+    this.notify({ ...message, remote: true });
+  }
+
+  /**
+   * Load persistent cache from IndexedDB
+   * Entries written by another schema or plugin version are dropped.
+   */
+  async loadPersistentCache() {
+    this.removeLegacyStorage();
 
     try {
-      for (const key of this.persistentKeys) {
-        const storageKey = this.storagePrefix + key;
-        const cachedData = localStorage.getItem(storageKey);
-
-        if (cachedData) {
-          const { data, timestamp, ttl } = JSON.parse(cachedData);
-          const cacheItem = { data, timestamp, ttl };
-
-          // Only load if still valid
-          if (this.isValid(cacheItem)) {
-            this.cache.set(key, cacheItem);
-          } else {
-            localStorage.removeItem(storageKey);
-          }
+      const records = await this.persistentStore.getAll();
+
+      for (const record of records) {
+        const cacheItem = {
+          data: record.data,
+          timestamp: record.timestamp,
+          ttl: record.ttl,
+        };
+
+        if (record.schema !== this.schemaVersion || !this.isUsable(cacheItem)) {
+          await this.persistentStore.delete(record.key);
+          continue;
+        }
+
+        // Entries fetched while loading are newer - keep them
+        if (!this.cache.has(record.key)) {
+          this.cache.set(record.key, cacheItem);
         }
+        this.persistentIndex.set(record.key, {
+          size: record.size,
+          lastAccess: record.lastAccess,
+        });
       }
     } catch (error) {
       console.warn("Failed to load persistent cache:", error);
@@ -173,19 +375,95 @@ class ApiCache {
   }
 
   /**
-   * Save to persistent storage if key is persistent
+   * Remove the localStorage copies written by earlier versions
    */
-  saveToPersistentStorage(key, cacheItem) {
+  removeLegacyStorage() {
     if (typeof window === "undefined" || !window.localStorage) return;
 
+    try {
+      Object.keys(localStorage)
+        .filter((storageKey) => storageKey.startsWith(LEGACY_STORAGE_PREFIX))
+        .forEach((storageKey) => localStorage.removeItem(storageKey));
+    } catch (error) {
+      console.warn("Failed to remove legacy cache storage:", error);
+    }
+  }
+
+  /**
+   * Save to persistent storage if key is persistent
+   */
+  async saveToPersistentStorage(key, cacheItem) {
     const baseKey = key.split(":")[0];
-    if (this.persistentKeys.has(baseKey)) {
-      try {
-        const storageKey = this.storagePrefix + baseKey;
-        localStorage.setItem(storageKey, JSON.stringify(cacheItem));
-      } catch (error) {
-        console.warn("Failed to save to persistent storage:", error);
-      }
+    if (!this.persistentKeys.has(baseKey)) return;
+
+    const size = JSON.stringify(cacheItem.data)?.length || 0;
+
+    // A single response larger than the whole budget stays in memory only
+    if (size > this.persistentBudget) {
+      this.removePersistent(key);
+      return;
+    }
+
+    const lastAccess = Date.now();
+    this.persistentIndex.set(key, { size, lastAccess });
+
+    try {
+      await this.persistentStore.put({
+        key,
+        schema: this.schemaVersion,
+        size,
+        lastAccess,
+        ...cacheItem,
+      });
+      await this.evictPersistent();
+    } catch (error) {
+      // Quota errors and the like - the entry is still cached in memory
+      console.warn("Failed to save to persistent storage:", error);
+      this.persistentIndex.delete(key);
+    }
+  }
+
+  /**
+   * Mark a persistent entry as recently used (for LRU eviction)
+   */
+  touchPersistent(key) {
+    const entry = this.persistentIndex.get(key);
+    if (entry) {
+      entry.lastAccess = Date.now();
+    }
+  }
+
+  /**
+   * Remove an entry from persistent storage
+   */
+  removePersistent(key) {
+    const indexed = this.persistentIndex.delete(key);
+    if (!indexed && !this.persistentKeys.has(key.split(":")[0])) return;
+
+    this.persistentStore.delete(key).catch((error) => {
+      console.warn("Failed to remove persistent cache entry:", error);
+    });
+  }
+
+  /**
+   * Evict least recently used entries until the store fits the size budget
+   */
+  async evictPersistent() {
+    let total = 0;
+    for (const { size } of this.persistentIndex.values()) {
+      total += size;
+    }
+
+    const byLastAccess = Array.from(this.persistentIndex.entries()).sort(
+      ([, a], [, b]) => a.lastAccess - b.lastAccess
+    );
+
+    for (const [key, { size }] of byLastAccess) {
+      if (total <= this.persistentBudget) break;
+
+      this.persistentIndex.delete(key);
+      await this.persistentStore.delete(key);
+      total -= size;
     }
   }
 
@@ -205,22 +483,13 @@ class ApiCache {
   }
 
   /**
-   * Clean expired cache entries
+   * Clean entries that are too old to be served even while revalidating
    */
   cleanExpiredEntries() {
     for (const [key, cacheItem] of this.cache.entries()) {
-      if (!this.isValid(cacheItem)) {
+      if (!this.isUsable(cacheItem)) {
         this.cache.delete(key);
-
-        // Also remove from localStorage if persistent
-        const baseKey = key.split(":")[0];
-        if (this.persistentKeys.has(baseKey)) {
-          try {
-            localStorage.removeItem(this.storagePrefix + baseKey);
-          } catch (error) {
-            console.warn("Failed to remove expired persistent cache:", error);
-          }
-        }
+        this.removePersistent(key);
       }
     }
   }
@@ -240,18 +509,38 @@ class ApiCache {
     await Promise.allSettled(promises);
   }
 
+  /**
+   * List cache entries with their remaining lifetime
+   */
+  getEntries() {
+    const now = Date.now();
+    return Array.from(this.cache.entries()).map(([key, cacheItem]) => ({
+      key,
+      ttl: cacheItem.ttl,
+      expiresIn: cacheItem.timestamp + cacheItem.ttl - now,
+      stale: !this.isValid(cacheItem),
+      persistent: this.persistentIndex.has(key),
+    }));
+  }
+
   /**
    * Get cache statistics with persistent data info
    */
   getStats() {
-    const persistentCount = Array.from(this.cache.keys()).filter((key) =>
-      this.persistentKeys.has(key.split(":")[0])
-    ).length;
+    let persistentSize = 0;
+    for (const { size } of this.persistentIndex.values()) {
+      persistentSize += size;
+    }
 
     return {
       cacheSize: this.cache.size,
       pendingRequests: this.pendingRequests.size,
-      persistentEntries: persistentCount,
+      pendingKeys: Array.from(this.pendingRequests.keys()),
+      persistentEntries: this.persistentIndex.size,
+      persistentSize,
+      persistentBudget: this.persistentBudget,
+      persistentStorage: this.persistentStore.useMemory ? "memory" : "indexeddb",
+      schemaVersion: this.schemaVersion,
       keys: Array.from(this.cache.keys()),
       persistentKeys: Array.from(this.persistentKeys),
     };
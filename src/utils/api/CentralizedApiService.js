@@ -4,94 +4,112 @@ import apiCache from './ApiCache';
 /**
  * Centralized API Service with caching and deduplication
  * Provides optimized data fetching for commonly used endpoints
+ *
+ * Read methods accept { signal } so callers can cancel requests they no longer need
  */
 class CentralizedApiService {
   constructor() {
     this.apiClient = apiClient;
     this.cache = apiCache;
+
+    // Another tab changed data - the client's own response cache is keyed
+    // differently, so drop it entirely rather than guessing matching entries
+    this.cache.subscribe((event) => {
+      if (event.remote) {
+        this.apiClient.clearCache();
+      }
+    });
+  }
+
+  /**
+   * Listen for background revalidations and invalidations from other tabs
+   * @returns {Function} Unsubscribe function
+   */
+  onCacheChange(listener) {
+    return this.cache.subscribe(listener);
   }
 
   /**
    * Get all posts with caching and deduplication
    */
-  async getPosts(params = { per_page: 100 }) {
+  async getPosts(params = { per_page: 100 }, options = {}) {
     const key = this.cache.generateKey('posts', params);
 
-    return this.cache.get(key, async () => {
-      const data = await this.apiClient.getPosts(params);
+    return this.cache.get(key, async (signal) => {
+      const data = await this.apiClient.getPosts(params, { signal });
       return data;
-    });
+    }, undefined, options);
   }
 
   /**
    * Get SCSS partials with caching and deduplication
    */
-  async getScssPartials() {
+  async getScssPartials(options = {}) {
     const key = this.cache.generateKey('scss-partials');
 
-    return this.cache.get(key, async () => {
-      const data = await this.apiClient.getScssPartials();
+    return this.cache.get(key, async (signal) => {
+      const data = await this.apiClient.getScssPartials({ signal });
       return data;
-    });
+    }, undefined, options);
   }
 
   /**
    * Get registered blocks with caching and deduplication
    */
-  async getRegisteredBlocks() {
+  async getRegisteredBlocks(options = {}) {
     const key = this.cache.generateKey('registered-blocks');
 
-    return this.cache.get(key, async () => {
-      const data = await this.apiClient.getRegisteredBlocks();
+    return this.cache.get(key, async (signal) => {
+      const data = await this.apiClient.getRegisteredBlocks({ signal });
       return data;
-    });
+    }, undefined, options);
   }
 
   /**
    * Get block categories with caching and deduplication
    */
-  async getBlockCategories() {
+  async getBlockCategories(options = {}) {
     const key = this.cache.generateKey('block-categories');
 
-    return this.cache.get(key, async () => {
-      const data = await this.apiClient.getBlockCategories();
+    return this.cache.get(key, async (signal) => {
+      const data = await this.apiClient.getBlockCategories({ signal });
       return data;
-    });
+    }, undefined, options);
   }
 
   /**
    * Get single post with caching
    */
-  async getPost(postId) {
+  async getPost(postId, options = {}) {
     const key = this.cache.generateKey('post', { postId });
 
-    return this.cache.get(key, async () => {
-      const data = await this.apiClient.getPost(postId);
+    return this.cache.get(key, async (signal) => {
+      const data = await this.apiClient.getPost(postId, { signal });
       return data;
-    }, 2 * 60 * 1000); // Shorter TTL for post data (2 minutes)
+    }, 2 * 60 * 1000, { ...options, staleTTL: 0 }); // Shorter TTL for post data (2 minutes), never stale
   }
 
   /**
    * Get post with related data - with caching
    */
-  async getPostWithRelated(postId) {
+  async getPostWithRelated(postId, options = {}) {
     const key = this.cache.generateKey('post-with-related', { postId });
 
-    return this.cache.get(key, async () => {
-      const data = await this.apiClient.getPostWithRelated(postId);
+    return this.cache.get(key, async (signal) => {
+      const data = await this.apiClient.getPostWithRelated(postId, { signal });
       return data;
-    }, 5 * 1000); // Very short TTL (5 seconds) to ensure fresh data after saves
+    }, 5 * 1000, { ...options, staleTTL: 0 }); // Very short TTL (5 seconds) to ensure fresh data after saves
   }
 
   /**
    * Batch get posts with related data
    */
-  async getBatchPostsWithRelated(postIds) {
+  async getBatchPostsWithRelated(postIds, options = {}) {
     const key = this.cache.generateKey('batch-posts-with-related', { postIds: postIds.sort() });
 
-    return this.cache.get(key, async () => {
-      // Use Promise.all for parallel requests
-      const promises = postIds.map(id => this.getPostWithRelated(id));
+    return this.cache.get(key, async (signal) => {
+      // Calls made in the same tick are coalesced into one batch request by the client
+      const promises = postIds.map(id => this.getPostWithRelated(id, { signal }));
       const results = await Promise.all(promises);
 
       // Return as object with post IDs as keys
@@ -101,7 +119,7 @@ class CentralizedApiService {
       });
 
       return batchResult;
-    }, 2 * 60 * 1000); // Shorter TTL for post data
+    }, 2 * 60 * 1000, { ...options, staleTTL: 0 }); // Shorter TTL for post data, never stale
   }
 
   /**
@@ -151,11 +169,21 @@ class CentralizedApiService {
    * @param {boolean} generateFiles - Whether to regenerate files
    * @param {Object} options - Additional options
    * @param {boolean} options.invalidateCollectionCache - Whether to invalidate posts collection cache (default: true)
+   * @param {string} options.expectedRevision - Revision hash the edit is based on (409 conflict if stale)
    */
   async savePostWithOperations(postId, metaData, generateFiles = false, options = {}) {
-    const { invalidateCollectionCache = true } = options;
-
-    const result = await this.apiClient.savePostWithOperations(postId, metaData, generateFiles);
+    const { invalidateCollectionCache = true, ...clientOptions } = options;
+
+    let result;
+    try {
+      result = await this.apiClient.savePostWithOperations(postId, metaData, generateFiles, clientOptions);
+    } catch (error) {
+      if (error?.conflict) {
+        // Cached copies of this post are now known to be outdated
+        this.invalidatePostCaches(postId);
+      }
+      throw error;
+    }
 
     // Always invalidate individual post caches (detail view must be fresh)
     this.invalidatePostCaches(postId);
@@ -249,6 +277,37 @@ class CentralizedApiService {
     return this.cache.getStats();
   }
 
+  /**
+   * Collect client stats, latency metrics and both cache layers in one snapshot
+   * Used by the diagnostics panel and attached to bug reports
+   */
+  getDiagnostics() {
+    const { performance, ...clientStats } = this.apiClient.getStats();
+
+    return {
+      generatedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      client: clientStats,
+      endpoints: performance,
+      cacheEntries: [
+        ...this.cache.getEntries().map((entry) => ({ ...entry, layer: 'service' })),
+        ...this.apiClient.getCacheEntries().map((entry) => ({ ...entry, layer: 'client' })),
+      ],
+      serviceCache: this.cache.getStats(),
+    };
+  }
+
+  /**
+   * Invalidate a single cache key in the service or client cache
+   */
+  invalidateCacheKey(layer, key) {
+    if (layer === 'client') {
+      this.apiClient.invalidateCacheKey(key);
+    } else {
+      this.cache.invalidate(key);
+    }
+  }
+
   /**
    * Manually clear cache
    */
@@ -262,11 +321,12 @@ class CentralizedApiService {
   /**
    * Get revisions for a post
    */
-  async getRevisions(postId) {
+  async getRevisions(postId, options = {}) {
     // Don't cache revisions - always fetch fresh
     const response = await this.apiClient.request(`/revisions/${postId}`, {
       method: 'GET',
       noCache: true,
+      signal: options.signal,
     });
 
     // Handle unified API response format
@@ -341,6 +401,285 @@ class CentralizedApiService {
     return { success: true, data: response };
   }
 
+  /**
+   * Get the plugin settings
+   * @returns {Promise<Object>} Settings grouped by feature (cssProcessing, ...)
+   */
+  async getSettings() {
+    const response = await this.apiClient.request('/settings', {
+      method: 'GET',
+      noCache: true,
+    });
+
+    return response.success !== undefined && response.data !== undefined
+      ? response.data
+      : response;
+  }
+
+  /**
+   * Update the plugin settings
+   *
+   * Also updates window.funculoSettings.settings, which the SCSS compiler
+   * reads, so the change applies without a page reload.
+   *
+   * @param {Object} changes Changed settings, grouped like getSettings()
+   * @returns {Promise<Object>} All settings after the update
+   */
+  async updateSettings(changes) {
+    const response = await this.apiClient.request('/settings', {
+      method: 'POST',
+      body: JSON.stringify(changes),
+    });
+
+    const settings = response.success !== undefined && response.data !== undefined
+      ? response.data
+      : response;
+
+    if (window.funculoSettings) {
+      window.funculoSettings.settings = settings;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Get the design tokens of the active theme's theme.json
+   * @returns {Promise<Object>} { theme, hash, colors, fontSizes, spacing }
+   */
+  async getThemeTokens() {
+    const response = await this.apiClient.request('/theme-tokens', {
+      method: 'GET',
+      noCache: true,
+    });
+
+    return response.success !== undefined && response.data !== undefined
+      ? response.data
+      : response;
+  }
+
+  /**
+   * Export the whole library (blocks, symbols, SCSS partials) as a bundle
+   * @returns {Promise<Object>} Library bundle, ready to be saved as JSON
+   */
+  async exportLibrary() {
+    const response = await this.apiClient.request('/library/export', {
+      method: 'GET',
+      noCache: true,
+    });
+
+    return response.success !== undefined && response.data !== undefined
+      ? response.data
+      : response;
+  }
+
+  /**
+   * Ask the server what importing a bundle would change
+   * @param {Object} bundle Library bundle
+   * @returns {Promise<Object>} Plan with summary, items (create/update/collision/invalid) and warnings
+   */
+  async previewLibraryImport(bundle) {
+    const response = await this.apiClient.request('/library/import/preview', {
+      method: 'POST',
+      body: JSON.stringify({ bundle }),
+    });
+
+    return response.success !== undefined && response.data !== undefined
+      ? response.data
+      : response;
+  }
+
+  /**
+   * Import a library bundle
+   *
+   * Missing posts are created first so partial slugs can be mapped to IDs, then
+   * all content is written with update_meta operations (partials before blocks)
+   * and files are regenerated once everything is in place. Collisions and
+   * invalid items from the preview are skipped.
+   *
+   * @param {Object} bundle Library bundle
+   * @param {Object} options Options
+   * @param {Function} options.onProgress Called with { stage, done, total }
+   * @returns {Promise<Object>} { created, updated, skipped, failed } item lists
+   */
+  async importLibrary(bundle, { onProgress } = {}) {
+    const BATCH_SIZE = 50; // /operations/bulk limit
+    const TYPE_ORDER = ['scss-partials', 'symbols', 'blocks'];
+
+    const plan = await this.previewLibraryImport(bundle);
+    const result = { created: [], updated: [], skipped: [], failed: [] };
+    const postIds = {};
+    const partialIds = { ...(plan.site_partials || {}) };
+
+    const importable = plan.items.filter((entry) => {
+      if (entry.action === 'create' || entry.action === 'update') {
+        return true;
+      }
+      result.skipped.push(entry);
+      return false;
+    });
+
+    const progress = (stage, done, total) => {
+      if (onProgress) {
+        onProgress({ stage, done, total });
+      }
+    };
+
+    const fail = (entry, error) => {
+      result.failed.push({ ...entry, error });
+      delete postIds[entry.slug];
+    };
+
+    // Step 1: create missing posts
+    const toCreate = importable.filter((entry) => entry.action === 'create');
+    for (const [index, entry] of toCreate.entries()) {
+      progress('create', index, toCreate.length);
+      const item = bundle.items[entry.index];
+      try {
+        const created = await this.apiClient.createPost({
+          title: item.title || entry.slug,
+          taxonomy_term: entry.type,
+          status: item.status || 'publish',
+          slug: entry.slug,
+        });
+        postIds[entry.slug] = created.id;
+      } catch (error) {
+        fail(entry, error.message);
+      }
+    }
+
+    importable
+      .filter((entry) => entry.action === 'update')
+      .forEach((entry) => {
+        postIds[entry.slug] = entry.existing_id;
+      });
+
+    importable
+      .filter((entry) => entry.type === 'scss-partials' && postIds[entry.slug])
+      .forEach((entry) => {
+        partialIds[entry.slug] = postIds[entry.slug];
+      });
+
+    const toPartialIds = (slugs = []) =>
+      JSON.stringify(slugs.map((slug) => partialIds[slug]).filter(Boolean));
+
+    const toMeta = ({ meta }) => {
+      if (meta.scss_partials) {
+        const partial = meta.scss_partials;
+        return {
+          scss_partials: {
+            scss: partial.scss || '',
+            is_global: partial.is_global ? '1' : '0',
+            global_order: String(partial.global_order || 0),
+          },
+        };
+      }
+
+      if (meta.symbols) {
+        return { symbols: { php: meta.symbols.php || '' } };
+      }
+
+      const blocks = meta.blocks || {};
+      const blockMeta = {
+        php: blocks.php || '',
+        scss: blocks.scss || '',
+        editorScss: blocks.editorScss || '',
+        js: blocks.js || '',
+        attributes: JSON.stringify(blocks.attributes || []),
+        selected_partials: toPartialIds(blocks.selected_partials),
+        editor_selected_partials: toPartialIds(blocks.editor_selected_partials),
+      };
+      if (blocks.settings) {
+        blockMeta.settings = JSON.stringify(blocks.settings);
+      }
+      if (blocks.inner_blocks_settings) {
+        blockMeta.inner_blocks_settings = JSON.stringify(blocks.inner_blocks_settings);
+      }
+      return { blocks: blockMeta };
+    };
+
+    const runInBatches = async (stage, entries, buildOperation) => {
+      for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+        progress(stage, start, entries.length);
+        const batch = entries.slice(start, start + BATCH_SIZE);
+        try {
+          const response = await this.apiClient.executeBulkOperations(
+            batch.map(buildOperation)
+          );
+          (response.failed || []).forEach((failure) => {
+            if (batch[failure.index]) {
+              fail(batch[failure.index], failure.error);
+            }
+          });
+        } catch (error) {
+          batch.forEach((entry) => fail(entry, error.message));
+        }
+      }
+    };
+
+    // Step 2: write content - partials first so blocks compile against them
+    const toWrite = importable
+      .filter((entry) => postIds[entry.slug])
+      .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+
+    await runInBatches('write', toWrite, (entry) => ({
+      type: 'update_meta',
+      data: {
+        post_id: postIds[entry.slug],
+        meta: toMeta(bundle.items[entry.index]),
+      },
+    }));
+
+    // Step 3: restore compiled CSS, writing partials clears it on blocks that use them
+    const compilations = toWrite
+      .filter((entry) => entry.type === 'blocks' && postIds[entry.slug])
+      .map((entry) => {
+        const blocks = bundle.items[entry.index].meta.blocks || {};
+        return {
+          post_id: postIds[entry.slug],
+          css_content: blocks.css || '',
+          editor_css_content: blocks.editor_css || '',
+        };
+      })
+      .filter((compilation) => compilation.css_content || compilation.editor_css_content);
+
+    for (let start = 0; start < compilations.length; start += BATCH_SIZE) {
+      progress('css', start, compilations.length);
+      try {
+        await this.apiClient.batchCompileScss(compilations.slice(start, start + BATCH_SIZE));
+      } catch (error) {
+        console.warn('Failed to restore compiled CSS during import:', error);
+      }
+    }
+
+    // Step 4: regenerate block and symbol files
+    const toRegenerate = toWrite.filter(
+      (entry) => entry.type !== 'scss-partials' && postIds[entry.slug]
+    );
+    await runInBatches('regenerate', toRegenerate, (entry) => ({
+      type: 'regenerate_files',
+      data: { post_id: postIds[entry.slug] },
+    }));
+
+    progress('done', importable.length, importable.length);
+
+    importable.forEach((entry) => {
+      if (!postIds[entry.slug]) {
+        return;
+      }
+      const imported = { ...entry, post_id: postIds[entry.slug] };
+      if (entry.action === 'create') {
+        result.created.push(imported);
+      } else {
+        result.updated.push(imported);
+      }
+    });
+
+    // Everything may have changed
+    this.clearCache();
+
+    return result;
+  }
+
   invalidatePostCaches(postId) {
     if (!postId) {
       return;
@@ -0,0 +1,89 @@
+import restSession from "./RestSession.js";
+
+/**
+ * Fetch Transport - Sends FunculoApiClient requests to the WordPress REST API
+ *
+ * A transport turns `send(endpoint, config)` into a fetch-style Response.
+ * This one talks to the real funculo/v1 routes and keeps the WordPress
+ * nonce up to date; see MemoryTransport for the in-browser backend.
+ */
+class FetchTransport {
+  /**
+   * @param {Object} settings Connection settings (defaults to window.wpApiSettings)
+   * @param {string} settings.root REST API root URL, e.g. https://example.com/wp-json/
+   * @param {string} settings.nonce WordPress REST nonce
+   */
+  constructor(settings = window.wpApiSettings || {}) {
+    this.name = "fetch";
+    this.baseUrl = `${settings.root}funculo/v1`;
+    this.nonce = settings.nonce;
+
+    // Nonces refreshed elsewhere (e.g. after re-login) apply here too
+    restSession.subscribe(({ nonce }) => {
+      if (nonce) {
+        this.nonce = nonce;
+      }
+    });
+  }
+
+  /**
+   * Send a request, replaying it once with a fresh nonce if the nonce expired
+   * @param {string} endpoint Endpoint relative to funculo/v1 (may include a query string)
+   * @param {Object} config fetch() options (method, headers, body, signal)
+   * @returns {Promise<Response>} Fetch response
+   */
+  async send(endpoint, config = {}) {
+    const response = await this.fetchWithNonce(endpoint, config);
+
+    if (response.status === 403 && (await this.isInvalidNonce(response))) {
+      const nonce = await restSession.refreshNonce();
+      if (nonce) {
+        this.nonce = nonce;
+        return this.fetchWithNonce(endpoint, config);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Send a request with the current nonce
+   */
+  async fetchWithNonce(endpoint, config) {
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      ...config,
+      headers: {
+        "X-WP-Nonce": this.nonce,
+        ...config.headers,
+      },
+    });
+
+    // Check if nonce needs refresh
+    const newNonce = response.headers.get("X-WP-Nonce");
+    if (newNonce && newNonce !== this.nonce) {
+      console.log("🔄 Refreshing WordPress nonce");
+      this.nonce = newNonce;
+      if (window.wpApiSettings) {
+        window.wpApiSettings.nonce = newNonce;
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Check whether a 403 was caused by an expired nonce (not missing capabilities)
+   * @param {Response} response Fetch response
+   * @returns {Promise<boolean>} True for rest_cookie_invalid_nonce
+   */
+  async isInvalidNonce(response) {
+    try {
+      const data = await response.clone().json();
+      return data?.code === "rest_cookie_invalid_nonce";
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default FetchTransport;
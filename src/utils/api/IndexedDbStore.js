@@ -0,0 +1,228 @@
+// Give up on IndexedDB when opening it takes longer than this
+const OPEN_TIMEOUT = 3000;
+
+/**
+ * Minimal promise wrapper around a single IndexedDB object store
+ * Falls back to an in-memory Map when IndexedDB is unavailable
+ * (private browsing, blocked storage, non-browser environments)
+ */
+class IndexedDbStore {
+  /**
+   * @param {string} dbName Database name
+   * @param {string} storeName Object store name
+   * @param {Object} options Store options
+   * @param {number} options.version Database version
+   * @param {string|null} options.keyPath Key path (null for out-of-line keys)
+   * @param {boolean} options.autoIncrement Whether keys are generated
+   */
+  constructor(dbName, storeName, options = {}) {
+    const { version = 1, keyPath = null, autoIncrement = false } = options;
+
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.version = version;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+
+    this.dbPromise = null;
+    this.memoryStore = new Map();
+    this.memoryKey = 0;
+    this.useMemory = typeof indexedDB === "undefined";
+  }
+
+  /**
+   * Open (or create) the database
+   * @returns {Promise<IDBDatabase|null>} Database handle or null when using memory
+   */
+  open() {
+    if (this.useMemory) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        let settled = false;
+        let timeoutId = null;
+
+        // Continue without persistence - callers must never wait forever
+        const useMemory = (message, ...details) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timeoutId);
+          console.warn(`${message}, using memory`, ...details);
+          this.useMemory = true;
+          resolve(null);
+        };
+
+        let request;
+        try {
+          request = indexedDB.open(this.dbName, this.version);
+        } catch (error) {
+          useMemory(`IndexedDB unavailable for ${this.dbName}`, error);
+          return;
+        }
+
+        timeoutId = setTimeout(
+          () => useMemory(`Opening IndexedDB ${this.dbName} timed out`),
+          OPEN_TIMEOUT
+        );
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (db.objectStoreNames.contains(this.storeName)) {
+            db.deleteObjectStore(this.storeName);
+          }
+          const storeOptions = { autoIncrement: this.autoIncrement };
+          if (this.keyPath) {
+            storeOptions.keyPath = this.keyPath;
+          }
+          db.createObjectStore(this.storeName, storeOptions);
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          if (settled) {
+            // Opened after we gave up on it - don't hold up other tabs
+            db.close();
+            return;
+          }
+          settled = true;
+          clearTimeout(timeoutId);
+
+          // Another tab needs to upgrade the database - let it
+          db.onversionchange = () => {
+            db.close();
+            this.useMemory = true;
+            this.dbPromise = Promise.resolve(null);
+          };
+
+          resolve(db);
+        };
+
+        request.onerror = () => {
+          useMemory(`Failed to open IndexedDB ${this.dbName}`, request.error);
+        };
+
+        request.onblocked = () => {
+          useMemory(`IndexedDB ${this.dbName} upgrade blocked by another tab`);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @param {string} mode Transaction mode
+   * @param {Function} operation Receives the store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    if (!db) {
+      return undefined;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get a single record
+   * @param {*} key Record key
+   * @returns {Promise<*>} Record or undefined
+   */
+  async get(key) {
+    await this.open();
+    if (this.useMemory) {
+      return this.memoryStore.get(key);
+    }
+    return this.run("readonly", (store) => store.get(key));
+  }
+
+  /**
+   * Get all records in key order
+   * @returns {Promise<Array>} Records
+   */
+  async getAll() {
+    await this.open();
+    if (this.useMemory) {
+      return Array.from(this.memoryStore.entries())
+        .sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0))
+        .map(([, value]) => value);
+    }
+    return (await this.run("readonly", (store) => store.getAll())) || [];
+  }
+
+  /**
+   * Get all keys in key order
+   * @returns {Promise<Array>} Keys
+   */
+  async getAllKeys() {
+    await this.open();
+    if (this.useMemory) {
+      return Array.from(this.memoryStore.keys()).sort();
+    }
+    return (await this.run("readonly", (store) => store.getAllKeys())) || [];
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {*} value Record value
+   * @param {*} key Record key (only for out-of-line keys)
+   * @returns {Promise<*>} Stored key
+   */
+  async put(value, key = undefined) {
+    await this.open();
+    if (this.useMemory) {
+      let storedKey = key;
+      if (this.keyPath) {
+        storedKey = value[this.keyPath];
+        if (storedKey === undefined && this.autoIncrement) {
+          storedKey = ++this.memoryKey;
+          value = { ...value, [this.keyPath]: storedKey };
+        }
+      } else if (storedKey === undefined && this.autoIncrement) {
+        storedKey = ++this.memoryKey;
+      }
+      this.memoryStore.set(storedKey, value);
+      return storedKey;
+    }
+    return this.run("readwrite", (store) =>
+      key === undefined ? store.put(value) : store.put(value, key)
+    );
+  }
+
+  /**
+   * Delete a record
+   * @param {*} key Record key
+   */
+  async delete(key) {
+    await this.open();
+    if (this.useMemory) {
+      this.memoryStore.delete(key);
+      return;
+    }
+    await this.run("readwrite", (store) => store.delete(key));
+  }
+
+  /**
+   * Delete every record
+   */
+  async clear() {
+    await this.open();
+    if (this.useMemory) {
+      this.memoryStore.clear();
+      return;
+    }
+    await this.run("readwrite", (store) => store.clear());
+  }
+}
+
+export default IndexedDbStore;
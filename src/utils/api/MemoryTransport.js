@@ -0,0 +1,1258 @@
+import { createAbortError } from "./abortable.js";
+import { DEFAULT_LINT_SETTINGS } from "../scssLint.js";
+
+/**
+ * Memory Transport - An in-browser stand-in for the funculo/v1 REST API
+ *
+ * Implements the routes FunculoApiClient and the admin hooks use (posts,
+ * scss-partials, block-attributes, revisions, operations, settings, theme
+ * tokens and the small lookup routes) on top of plain objects, answering with the same response
+ * envelopes as the PHP controllers. Lets the admin app run without a
+ * WordPress install - in the standalone demo (src/demo).
+ *
+ * Kept thin: it doesn't repeat the server's sanitization (plugin
+ * settings, HTML allowlists) and stores what it is sent. Not implemented:
+ * file generation (acknowledged but does nothing), server side SCSS
+ * recompilation, license and library transfer routes.
+ */
+
+const TERMS = {
+  blocks: { id: 1, slug: "blocks", name: "Blocks" },
+  symbols: { id: 2, slug: "symbols", name: "Symbols" },
+  "scss-partials": { id: 3, slug: "scss-partials", name: "SCSS Partials" },
+};
+
+// Meta section per content type (see BulkQueryService::formatPostMeta)
+const META_SECTIONS = {
+  blocks: "blocks",
+  symbols: "symbols",
+  "scss-partials": "scss_partials",
+};
+
+// Same fields as RevisionHashService::TRACKED_FIELDS
+const TRACKED_FIELDS = {
+  blocks: ["php", "scss", "editorScss", "js", "attributes"],
+  symbols: ["php"],
+  scss_partials: ["scss"],
+};
+
+// Same mappings as CaseTransformer::transformApiResponse
+const FIELD_MAPPINGS = {
+  global_partials: "globalPartials",
+  available_partials: "availablePartials",
+  inner_blocks_settings: "innerBlocksSettings",
+  supports_inner_blocks: "supportsInnerBlocks",
+  is_global: "isGlobal",
+  global_order: "globalOrder",
+  selected_partials: "selectedPartials",
+  editor_selected_partials: "editorSelectedPartials",
+  allowed_block_types: "allowedBlockTypes",
+  template_lock: "templateLock",
+  post_id: "postId",
+  attribute_name: "attributeName",
+  attribute_type: "attributeType",
+  attribute_order: "attributeOrder",
+  help_text: "helpText",
+  default_value: "defaultValue",
+  validation_pattern: "validationPattern",
+  min_value: "minValue",
+  max_value: "maxValue",
+  step_value: "stepValue",
+  created_at: "createdAt",
+  updated_at: "updatedAt",
+  revision_name: "revisionName",
+  revision_data: "revisionData",
+};
+
+// Same as PluginSettings::defaults
+const DEFAULT_SETTINGS = {
+  cssProcessing: {
+    autoprefix: false,
+    targets: "defaults",
+    output: "expanded",
+  },
+  blockRenderer: {
+    allowedTags: "",
+    allowedAttributes: "",
+  },
+  scssLint: DEFAULT_LINT_SETTINGS,
+};
+
+const EMPTY_THEME_TOKENS = {
+  theme: "",
+  hash: "",
+  colors: [],
+  fontSizes: [],
+  spacing: [],
+};
+
+const BLOCK_CATEGORIES = [
+  { value: "text", label: "Text" },
+  { value: "media", label: "Media" },
+  { value: "design", label: "Design" },
+  { value: "widgets", label: "Widgets" },
+  { value: "theme", label: "Theme" },
+  { value: "embed", label: "Embeds" },
+];
+
+const clone = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const now = () => new Date().toISOString().slice(0, 19).replace("T", " ");
+
+const transformKeys = (data) => {
+  if (Array.isArray(data)) {
+    return data.map(transformKeys);
+  }
+  if (data && typeof data === "object") {
+    const result = {};
+    Object.entries(data).forEach(([key, value]) => {
+      result[FIELD_MAPPINGS[key] || key] = transformKeys(value);
+    });
+    return result;
+  }
+  return data;
+};
+
+const parseJson = (value, fallback) => {
+  if (typeof value !== "string") {
+    return value ?? fallback;
+  }
+  try {
+    return JSON.parse(value) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/[\s-]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Same as BlockAttributesRepository::toCamelCase
+const toCamelCase = (name) => {
+  const words = String(name).toLowerCase().replace(/[-_]/g, " ").split(" ");
+  const joined = words
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("");
+  return joined.charAt(0).toLowerCase() + joined.slice(1);
+};
+
+// Cheap stable hash - revisions only need to change when the content does
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+/**
+ * Error thrown by route handlers, turned into a WP_Error style response
+ */
+class RouteError extends Error {
+  constructor(code, message, status, data = {}) {
+    super(message);
+    this.code = code;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+class MemoryTransport {
+  /**
+   * @param {Object} seed Initial data
+   * @param {Array} seed.posts Posts: { title, type, slug?, status?, meta?, settings?, scssSettings?, attributes? }
+   * @param {Object} seed.themeTokens Theme tokens, like ThemeTokens::get
+   * @param {Object} options Options
+   * @param {number} options.latency Artificial delay per request in ms
+   */
+  constructor(seed = {}, { latency = 0 } = {}) {
+    this.name = "memory";
+    this.latency = latency;
+
+    this.routes = [
+      ["GET", /^\/posts$/, this.getPosts],
+      ["POST", /^\/posts$/, this.createPost],
+      ["POST", /^\/posts\/batch$/, this.getBatchPosts],
+      ["PUT", /^\/posts\/batch-update$/, this.batchUpdatePosts],
+      ["GET", /^\/post\/(\d+)$/, this.getPost],
+      ["PUT", /^\/post\/(\d+)$/, this.updatePost],
+      ["DELETE", /^\/post\/(\d+)$/, this.deletePost],
+      ["GET", /^\/post\/(\d+)\/with-related$/, this.getPostWithRelated],
+      ["POST", /^\/posts\/with-related\/batch$/, this.getBatchPostsWithRelated],
+      ["GET", /^\/post\/(\d+)\/scss$/, this.getScssContent],
+      ["POST", /^\/post\/(\d+)\/scss$/, this.saveScssContent],
+      ["GET", /^\/post\/(\d+)\/editor-scss$/, this.getEditorScssContent],
+      ["POST", /^\/post\/(\d+)\/editor-scss$/, this.saveEditorScssContent],
+      ["GET", /^\/scss-partials$/, this.getScssPartials],
+      ["POST", /^\/scss-partial\/(\d+)\/global-setting$/, this.updatePartialGlobalSetting],
+      ["POST", /^\/scss\/compile-batch$/, this.batchCompileScss],
+      ["GET", /^\/block-attributes\/(\d+)$/, this.getAttributes],
+      ["POST", /^\/block-attributes\/(\d+)$/, this.saveAttributes],
+      ["DELETE", /^\/block-attributes\/(\d+)$/, this.deleteAllAttributes],
+      ["DELETE", /^\/blocks\/(\d+)\/attributes\/(\d+)$/, this.deleteAttribute],
+      ["GET", /^\/revisions\/(\d+)$/, this.getRevisions],
+      ["POST", /^\/revisions$/, this.createRevision],
+      ["POST", /^\/revisions\/(\d+)\/apply$/, this.applyRevision],
+      ["DELETE", /^\/revisions\/(\d+)$/, this.deleteRevision],
+      ["POST", /^\/operations\/bulk$/, this.executeBulkOperations],
+      ["GET", /^\/block-categories$/, this.getBlockCategories],
+      ["GET", /^\/taxonomy$/, this.getTaxonomy],
+      ["GET", /^\/registered-blocks$/, this.getRegisteredBlocks],
+      ["POST", /^\/regenerate-files$/, this.regenerateFiles],
+      ["POST", /^\/force-regenerate-all$/, this.regenerateFiles],
+      ["GET", /^\/settings$/, this.getSettings],
+      ["POST", /^\/settings$/, this.updateSettings],
+      ["GET", /^\/theme-tokens$/, this.getThemeTokens],
+    ];
+
+    this.reset(seed);
+  }
+
+  /**
+   * Replace all data with a new seed
+   * @param {Object} seed See constructor
+   */
+  reset({ posts = [], themeTokens = EMPTY_THEME_TOKENS } = {}) {
+    this.posts = new Map();
+    this.revisions = new Map();
+    this.nextPostId = 1;
+    this.nextAttributeId = 1;
+    this.nextRevisionId = 1;
+    this.settings = clone(DEFAULT_SETTINGS);
+    this.themeTokens = clone(themeTokens);
+
+    posts.forEach((post) => this.insertPost(post));
+  }
+
+  /**
+   * Handle a request
+   * @param {string} endpoint Endpoint relative to funculo/v1 (may include a query string)
+   * @param {Object} config fetch() options (method, body, signal)
+   * @returns {Promise<Response>} Fetch style response
+   */
+  async send(endpoint, config = {}) {
+    const { method = "GET", body, signal } = config;
+
+    await this.wait(signal);
+
+    const [path, queryString = ""] = endpoint.split("?");
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+    const params = body ? parseJson(body, {}) : {};
+
+    const route = this.routes.find(
+      ([routeMethod, pattern]) => routeMethod === method && pattern.test(path)
+    );
+
+    let status = 200;
+    let payload;
+
+    if (!route) {
+      status = 404;
+      payload = {
+        code: "rest_no_route",
+        message: "No route was found matching the URL and request method.",
+        data: { status },
+      };
+    } else {
+      const match = path.match(route[1]);
+      try {
+        const result = route[2].call(this, {
+          params,
+          query,
+          args: match.slice(1).map(Number),
+        });
+        status = result.status || 200;
+        payload = result.body;
+      } catch (error) {
+        if (!(error instanceof RouteError)) {
+          throw error;
+        }
+        status = error.status;
+        payload = {
+          code: error.code,
+          message: error.message,
+          data: { status, ...error.data },
+        };
+      }
+    }
+
+    return new Response(JSON.stringify(payload), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  /**
+   * Simulate network latency, honouring cancellation
+   * @param {AbortSignal} signal Optional signal
+   */
+  wait(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+    if (!this.latency) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, this.latency);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  // ===========================================
+  // RESPONSE ENVELOPES (see ApiResponseFormatter)
+  // ===========================================
+
+  success(data, meta = {}, status = 200) {
+    const body = { success: true, data: transformKeys(data) };
+    if (Object.keys(meta).length > 0) {
+      body.meta = meta;
+    }
+    body.timestamp = new Date().toISOString();
+    return { status, body };
+  }
+
+  batch(results) {
+    return {
+      body: {
+        success: results.failed.length === 0,
+        data: { successful: results.successful, failed: results.failed },
+        meta: {
+          total: results.total,
+          successful_count: results.successful.length,
+          failed_count: results.failed.length,
+        },
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  notFound(resource, id) {
+    return new RouteError("not_found", `${resource} with ID ${id} not found`, 404);
+  }
+
+  // ===========================================
+  // STORAGE
+  // ===========================================
+
+  /**
+   * Add a post to the store
+   * @param {Object} post Seed post
+   * @returns {Object} Stored record
+   */
+  insertPost(post) {
+    const id = post.id || this.nextPostId;
+    this.nextPostId = Math.max(this.nextPostId, id + 1);
+
+    const type = post.type || "blocks";
+    const timestamp = now();
+
+    const record = {
+      id,
+      type,
+      title: post.title || `Untitled ${id}`,
+      slug: this.uniqueSlug(post.slug || slugify(post.title) || `post-${id}`, id),
+      status: post.status || "publish",
+      content: post.content || "",
+      date: post.date || timestamp,
+      modified: post.modified || timestamp,
+      meta: {},
+      extraMeta: {},
+      blockSettings: null,
+      scssSettings: null,
+      attributes: [],
+    };
+
+    if (type === "blocks") {
+      record.meta = {
+        php: "",
+        scss: "",
+        editorScss: "",
+        js: "",
+        attributes: "",
+        cssContent: "",
+        editorCssContent: "",
+        ...post.meta,
+      };
+      record.blockSettings = {
+        category: "text",
+        description: "",
+        icon: "search",
+        view_script_module: false,
+        scoped_styles: false,
+        allowed_html_tags: [],
+        allowed_html_attributes: [],
+        supports_inner_blocks: false,
+        allowed_block_types: [],
+        template: [],
+        template_lock: null,
+        selected_partials: [],
+        editor_selected_partials: [],
+        ...post.settings,
+      };
+      (post.attributes || []).forEach((attribute, index) => {
+        record.attributes.push(this.createAttributeRow(id, attribute, index));
+      });
+    } else if (type === "symbols") {
+      record.meta = { php: "", ...post.meta };
+    } else {
+      record.meta = { scss: "", ...post.meta };
+      record.scssSettings = { is_global: false, global_order: 1, ...post.scssSettings };
+    }
+
+    this.posts.set(id, record);
+    return record;
+  }
+
+  /**
+   * Make a slug unique among stored posts, like wp_unique_post_slug()
+   */
+  uniqueSlug(slug, ignoreId = null) {
+    const taken = (candidate) =>
+      [...this.posts.values()].some(
+        (post) => post.slug === candidate && post.id !== ignoreId
+      );
+
+    let candidate = slug;
+    for (let suffix = 2; taken(candidate); suffix++) {
+      candidate = `${slug}-${suffix}`;
+    }
+    return candidate;
+  }
+
+  requirePost(id) {
+    const post = this.posts.get(id);
+    if (!post) {
+      throw this.notFound("Post", id);
+    }
+    return post;
+  }
+
+  touch(post) {
+    post.modified = now();
+  }
+
+  /**
+   * Convert save() input to a stored attribute row (see BlockAttributesRepository::save)
+   */
+  createAttributeRow(postId, attribute, index) {
+    const range = attribute.range || attribute;
+    const toNumber = (value) =>
+      value === undefined || value === null || value === "" ? null : Number(value);
+
+    return {
+      id: this.nextAttributeId++,
+      post_id: postId,
+      attribute_name: toCamelCase(attribute.name || ""),
+      attribute_type: attribute.type || "text",
+      attribute_order: attribute.order !== undefined ? Number(attribute.order) : index,
+      label: attribute.label ?? attribute.name ?? "",
+      placeholder: attribute.placeholder ?? null,
+      help_text: attribute.help ?? null,
+      default_value: attribute.default_value ?? null,
+      required: !!attribute.required,
+      validation_pattern: attribute.validation_pattern ?? null,
+      min_value: toNumber(range.min),
+      max_value: toNumber(range.max),
+      step_value: toNumber(range.step),
+      options: Array.isArray(attribute.options) && attribute.options.length > 0
+        ? attribute.options
+        : null,
+      created_at: now(),
+      updated_at: now(),
+    };
+  }
+
+  // ===========================================
+  // FORMATTING (see StandardBulkPipeline::formatPostData)
+  // ===========================================
+
+  /**
+   * Meta as BulkQueryService::formatPostMeta returns it
+   */
+  formatMeta(post) {
+    const section = META_SECTIONS[post.type];
+    return { [section]: { ...post.meta } };
+  }
+
+  trackedMeta(post) {
+    const meta = this.formatMeta(post);
+    const tracked = {};
+    Object.entries(TRACKED_FIELDS).forEach(([section, fields]) => {
+      if (!meta[section]) return;
+      tracked[section] = {};
+      fields.forEach((field) => {
+        tracked[section][field] = String(meta[section][field] ?? "");
+      });
+    });
+    return tracked;
+  }
+
+  revisionHash(post) {
+    return hashString(JSON.stringify(this.trackedMeta(post)));
+  }
+
+  /**
+   * Add settings from the custom tables (applyDatabaseSettingsFormatting)
+   */
+  formatMetaWithSettings(post) {
+    const meta = this.formatMeta(post);
+
+    if (post.blockSettings) {
+      const settings = post.blockSettings;
+      meta.blocks.settings = JSON.stringify({
+        category: settings.category,
+        description: settings.description,
+        icon: settings.icon,
+        viewScriptModule: settings.view_script_module,
+        scopedStyles: settings.scoped_styles,
+        allowedTags: settings.allowed_html_tags ?? [],
+        allowedAttributes: settings.allowed_html_attributes ?? [],
+      });
+      meta.blocks.inner_blocks_settings = JSON.stringify({
+        enabled: settings.supports_inner_blocks,
+        allowed_blocks: settings.allowed_block_types,
+        template: settings.template,
+        templateLock: settings.template_lock,
+      });
+      meta.blocks.selected_partials = JSON.stringify(settings.selected_partials);
+      meta.blocks.editor_selected_partials = JSON.stringify(settings.editor_selected_partials);
+    }
+
+    if (post.scssSettings) {
+      meta.scss_partials.is_global = post.scssSettings.is_global ? "1" : "0";
+      meta.scss_partials.global_order = String(post.scssSettings.global_order);
+    }
+
+    return meta;
+  }
+
+  formatPost(post, { withSettings = true, withContent = false } = {}) {
+    const formatted = {
+      id: post.id,
+      title: post.title,
+      slug: post.slug,
+      status: post.status,
+      terms: [TERMS[post.type]],
+      meta: withSettings ? this.formatMetaWithSettings(post) : this.formatMeta(post),
+      revision_hash: this.revisionHash(post),
+      date: post.date,
+      modified: post.modified,
+    };
+
+    if (withContent) {
+      formatted.content = post.content;
+    }
+
+    return formatted;
+  }
+
+  findConflict(post, expectedRevision) {
+    if (!expectedRevision) {
+      return null;
+    }
+
+    const currentRevision = this.revisionHash(post);
+    if (currentRevision === expectedRevision) {
+      return null;
+    }
+
+    return {
+      post_id: post.id,
+      expected_revision: expectedRevision,
+      current_revision: currentRevision,
+      post: {
+        id: post.id,
+        title: post.title,
+        modified: post.modified,
+        revision_hash: currentRevision,
+        meta: this.trackedMeta(post),
+      },
+    };
+  }
+
+  conflict(data) {
+    return new RouteError(
+      "conflict",
+      "Post was modified by someone else since it was loaded",
+      409,
+      data
+    );
+  }
+
+  // ===========================================
+  // POSTS
+  // ===========================================
+
+  getPosts({ query }) {
+    const perPage = Math.min(100, Math.max(1, Number(query.per_page) || 20));
+    const page = Math.max(1, Number(query.page) || 1);
+    const search = (query.search || "").toLowerCase();
+
+    const matching = [...this.posts.values()]
+      .filter((post) => !query.taxonomy_filter || post.type === query.taxonomy_filter)
+      .filter((post) => !search || post.title.toLowerCase().includes(search))
+      .sort((a, b) => b.id - a.id);
+
+    const items = matching
+      .slice((page - 1) * perPage, page * perPage)
+      .map((post) => ({ ...this.formatPost(post), excerpt: "" }));
+
+    // paginated() does not transform keys
+    return {
+      body: {
+        success: true,
+        data: items,
+        meta: {
+          pagination: {
+            total: matching.length,
+            total_pages: Math.ceil(matching.length / perPage),
+            current_page: page,
+            per_page: perPage,
+          },
+        },
+      },
+    };
+  }
+
+  createPost({ params }) {
+    if (!params.title || !String(params.title).trim()) {
+      throw new RouteError("rest_invalid_param", "Invalid parameter(s): title", 400);
+    }
+    if (!TERMS[params.taxonomy_term]) {
+      throw new RouteError("rest_invalid_param", "Invalid parameter(s): taxonomy_term", 400);
+    }
+
+    const seed = {
+      title: params.title,
+      type: params.taxonomy_term,
+      slug: params.slug,
+      status: params.status || "publish",
+    };
+
+    // Same defaults as PostsApiController::createPost
+    if (params.taxonomy_term === "blocks") {
+      seed.meta = {
+        php: "<div <?php echo get_block_wrapper_attributes(); ?>>\n\n    <!-- Your code goes here -->\n\n</div>",
+        scss: `.wp-block-fancoolo-${slugify(params.title)} {\n\n}`,
+      };
+    }
+
+    const post = this.insertPost(seed);
+    return this.success(this.formatPost(post), { message: "Resource created successfully" }, 201);
+  }
+
+  getBatchPosts({ params }) {
+    const ids = (params.post_ids || []).map(Number);
+    const posts = ids
+      .map((id) => this.posts.get(id))
+      .filter(Boolean)
+      .map((post) => this.formatPost(post));
+
+    return this.success(posts, { count: posts.length });
+  }
+
+  batchUpdatePosts({ params }) {
+    const updates = params.updates || [];
+    if (updates.length === 0) {
+      throw new RouteError("validation_failed", "Validation failed", 400, {
+        validation_errors: { updates: "Updates array is required" },
+      });
+    }
+
+    const conflicts = updates
+      .map((update) => {
+        const post = this.posts.get(Number(update.post_id));
+        return post && update.meta ? this.findConflict(post, update.expected_revision) : null;
+      })
+      .filter(Boolean);
+    if (conflicts.length > 0) {
+      throw this.conflict({ ...conflicts[0], conflicts });
+    }
+
+    const results = { successful: [], failed: [], total: updates.length };
+
+    updates.forEach((update, index) => {
+      const post = this.posts.get(Number(update.post_id));
+      if (!post) {
+        results.failed.push({ index, post_id: update.post_id, error: "Post not found" });
+        return;
+      }
+
+      if (update.title && String(update.title).trim()) {
+        post.title = update.title;
+      }
+      if (update.content !== undefined) {
+        post.content = update.content;
+      }
+      if (update.meta && typeof update.meta === "object") {
+        Object.assign(post.extraMeta, update.meta);
+      }
+      this.touch(post);
+
+      results.successful.push({
+        ...this.formatPost(post, { withSettings: false, withContent: true }),
+      });
+    });
+
+    return this.batch(results);
+  }
+
+  getPost({ args: [id] }) {
+    const post = this.requirePost(id);
+    return this.success(this.formatPost(post, { withContent: true }));
+  }
+
+  updatePost({ args: [id], params }) {
+    const post = this.requirePost(id);
+
+    if (params.meta) {
+      const conflict = this.findConflict(post, params.expected_revision);
+      if (conflict) {
+        throw this.conflict(conflict);
+      }
+      this.updatePostMeta(post, params.meta);
+    }
+    if (params.title) {
+      post.title = params.title;
+    }
+    this.touch(post);
+
+    return this.success(this.formatPost(post, { withContent: true }), {
+      message: "Resource updated successfully",
+    });
+  }
+
+  deletePost({ args: [id] }) {
+    this.requirePost(id);
+    this.posts.delete(id);
+
+    [...this.revisions.values()]
+      .filter((revision) => revision.post_id === id)
+      .forEach((revision) => this.revisions.delete(revision.id));
+
+    return this.success(null, { message: "Post deleted successfully" });
+  }
+
+  getPostWithRelated({ args: [id] }) {
+    const post = this.requirePost(id);
+    const postData = this.formatPost(post, { withContent: true });
+
+    if (post.extraMeta._funculo_scss_needs_recompile) {
+      postData.meta._funculo_scss_needs_recompile = post.extraMeta._funculo_scss_needs_recompile;
+    }
+
+    const related = {};
+    if (post.type === "blocks") {
+      related.scss_partials = this.getScssPartials().body;
+      related.block_categories = this.getBlockCategories().body;
+    } else if (post.type === "scss-partials") {
+      related.global_settings = {
+        is_global: post.scssSettings.is_global,
+        global_order: post.scssSettings.global_order,
+      };
+    }
+
+    return this.success({ post: postData, related });
+  }
+
+  getBatchPostsWithRelated({ params }) {
+    const ids = [...new Set((params.post_ids || []).map(Number))];
+    if (ids.length === 0 || ids.length > 50) {
+      throw new RouteError("rest_invalid_param", "Invalid parameter(s): post_ids", 400);
+    }
+
+    const found = ids.filter((id) => this.posts.has(id));
+    const items = found.map(
+      (id) => this.getPostWithRelated({ args: [id] }).body.data
+    );
+
+    return this.success({
+      items,
+      not_found: ids.filter((id) => !this.posts.has(id)),
+    });
+  }
+
+  /**
+   * Apply update_meta data (see PostsOperationsApiController::updatePostMeta)
+   */
+  updatePostMeta(post, metaData) {
+    if (metaData.blocks && post.type === "blocks") {
+      const blocks = metaData.blocks;
+
+      ["php", "scss", "editorScss", "js"].forEach((field) => {
+        if (blocks[field] !== undefined) {
+          post.meta[field] = blocks[field];
+        }
+      });
+      if (blocks.scss !== undefined && !blocks.scss) {
+        post.meta.cssContent = "";
+      }
+      if (blocks.editorScss !== undefined && !blocks.editorScss) {
+        post.meta.editorCssContent = "";
+      }
+
+      if (blocks.attributes !== undefined) {
+        post.meta.attributes = blocks.attributes;
+        const attributes = parseJson(blocks.attributes, null);
+        if (Array.isArray(attributes)) {
+          post.attributes = attributes.map((attribute, index) =>
+            this.createAttributeRow(post.id, attribute, index)
+          );
+        }
+      }
+
+      if (blocks.settings !== undefined) {
+        const settings = parseJson(blocks.settings, null);
+        if (settings) {
+          Object.assign(post.blockSettings, {
+            category: settings.category ?? null,
+            description: settings.description ?? null,
+            icon: settings.icon ?? null,
+            view_script_module: settings.viewScriptModule ?? false,
+            scoped_styles: settings.scopedStyles ?? false,
+            allowed_html_tags: settings.allowedTags ?? [],
+            allowed_html_attributes: settings.allowedAttributes ?? [],
+          });
+        }
+      }
+
+      if (blocks.inner_blocks_settings !== undefined) {
+        const inner = parseJson(blocks.inner_blocks_settings, null);
+        if (inner) {
+          Object.assign(post.blockSettings, {
+            supports_inner_blocks: inner.enabled ?? false,
+            allowed_block_types: inner.allowed_blocks ?? [],
+            template: inner.template ?? [],
+            template_lock: inner.templateLock ?? null,
+          });
+        }
+      }
+
+      [
+        ["selected_partials", "selectedPartials"],
+        ["editor_selected_partials", "editorSelectedPartials"],
+      ].forEach(([snake, camel]) => {
+        const value = blocks[camel] !== undefined ? blocks[camel] : blocks[snake];
+        const partials = parseJson(value, null);
+        if (Array.isArray(partials)) {
+          post.blockSettings[snake] = partials.filter(Boolean);
+        }
+      });
+    }
+
+    if (metaData.symbols && post.type === "symbols") {
+      if (metaData.symbols.php !== undefined) {
+        post.meta.php = metaData.symbols.php;
+      }
+    }
+
+    if (metaData.scss_partials && post.type === "scss-partials") {
+      const partial = metaData.scss_partials;
+      if (partial.scss !== undefined) {
+        post.meta.scss = partial.scss;
+      }
+      if (partial.is_global !== undefined) {
+        post.scssSettings.is_global = partial.is_global === "1" || partial.is_global === true;
+      }
+      if (partial.global_order !== undefined) {
+        post.scssSettings.global_order = parseInt(partial.global_order, 10) || 0;
+      }
+    }
+
+    this.touch(post);
+  }
+
+  // ===========================================
+  // SCSS
+  // ===========================================
+
+  getScssContent({ args: [id] }) {
+    const post = this.requirePost(id);
+    return this.success({
+      post_id: id,
+      scss_content: post.meta.scss || "",
+      css_content: post.meta.cssContent || "",
+    });
+  }
+
+  saveScssContent({ args: [id], params }) {
+    const post = this.requirePost(id);
+    if (params.css_content !== undefined) {
+      post.meta.cssContent = params.css_content;
+    }
+    return this.success({ post_id: id }, { message: "SCSS compiled and saved successfully" });
+  }
+
+  getEditorScssContent({ args: [id] }) {
+    const post = this.requirePost(id);
+    return this.success({
+      post_id: id,
+      editor_scss_content: post.meta.editorScss || "",
+      editor_css_content: post.meta.editorCssContent || "",
+    });
+  }
+
+  saveEditorScssContent({ args: [id], params }) {
+    const post = this.requirePost(id);
+    if (params.editor_scss_content !== undefined) {
+      post.meta.editorScss = params.editor_scss_content;
+    }
+    if (params.editor_css_content !== undefined) {
+      post.meta.editorCssContent = params.editor_css_content;
+    }
+    return this.success({ post_id: id }, { message: "Editor SCSS compiled and saved successfully" });
+  }
+
+  getScssPartials() {
+    const partials = [...this.posts.values()]
+      .filter((post) => post.type === "scss-partials" && post.status === "publish")
+      .map((post) => ({
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        is_global: post.scssSettings.is_global,
+        global_order: post.scssSettings.global_order,
+      }));
+
+    const globalPartials = partials
+      .filter((partial) => partial.is_global)
+      .sort((a, b) => a.global_order - b.global_order);
+    const availablePartials = partials
+      .filter((partial) => !partial.is_global)
+      .sort((a, b) => a.title.localeCompare(b.title));
+
+    return this.success({
+      global_partials: globalPartials,
+      available_partials: availablePartials,
+    });
+  }
+
+  updatePartialGlobalSetting({ args: [id], params }) {
+    const post = this.requirePost(id);
+    if (post.type !== "scss-partials") {
+      throw new RouteError("post_not_found", "Post not found", 404);
+    }
+
+    post.scssSettings.is_global = !!params.is_global;
+    if (params.global_order !== undefined) {
+      post.scssSettings.global_order = Number(params.global_order);
+    }
+
+    return this.success({
+      post_id: id,
+      is_global: post.scssSettings.is_global,
+      global_order: params.global_order,
+    });
+  }
+
+  batchCompileScss({ params }) {
+    const compilations = params.compilations || [];
+    const results = { successful: [], failed: [], total: compilations.length };
+
+    compilations.forEach((compilation, index) => {
+      const post = this.posts.get(Number(compilation.post_id));
+      if (!post) {
+        results.failed.push({ index, post_id: compilation.post_id, error: "Post not found" });
+        return;
+      }
+
+      if (compilation.css_content != null) {
+        post.meta.cssContent = compilation.css_content;
+      }
+      if (compilation.editor_scss_content != null) {
+        post.meta.editorScss = compilation.editor_scss_content;
+      }
+      if (compilation.editor_css_content != null) {
+        post.meta.editorCssContent = compilation.editor_css_content;
+      }
+
+      results.successful.push({
+        index,
+        post_id: post.id,
+        title: post.title,
+        main_css_updated: compilation.css_content != null,
+        editor_css_updated: compilation.editor_css_content != null,
+      });
+    });
+
+    return this.batch(results);
+  }
+
+  // ===========================================
+  // BLOCK ATTRIBUTES
+  // Rows are returned with their column names, which is what useBlockAttributes reads
+  // ===========================================
+
+  getAttributes({ args: [id] }) {
+    const post = this.requirePost(id);
+    return { body: { success: true, data: clone(post.attributes) } };
+  }
+
+  saveAttributes({ args: [id], params }) {
+    const post = this.requirePost(id);
+
+    if (!Array.isArray(params.attributes)) {
+      throw new RouteError("validation_failed", "Validation failed", 400, {
+        validation_errors: { attributes: "Invalid attributes data" },
+      });
+    }
+    if (params.attributes.some((attribute) => !attribute.name || !attribute.type)) {
+      throw new RouteError("validation_failed", "Validation failed", 400, {
+        validation_errors: { attributes: "Each attribute must have a name and type" },
+      });
+    }
+
+    post.attributes = params.attributes.map((attribute, index) =>
+      this.createAttributeRow(id, attribute, index)
+    );
+    this.touch(post);
+
+    return { body: { success: true, data: clone(post.attributes) } };
+  }
+
+  deleteAllAttributes({ args: [id] }) {
+    const post = this.requirePost(id);
+    post.attributes = [];
+    return this.success(null, { message: "All attributes deleted successfully" });
+  }
+
+  deleteAttribute({ args: [postId, attributeId] }) {
+    const post = this.requirePost(postId);
+    post.attributes = post.attributes.filter((attribute) => attribute.id !== attributeId);
+    return this.success(null, { message: "Attribute deleted successfully" });
+  }
+
+  // ===========================================
+  // REVISIONS (see RevisionSnapshotService)
+  // ===========================================
+
+  snapshot(post) {
+    return {
+      post_type: post.type,
+      meta: clone(post.meta),
+      database: {
+        settings: clone(post.blockSettings || post.scssSettings || {}),
+        attributes: clone(post.attributes),
+      },
+    };
+  }
+
+  getRevisions({ args: [postId] }) {
+    this.requirePost(postId);
+    const revisions = [...this.revisions.values()]
+      .filter((revision) => revision.post_id === postId)
+      .sort((a, b) => b.id - a.id);
+
+    return this.success(clone(revisions), { post_id: postId, count: revisions.length });
+  }
+
+  createRevision({ params }) {
+    const post = this.requirePost(Number(params.post_id));
+    if (!params.name || !String(params.name).trim()) {
+      throw new RouteError("rest_invalid_param", "Invalid parameter(s): name", 400);
+    }
+
+    const revision = {
+      id: this.nextRevisionId++,
+      post_id: post.id,
+      revision_name: params.name,
+      revision_data: this.snapshot(post),
+      created_at: now(),
+    };
+    this.revisions.set(revision.id, revision);
+
+    return this.success(clone(revision), { message: "Revision created successfully" }, 201);
+  }
+
+  applyRevision({ args: [id] }) {
+    const revision = this.revisions.get(id);
+    if (!revision) {
+      throw this.notFound("revision", id);
+    }
+
+    const post = this.requirePost(revision.post_id);
+    const { meta, database } = clone(revision.revision_data);
+    post.meta = meta;
+    if (post.blockSettings) {
+      post.blockSettings = database.settings;
+      post.attributes = database.attributes || [];
+    } else if (post.scssSettings) {
+      post.scssSettings = database.settings;
+    }
+    this.touch(post);
+
+    return this.success(
+      { post_id: post.id, revision_id: id, revision_name: revision.revision_name },
+      { message: "Revision applied successfully" }
+    );
+  }
+
+  deleteRevision({ args: [id] }) {
+    if (!this.revisions.has(id)) {
+      throw this.notFound("revision", id);
+    }
+    this.revisions.delete(id);
+    return this.success(null, { message: "Revision deleted successfully", revision_id: id });
+  }
+
+  // ===========================================
+  // OPERATIONS (see PostsOperationsApiController)
+  // ===========================================
+
+  executeBulkOperations({ params }) {
+    const operations = params.operations || [];
+    if (operations.length === 0 || operations.length > 50) {
+      throw new RouteError("rest_invalid_param", "Invalid parameter(s): operations", 400);
+    }
+
+    // Reject the whole batch if a meta update is based on stale content
+    operations.forEach((operation) => {
+      if (operation.type !== "update_meta" || !operation.data?.post_id) return;
+      const post = this.posts.get(Number(operation.data.post_id));
+      const conflict = post && this.findConflict(post, operation.data.expected_revision);
+      if (conflict) {
+        throw this.conflict(conflict);
+      }
+    });
+
+    const results = { successful: [], failed: [], total: operations.length };
+
+    operations.forEach((operation, index) => {
+      try {
+        results.successful.push({
+          index,
+          type: operation.type,
+          result: this.executeOperation(operation.type, operation.data || {}),
+        });
+      } catch (error) {
+        results.failed.push({ index, type: operation.type, error: error.message });
+      }
+    });
+
+    return this.batch(results);
+  }
+
+  executeOperation(type, data) {
+    switch (type) {
+      case "get_post": {
+        const post = this.requirePost(Number(data.id ?? data.post_id));
+        return this.formatPost(post);
+      }
+
+      case "get_posts_bulk":
+        return (data.ids || [])
+          .map((id) => this.posts.get(Number(id)))
+          .filter(Boolean)
+          .map((post) => this.formatPost(post));
+
+      case "update_meta": {
+        if (!data.post_id || !data.meta) {
+          throw new Error("Post ID and meta data required for update_meta operation");
+        }
+        const post = this.requirePost(Number(data.post_id));
+        this.updatePostMeta(post, data.meta);
+        return { post_id: post.id, updated: true, revision_hash: this.revisionHash(post) };
+      }
+
+      case "regenerate_files":
+        return { post_id: data.post_id ?? data.id, regenerated: true };
+
+      default:
+        throw new Error(`Unknown operation type: ${type}`);
+    }
+  }
+
+  // ===========================================
+  // LOOKUPS
+  // ===========================================
+
+  getBlockCategories() {
+    return this.success(clone(BLOCK_CATEGORIES), { count: BLOCK_CATEGORIES.length });
+  }
+
+  getTaxonomy() {
+    const terms = Object.values(TERMS).map((term) => ({
+      ...term,
+      count: [...this.posts.values()].filter((post) => post.type === term.slug).length,
+    }));
+    return this.success(terms);
+  }
+
+  getRegisteredBlocks() {
+    const blocks = [...this.posts.values()]
+      .filter((post) => post.type === "blocks" && post.status === "publish")
+      .map((post) => ({
+        name: `fancoolo/${post.slug}`,
+        title: post.title,
+        description: post.blockSettings.description || "",
+        category: post.blockSettings.category || "",
+        icon: post.blockSettings.icon || "",
+        keywords: [],
+        supports: {},
+        attributes: {},
+        parent: [],
+        ancestor: [],
+        uses_context: [],
+        provides_context: [],
+        is_dynamic: true,
+        editor_script: "",
+        script: "",
+        editor_style: "",
+        style: "",
+      }));
+
+    return this.success(blocks, { count: blocks.length, total: blocks.length });
+  }
+
+  regenerateFiles() {
+    return this.success({ message: "Files regenerated successfully" });
+  }
+
+  getSettings() {
+    return this.success(clone(this.settings));
+  }
+
+  // Stores values as sent - validation is PluginSettings::sanitize's job
+  updateSettings({ params }) {
+    const settings = clone(this.settings);
+
+    Object.entries(params).forEach(([group, values]) => {
+      if (!values || typeof values !== "object") {
+        return;
+      }
+
+      settings[group] = settings[group] || {};
+      Object.entries(values).forEach(([key, value]) => {
+        // Nested settings (lint rules) can be updated one entry at a time
+        settings[group][key] =
+          value && typeof value === "object" && !Array.isArray(value)
+            ? { ...settings[group][key], ...value }
+            : value;
+      });
+    });
+
+    this.settings = settings;
+    return this.success(clone(settings));
+  }
+
+  getThemeTokens() {
+    return this.success(clone(this.themeTokens));
+  }
+}
+
+export default MemoryTransport;
@@ -0,0 +1,397 @@
+import IndexedDbStore from "./IndexedDbStore";
+
+/**
+ * Offline Write Queue - Persists failed mutations and replays them in order
+ *
+ * When the backend is unreachable (network failure or 5xx), FunculoApiClient
+ * stores the mutation here instead of dropping it. Each entry remembers the
+ * fingerprint of the server state it was based on, so replay can detect that
+ * someone else changed the post in the meantime and hold the write as a
+ * conflict instead of silently overwriting newer data.
+ */
+
+export const MutationStatus = {
+  PENDING: "pending",
+  CONFLICT: "conflict",
+  FAILED: "failed",
+};
+
+class OfflineWriteQueue {
+  constructor() {
+    this.store = new IndexedDbStore("fancoolo_offline", "mutations", {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+
+    this.client = null;
+    this.mutations = [];
+    this.listeners = new Set();
+    this.replaying = false;
+    this.retryDelay = 30 * 1000; // Retry every 30 seconds while writes are queued
+    this.retryTimer = null;
+
+    this.ready = this.load();
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("online", () => {
+        this.replay();
+      });
+    }
+  }
+
+  /**
+   * Attach the API client used to replay mutations
+   * @param {Object} client FunculoApiClient instance
+   */
+  attach(client) {
+    this.client = client;
+    this.ready.then(() => this.scheduleRetry());
+  }
+
+  /**
+   * Check whether an error means the backend is unreachable
+   * @param {Error} error Request error
+   * @returns {boolean} True for network failures and 5xx responses
+   */
+  isOfflineError(error) {
+    if (!error) return false;
+
+    if (error.name === "AbortError") return false;
+
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      return true;
+    }
+
+    // fetch() rejects with a TypeError when the request never reaches the server
+    if (error.name === "TypeError") return true;
+
+    return typeof error.status === "number" && error.status >= 500;
+  }
+
+  /**
+   * Check whether any of the given posts still have unsent writes
+   * @param {Array<number>} postIds Post IDs
+   * @returns {boolean} True if a queued mutation touches one of the posts
+   */
+  hasQueuedWrites(postIds = []) {
+    return this.mutations.some((mutation) =>
+      mutation.postIds.some((id) => postIds.includes(id))
+    );
+  }
+
+  /**
+   * Load queued mutations from persistent storage
+   */
+  async load() {
+    try {
+      this.mutations = await this.store.getAll();
+    } catch (error) {
+      console.warn("Failed to load offline write queue:", error);
+      this.mutations = [];
+    }
+    this.notify();
+  }
+
+  /**
+   * Queue a mutation for later replay
+   * @param {Object} mutation Mutation description
+   * @param {string} mutation.method FunculoApiClient method name
+   * @param {Array} mutation.args Arguments for the method
+   * @param {Array<number>} mutation.postIds Posts touched by the mutation
+   * @param {Object} mutation.baseFingerprints Server fingerprints keyed by post ID
+   * @returns {Promise<Object>} Stored mutation
+   */
+  async enqueue({ method, args, postIds = [], baseFingerprints = {} }) {
+    await this.ready;
+
+    const record = {
+      method,
+      args,
+      postIds,
+      baseFingerprints,
+      status: MutationStatus.PENDING,
+      error: null,
+      force: false,
+      createdAt: Date.now(),
+    };
+
+    try {
+      record.id = await this.store.put(record);
+    } catch (error) {
+      // Keep it in memory at least - losing the edit is worse than losing persistence
+      console.warn("Failed to persist queued mutation:", error);
+      record.id = `memory-${record.createdAt}`;
+    }
+
+    this.mutations.push(record);
+    this.notify();
+    this.scheduleRetry();
+
+    return record;
+  }
+
+  /**
+   * Replay queued mutations in the order they were made
+   * Stops at the first offline error; conflicting or failed posts are held back
+   * so later writes to the same post never jump ahead of an unresolved one.
+   * @returns {Promise<Object>} Replay summary
+   */
+  async replay() {
+    await this.ready;
+
+    const summary = { replayed: 0, conflicts: 0, failed: 0, remaining: 0 };
+
+    if (this.replaying || !this.client || this.mutations.length === 0) {
+      summary.remaining = this.mutations.length;
+      return summary;
+    }
+
+    this.replaying = true;
+    this.notify();
+
+    const heldPosts = new Set();
+
+    try {
+      for (const mutation of [...this.mutations]) {
+        if (mutation.status !== MutationStatus.PENDING) {
+          mutation.postIds.forEach((id) => heldPosts.add(id));
+          continue;
+        }
+
+        if (mutation.postIds.some((id) => heldPosts.has(id))) {
+          continue;
+        }
+
+        try {
+          if (!mutation.force) {
+            const conflictIds = await this.findConflicts(mutation);
+            if (conflictIds.length > 0) {
+              await this.update(mutation, {
+                status: MutationStatus.CONFLICT,
+                error: `Post ${conflictIds.join(", ")} changed on the server since this edit was made`,
+                conflictIds,
+              });
+              mutation.postIds.forEach((id) => heldPosts.add(id));
+              summary.conflicts++;
+              continue;
+            }
+          }
+
+          await this.client.replayMutation(mutation);
+          await this.remove(mutation.id);
+          await this.rebaseFollowing(mutation);
+          summary.replayed++;
+        } catch (error) {
+          if (this.isOfflineError(error)) {
+            // Backend is still down - keep everything in order for the next attempt
+            break;
+          }
+
+          if (error.conflict) {
+            // Server rejected the revision - someone saved between check and replay
+            await this.update(mutation, {
+              status: MutationStatus.CONFLICT,
+              error: error.message,
+              conflictIds: mutation.postIds,
+            });
+            mutation.postIds.forEach((id) => heldPosts.add(id));
+            summary.conflicts++;
+            continue;
+          }
+
+          await this.update(mutation, {
+            status: MutationStatus.FAILED,
+            error: error.message || "Replay failed",
+          });
+          mutation.postIds.forEach((id) => heldPosts.add(id));
+          summary.failed++;
+        }
+      }
+    } finally {
+      this.replaying = false;
+      summary.remaining = this.mutations.length;
+      this.notify();
+      this.scheduleRetry();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compare the server state of each touched post with the state the edit was based on
+   * @param {Object} mutation Queued mutation
+   * @returns {Promise<Array<number>>} IDs of posts that changed on the server
+   */
+  async findConflicts(mutation) {
+    const conflicts = [];
+
+    for (const postId of mutation.postIds) {
+      const base = mutation.baseFingerprints?.[postId];
+      if (!base) {
+        // Nothing known about the original state - can't detect a conflict
+        continue;
+      }
+
+      const current = await this.client.getServerFingerprint(postId);
+      if (current && current !== base) {
+        conflicts.push(postId);
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Later writes to the same posts were made on top of the one just replayed,
+   * so their base is now the server state right after that replay
+   * @param {Object} replayed Mutation that was just replayed
+   */
+  async rebaseFollowing(replayed) {
+    for (const postId of replayed.postIds) {
+      const following = this.mutations.filter(
+        (mutation) =>
+          mutation.status === MutationStatus.PENDING &&
+          mutation.postIds.includes(postId)
+      );
+      if (following.length === 0) continue;
+
+      const fingerprint = await this.client.getServerFingerprint(postId);
+      for (const mutation of following) {
+        await this.update(mutation, {
+          baseFingerprints: {
+            ...mutation.baseFingerprints,
+            [postId]: fingerprint,
+          },
+        });
+      }
+    }
+  }
+
+  /**
+   * Replay a conflicting or failed mutation anyway, overwriting server data
+   * @param {number|string} id Mutation ID
+   */
+  async overwrite(id) {
+    const mutation = this.mutations.find((item) => item.id === id);
+    if (!mutation) return;
+
+    await this.update(mutation, {
+      status: MutationStatus.PENDING,
+      error: null,
+      force: true,
+    });
+
+    return this.replay();
+  }
+
+  /**
+   * Drop a queued mutation without replaying it
+   * @param {number|string} id Mutation ID
+   */
+  async discard(id) {
+    await this.remove(id);
+    return this.replay();
+  }
+
+  /**
+   * Update a mutation in memory and storage
+   * @param {Object} mutation Mutation to update
+   * @param {Object} changes Fields to change
+   */
+  async update(mutation, changes) {
+    Object.assign(mutation, changes);
+
+    if (typeof mutation.id === "number") {
+      try {
+        await this.store.put(mutation);
+      } catch (error) {
+        console.warn("Failed to persist queued mutation update:", error);
+      }
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Remove a mutation from memory and storage
+   * @param {number|string} id Mutation ID
+   */
+  async remove(id) {
+    this.mutations = this.mutations.filter((item) => item.id !== id);
+
+    if (typeof id === "number") {
+      try {
+        await this.store.delete(id);
+      } catch (error) {
+        console.warn("Failed to remove queued mutation:", error);
+      }
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Retry periodically while pending writes remain
+   */
+  scheduleRetry() {
+    if (typeof window === "undefined" || this.retryTimer) return;
+
+    const hasPending = this.mutations.some(
+      (item) => item.status === MutationStatus.PENDING
+    );
+    if (!hasPending || !this.client) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, this.retryDelay);
+  }
+
+  /**
+   * Get a summary of queued mutations for the UI
+   * @returns {Object} Queue state
+   */
+  getState() {
+    const countBy = (status) =>
+      this.mutations.filter((item) => item.status === status).length;
+
+    return {
+      total: this.mutations.length,
+      pending: countBy(MutationStatus.PENDING),
+      conflicts: countBy(MutationStatus.CONFLICT),
+      failed: countBy(MutationStatus.FAILED),
+      replaying: this.replaying,
+      mutations: this.mutations.map((item) => ({ ...item })),
+    };
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener Called with the queue state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a state change
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.warn("Offline queue listener failed:", error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const offlineWriteQueue = new OfflineWriteQueue();
+
+export default offlineWriteQueue;
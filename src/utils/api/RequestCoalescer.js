@@ -0,0 +1,94 @@
+import { SharedRequest, createAbortError } from "./abortable";
+
+/**
+ * Request Coalescer - Micro-batching for single item fetches
+ *
+ * Collects load(key) calls made within the same tick (a zero-delay timer, so
+ * calls separated by a few awaits still land together) and resolves them
+ * from one loadMany(keys) call per batch of up to maxBatchSize keys.
+ *
+ * Each caller can cancel with its own signal; a batch request is only
+ * aborted once every caller waiting on it has cancelled.
+ */
+class RequestCoalescer {
+  /**
+   * @param {Function} loadMany (keys, signal) => Promise<Map> of key -> result
+   * @param {Object} options Options
+   * @param {number} options.maxBatchSize Keys per batch request
+   * @param {number} options.delay Collection window in ms
+   * @param {Function} options.onMissing (key) => Error for keys absent from the result
+   */
+  constructor(loadMany, options = {}) {
+    const {
+      maxBatchSize = 50,
+      delay = 0,
+      onMissing = (key) => new Error(`No result for ${key}`),
+    } = options;
+
+    this.loadMany = loadMany;
+    this.maxBatchSize = maxBatchSize;
+    this.delay = delay;
+    this.onMissing = onMissing;
+
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * Load a single item as part of the next batch
+   * @param {*} key Item key
+   * @param {AbortSignal} signal Optional signal cancelling this caller only
+   * @returns {Promise<*>} Item result
+   */
+  load(key, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ key, signal, resolve, reject });
+
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.delay);
+      }
+    });
+  }
+
+  /**
+   * Send the collected keys as batch requests
+   */
+  flush() {
+    const waiters = this.waiters.filter(({ signal, reject }) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return false;
+      }
+      return true;
+    });
+    this.waiters = [];
+    this.timer = null;
+
+    const keys = [...new Set(waiters.map(({ key }) => key))];
+
+    for (let i = 0; i < keys.length; i += this.maxBatchSize) {
+      const batchKeys = keys.slice(i, i + this.maxBatchSize);
+      const batch = new SharedRequest((sharedSignal) =>
+        this.loadMany(batchKeys, sharedSignal)
+      );
+
+      waiters
+        .filter(({ key }) => batchKeys.includes(key))
+        .forEach(({ key, signal, resolve, reject }) => {
+          batch.subscribe(signal).then((results) => {
+            if (results.has(key)) {
+              resolve(results.get(key));
+            } else {
+              reject(this.onMissing(key));
+            }
+          }, reject);
+        });
+    }
+  }
+}
+
+export default RequestCoalescer;
@@ -0,0 +1,104 @@
+/**
+ * REST Session - Keeps the WordPress REST nonce alive
+ *
+ * Nonces expire after 12-24 hours, after which every request fails with
+ * 403 rest_cookie_invalid_nonce. FetchTransport calls refreshNonce() on that
+ * error and replays the request with the new nonce. When the login cookie
+ * itself has expired the session is marked as ended, so the UI can ask the
+ * user to log in again without reloading (and losing unsaved edits).
+ */
+class RestSession {
+  constructor(settings = window.wpApiSettings || {}) {
+    this.ajaxUrl = settings.ajaxUrl || null;
+    this.loginUrl = settings.loginUrl || null;
+
+    this.state = { expired: false, nonce: settings.nonce || null };
+    this.refreshPromise = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Fetch a new nonce - concurrent callers share one request
+   * @returns {Promise<string|null>} New nonce, or null if none could be fetched
+   */
+  refreshNonce() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestNonce().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Ask admin-ajax for a nonce (works with the login cookie alone)
+   * @returns {Promise<string|null>} New nonce or null
+   */
+  async requestNonce() {
+    if (!this.ajaxUrl) {
+      return null;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.ajaxUrl}?action=fancoolo_refresh_nonce`, {
+        credentials: "same-origin",
+      });
+    } catch (error) {
+      // Offline - not a session problem, let the normal retry logic handle it
+      console.warn("Failed to refresh WordPress nonce:", error);
+      return null;
+    }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data?.success || !data.data?.nonce) {
+      // Only a logged-out answer ends the session - other failures may be temporary
+      if (response.status === 401 || data?.data?.loggedOut === true) {
+        this.setState({ expired: true });
+      }
+      return null;
+    }
+
+    const { nonce } = data.data;
+    // console.log("🔄 Refreshed WordPress nonce");
+    if (window.wpApiSettings) {
+      window.wpApiSettings.nonce = nonce;
+    }
+    this.setState({ expired: false, nonce });
+    return nonce;
+  }
+
+  /**
+   * Get current session state
+   * @returns {{expired: boolean, nonce: string|null}} State
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} listener Receives the new state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.state);
+      } catch (error) {
+        console.warn("Session listener failed:", error);
+      }
+    });
+  }
+}
+
+const restSession = new RestSession();
+
+export default restSession;
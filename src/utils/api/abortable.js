@@ -0,0 +1,118 @@
+/**
+ * AbortSignal helpers shared by the API client and the API cache
+ */
+
+/**
+ * Create the error thrown when a request is cancelled
+ * Matches what fetch() rejects with, so callers only need one check
+ * @returns {Error} AbortError
+ */
+export const createAbortError = () => {
+  if (typeof DOMException !== "undefined") {
+    return new DOMException("The operation was aborted", "AbortError");
+  }
+  const error = new Error("The operation was aborted");
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Check whether an error comes from a cancelled request
+ * @param {Error} error Error to check
+ * @returns {boolean} True for abort errors
+ */
+export const isAbortError = (error) => error?.name === "AbortError";
+
+/**
+ * Throw an AbortError if the signal has already been aborted
+ * @param {AbortSignal} signal Optional signal
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+/**
+ * A single in-flight request shared by several callers (deduplication)
+ *
+ * Every caller can cancel with its own signal without affecting the others.
+ * The underlying request is only aborted once every caller that passed a
+ * signal has aborted and no caller without a signal is waiting on it.
+ */
+export class SharedRequest {
+  /**
+   * @param {Function} start Receives the shared AbortSignal, returns a promise
+   */
+  constructor(start) {
+    this.controller = new AbortController();
+    this.consumers = 0;
+    this.promise = start(this.controller.signal);
+
+    // Rejections are delivered to subscribers - don't report them twice
+    this.promise.catch(() => {});
+  }
+
+  /**
+   * Whether every caller cancelled and the request was aborted
+   * Callers deduplicating requests should treat it as gone
+   * @returns {boolean} True once aborted
+   */
+  get aborted() {
+    return this.controller.signal.aborted;
+  }
+
+  /**
+   * Wait for the shared result
+   * @param {AbortSignal} signal Optional signal cancelling this caller only
+   * @returns {Promise<*>} Request result
+   */
+  subscribe(signal) {
+    // Everyone cancelled - a late caller must start a new request instead
+    if (this.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    if (!signal) {
+      // Callers without a signal keep the request alive until it settles
+      this.consumers = Infinity;
+      return this.promise;
+    }
+
+    if (signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    this.consumers++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.release();
+        reject(createAbortError());
+      };
+
+      signal.addEventListener("abort", onAbort, { once: true });
+
+      this.promise.then(
+        (value) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        (error) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * A caller stopped waiting - abort the request if nobody is left
+   */
+  release() {
+    this.consumers--;
+    if (this.consumers <= 0) {
+      this.controller.abort();
+    }
+  }
+}
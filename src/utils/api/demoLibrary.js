@@ -0,0 +1,97 @@
+/**
+ * Demo Library - Seed content for MemoryTransport in standalone demo mode
+ *
+ * A small but complete library: a global partial, a block that uses it,
+ * a block with inner blocks and a symbol, so every editor tab has
+ * something to show.
+ */
+const demoLibrary = {
+  posts: [
+    {
+      id: 1,
+      title: "Variables",
+      type: "scss-partials",
+      meta: {
+        scss: "$color-primary: #3858e9;\n$color-text: #1e1e1e;\n$spacing: 1.5rem;\n",
+      },
+      scssSettings: { is_global: true, global_order: 1 },
+    },
+    {
+      id: 2,
+      title: "Buttons",
+      type: "scss-partials",
+      meta: {
+        scss: "@mixin button {\n  display: inline-block;\n  padding: 0.5em 1em;\n  border-radius: 4px;\n}\n",
+      },
+    },
+    {
+      id: 3,
+      title: "Hero",
+      type: "blocks",
+      meta: {
+        php: '<section <?php echo get_block_wrapper_attributes(); ?>>\n    <h1><?php echo esc_html($attributes[\'heading\'] ?? \'\'); ?></h1>\n    <a class="hero__button" href="<?php echo esc_url($attributes[\'link\'] ?? \'#\'); ?>">Read more</a>\n</section>',
+        scss: ".wp-block-fancoolo-hero {\n  padding: $spacing * 2 $spacing;\n  color: $color-text;\n\n  .hero__button {\n    @include button;\n    background: $color-primary;\n    color: #fff;\n  }\n}\n",
+        attributes: JSON.stringify([
+          { name: "heading", type: "text" },
+          { name: "link", type: "link" },
+        ]),
+      },
+      settings: {
+        category: "design",
+        description: "Full width intro section",
+        icon: "cover-image",
+        selected_partials: [2],
+      },
+      attributes: [
+        { name: "heading", type: "text" },
+        { name: "link", type: "link" },
+      ],
+    },
+    {
+      id: 4,
+      title: "Card Grid",
+      type: "blocks",
+      meta: {
+        php: "<div <?php echo get_block_wrapper_attributes(); ?>>\n    <?php echo $content; ?>\n</div>",
+        scss: ".wp-block-fancoolo-card-grid {\n  display: grid;\n  grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));\n  gap: $spacing;\n}\n",
+      },
+      settings: {
+        category: "design",
+        description: "Grid container for cards",
+        icon: "grid-view",
+        supports_inner_blocks: true,
+        allowed_block_types: ["core/group"],
+      },
+    },
+    {
+      id: 5,
+      title: "Site Logo",
+      type: "symbols",
+      meta: {
+        php: '<a class="site-logo" href="<?php echo esc_url(home_url(\'/\')); ?>"><?php bloginfo(\'name\'); ?></a>',
+      },
+    },
+  ],
+  // Like ThemeTokens::get for a small theme.json
+  themeTokens: {
+    theme: "demo",
+    hash: "demo",
+    colors: [
+      { slug: "base", name: "Base", value: "#ffffff", property: "--wp--preset--color--base" },
+      { slug: "contrast", name: "Contrast", value: "#1e1e1e", property: "--wp--preset--color--contrast" },
+      { slug: "accent", name: "Accent", value: "#3858e9", property: "--wp--preset--color--accent" },
+    ],
+    fontSizes: [
+      { slug: "small", name: "Small", value: "0.875rem", property: "--wp--preset--font-size--small" },
+      { slug: "medium", name: "Medium", value: "1rem", property: "--wp--preset--font-size--medium" },
+      { slug: "large", name: "Large", value: "clamp(1.25rem, 2vw, 1.75rem)", property: "--wp--preset--font-size--large" },
+    ],
+    spacing: [
+      { slug: "30", name: "Small", value: "0.75rem", property: "--wp--preset--spacing--30" },
+      { slug: "50", name: "Medium", value: "1.5rem", property: "--wp--preset--spacing--50" },
+      { slug: "70", name: "Large", value: "3rem", property: "--wp--preset--spacing--70" },
+    ],
+  },
+};
+
+export default demoLibrary;
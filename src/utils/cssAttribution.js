@@ -0,0 +1,108 @@
+/**
+ * CSS Attribution - Which source produced each line of compiled CSS
+ *
+ * Reads the source map Dart Sass returns for a compile (see
+ * compileScssWithDiagnostics) and maps every generated line to the
+ * partial or block source it came from.
+ */
+
+const BASE64_DIGITS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Decode one Base64 VLQ source map segment
+ * @param {string} segment Segment, e.g. "AAAA"
+ * @returns {Array<number>} Fields (relative values)
+ */
+function decodeSegment(segment) {
+  const fields = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    value += (digit & 31) << shift;
+
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Source URL of every generated line
+ * Lines without a mapping of their own (closing braces, blank lines) belong
+ * to the source of the line before them.
+ * @param {object} sourceMap Source map ({ sources, mappings })
+ * @returns {Array<string|null>} Source URL per generated line
+ */
+function sourcesByLine(sourceMap) {
+  let sourceIndex = 0;
+  let current = null;
+
+  return sourceMap.mappings.split(";").map((line) => {
+    let first = null;
+
+    line
+      .split(",")
+      .filter(Boolean)
+      .forEach((segment) => {
+        const fields = decodeSegment(segment);
+        if (fields.length >= 4) {
+          sourceIndex += fields[1];
+          if (first === null) {
+            first = sourceIndex;
+          }
+        }
+      });
+
+    if (first !== null) {
+      current = sourceMap.sources[first] ?? null;
+    }
+    return current;
+  });
+}
+
+/**
+ * Attribute compiled CSS to its sources
+ * @param {string} css Compiled CSS
+ * @param {object|null} sourceMap Source map of the compile, if any
+ * @param {object} origins Source URL -> origin (from compileScssWithDiagnostics)
+ * @returns {object|null} { lines: [{ text, origin }], sources: [{ origin,
+ *   lines, bytes }] } in order of first appearance, or null without a map
+ */
+export function attributeCss(css, sourceMap, origins = {}) {
+  if (!sourceMap?.mappings) {
+    return null;
+  }
+
+  const urls = sourcesByLine(sourceMap);
+  const encoder = new TextEncoder();
+  const summary = new Map();
+
+  const lines = css.split("\n").map((text, index) => {
+    // The map has no entry for trailing lines without mappings
+    const url = urls[Math.min(index, urls.length - 1)] ?? null;
+    const origin = (url && origins[url]) || null;
+
+    const key = url || "unknown";
+    if (!summary.has(key)) {
+      summary.set(key, { origin, lines: 0, bytes: 0 });
+    }
+    const entry = summary.get(key);
+    entry.lines++;
+    entry.bytes += encoder.encode(text).length + 1;
+
+    return { text, origin };
+  });
+
+  return { lines, sources: [...summary.values()] };
+}
+
+export default { attributeCss };
@@ -1,3 +1,5 @@
 export { default as apiClient } from './FunculoApiClient.js';
 export { default as errorHandler } from './SimpleErrorHandler.js';
-export { compileScss } from './scssCompiler.js';
\ No newline at end of file
+export { compileScss, compileScssWithDiagnostics } from './scssCompiler.js';
+export { isAbortError } from './api/abortable.js';
+export { default as FetchTransport } from './api/FetchTransport.js';
\ No newline at end of file
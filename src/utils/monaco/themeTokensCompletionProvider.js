@@ -0,0 +1,97 @@
+/**
+ * Theme Tokens Autocomplete Provider for Monaco Editor
+ *
+ * Suggests the variables of the generated theme tokens partial ($wp-colors,
+ * $wp-color-primary, ...) after "$", and the preset custom properties
+ * (--wp--preset--color--primary, ...) inside var(). Tokens are read when
+ * suggestions are requested, so they follow theme changes.
+ */
+
+import {
+	TOKEN_GROUPS,
+	getThemeTokens,
+	listThemeTokenVariables,
+} from '../themeTokens.js';
+
+// "$wp-col" before the cursor
+const VARIABLE_PATTERN = /\$[\w-]*$/;
+// "var(--wp--pre" before the cursor
+const CUSTOM_PROPERTY_PATTERN = /var\(\s*(-[\w-]*)?$/;
+
+/**
+ * Range replacing the text a pattern matched before the cursor
+ *
+ * @param {object} position - Cursor position
+ * @param {string} text - Matched text
+ * @returns {object} Monaco range
+ */
+function rangeBefore(position, text) {
+	return {
+		startLineNumber: position.lineNumber,
+		endLineNumber: position.lineNumber,
+		startColumn: position.column - text.length,
+		endColumn: position.column,
+	};
+}
+
+/**
+ * Register the theme tokens completion provider
+ *
+ * @param {object} monaco - Monaco API object
+ * @param {string[]} languages - Languages to register for (default: ['scss'])
+ * @returns {IDisposable[]} Disposables of the providers
+ */
+export function registerThemeTokensCompletion(monaco, languages = ['scss']) {
+	return languages.map((language) =>
+		monaco.languages.registerCompletionItemProvider(language, {
+			triggerCharacters: ['$', '-', '('],
+
+			provideCompletionItems: async function (model, position) {
+				const textBeforeCursor = model.getValueInRange({
+					startLineNumber: position.lineNumber,
+					startColumn: 1,
+					endLineNumber: position.lineNumber,
+					endColumn: position.column,
+				});
+
+				const variableMatch = textBeforeCursor.match(VARIABLE_PATTERN);
+				const propertyMatch = textBeforeCursor.match(CUSTOM_PROPERTY_PATTERN);
+				if (!variableMatch && !propertyMatch) {
+					return { suggestions: [] };
+				}
+
+				const tokens = await getThemeTokens();
+
+				if (variableMatch) {
+					const range = rangeBefore(position, variableMatch[0]);
+
+					return {
+						suggestions: listThemeTokenVariables(tokens).map((variable) => ({
+							label: `$${variable.name}`,
+							kind: monaco.languages.CompletionItemKind.Variable,
+							insertText: `$${variable.name}`,
+							detail: variable.detail,
+							documentation: `Theme token: ${variable.value}`,
+							range,
+						})),
+					};
+				}
+
+				const range = rangeBefore(position, propertyMatch[1] || '');
+
+				return {
+					suggestions: Object.entries(TOKEN_GROUPS).flatMap(([group, names]) =>
+						(tokens[group] || []).map((preset) => ({
+							label: preset.property,
+							kind: monaco.languages.CompletionItemKind.Color,
+							insertText: preset.property,
+							detail: `${names.label} ${preset.name}: ${preset.value}`,
+							documentation: preset.value,
+							range,
+						}))
+					),
+				};
+			},
+		})
+	);
+}
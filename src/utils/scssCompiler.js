@@ -1,12 +1,44 @@
 /**
  * SCSS Compiler for FanCoolo Plugin
  * Uses the built SCSS compiler from dist/scss-compiler/
+ *
+ * Compilation runs in a dedicated Web Worker (sass-worker.min.js) so large
+ * stylesheets don't block typing. Browsers that can't start the worker fall
+ * back to compiling on the main thread with sass-bundle.min.js.
+ *
+ * Each partial and the block SCSS are compiled as separate in-memory sources,
+ * so errors, warnings and the source map refer to the original file and line.
  */
 
 import { apiClient } from "./index.js";
 import centralizedApi from "./api/CentralizedApiService.js";
+import {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+} from "./api/abortable.js";
+import scssCompileCache from "./ScssCompileCache.js";
+import { describeCycle, orderPartials } from "./scssPartialGraph.js";
+import {
+  THEME_TOKENS_SLUG,
+  THEME_TOKENS_URL,
+  buildThemeTokensScss,
+  getThemeTokens,
+} from "./themeTokens.js";
+
+// Source URLs of the generated entry stylesheet and of the block's own SCSS
+const ENTRY_SOURCE_URL = "fancoolo:entry";
+const MAIN_SOURCE_URL = "fancoolo:main";
+
+// @use/@forward/@import of "partials/<slug>" - loaded as Sass modules
+const PARTIAL_MODULE_RULE =
+  /@(?:use|forward|import)\s+["']partials\/_?([\w-]+?)(?:\.scss)?["']/g;
 
 let sassCompiler = null;
+let initPromise = null;
+
+// key -> AbortController of the latest compile for that key
+const activeCompiles = new Map();
 
 /**
  * Get the base URL for loading SCSS compiler assets
@@ -138,16 +170,173 @@ class FunculoSassCompiler {
     });
   }
 
-  async compileString(scss, options = {}) {
+  /**
+   * @param {object} request { scss, url, sources, partialModules, options,
+   *   postprocess }
+   * @param {AbortSignal} signal Optional signal
+   * @returns {Promise<object>} { css, sourceMap, warnings }
+   */
+  async compileString(request, signal = null) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    return this.sass.compileString(scss, {
-      style: "expanded",
-      ...options,
+    throwIfAborted(signal);
+
+    // Loaded only for this fallback - it bundles postcss and autoprefixer
+    const { compileWithSources, serializeError } = await import(
+      "../scss-compiler/compile.js"
+    );
+    throwIfAborted(signal);
+
+    let result;
+    try {
+      // this.sass.sass is the raw Dart Sass API loaded by the bundle
+      result = compileWithSources(this.sass.sass, request);
+    } catch (error) {
+      throw toCompileError(serializeError(error));
+    }
+
+    // Compiling on the main thread can't be interrupted - drop stale results
+    throwIfAborted(signal);
+    return result;
+  }
+}
+
+/**
+ * Rebuild a Sass error from its serialized form
+ * @param {object} data { message, sassMessage, span }
+ * @returns {Error} Error with sassMessage and span
+ */
+function toCompileError({ message, sassMessage, span }) {
+  const error = new Error(message);
+  error.sassMessage = sassMessage;
+  error.span = span;
+  return error;
+}
+
+/**
+ * SCSS compiler running Dart Sass in a Web Worker
+ * Same interface as FunculoSassCompiler; requests are matched by id
+ */
+class SassWorkerCompiler {
+  constructor() {
+    this.baseUrl = getPluginBaseUrl();
+    this.worker = null;
+    this.requests = new Map();
+    this.nextId = 1;
+    this.ready = null;
+  }
+
+  initialize() {
+    if (!this.ready) {
+      // Versioned like the cache key, so a cached old worker isn't used with it
+      const build = window.funculoSettings?.scssCompilerBuild;
+      this.worker = new Worker(
+        this.baseUrl +
+          "dist/scss-compiler/sass-worker.min.js" +
+          (build ? `?ver=${encodeURIComponent(build)}` : "")
+      );
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.failAll(new Error(event.message || "SCSS worker failed to load"));
+      };
+
+      this.ready = this.send({ type: "init" });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Post a request to the worker
+   * @param {object} message Message without id
+   * @param {AbortSignal} signal Optional signal - cancels the queued compile
+   * @returns {Promise<object>} Worker result
+   */
+  send(message, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.requests.delete(id);
+        this.worker.postMessage({ id, type: "cancel" });
+        reject(createAbortError());
+      };
+
+      this.requests.set(id, {
+        resolve,
+        reject,
+        cleanup: () => signal?.removeEventListener("abort", onAbort),
+      });
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      this.worker.postMessage({ ...message, id });
+    });
+  }
+
+  handleMessage({ id, result, error }) {
+    const request = this.requests.get(id);
+    if (!request) {
+      return; // Cancelled while the worker was compiling it
+    }
+
+    this.requests.delete(id);
+    request.cleanup();
+
+    if (error) {
+      request.reject(toCompileError(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  failAll(error) {
+    this.requests.forEach((request) => {
+      request.cleanup();
+      request.reject(error);
     });
+    this.requests.clear();
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.failAll(new Error("SCSS worker terminated"));
+  }
+
+  async compileString(request, signal = null) {
+    await this.initialize();
+
+    return this.send({ type: "compile", ...request }, signal);
+  }
+}
+
+/**
+ * Start the worker compiler, or the main-thread one if workers are unavailable
+ * @returns {Promise<object>} Initialized compiler
+ */
+async function createCompiler() {
+  if (typeof Worker !== "undefined") {
+    const workerCompiler = new SassWorkerCompiler();
+    try {
+      await workerCompiler.initialize();
+      return workerCompiler;
+    } catch (error) {
+      console.warn(
+        "SCSS worker unavailable, compiling on the main thread:",
+        error
+      );
+      workerCompiler.terminate();
+    }
   }
+
+  const compiler = new FunculoSassCompiler();
+  await compiler.initialize();
+  return compiler;
 }
 
 /**
@@ -158,14 +347,45 @@ async function initScssCompiler() {
     return sassCompiler;
   }
 
-  try {
-    sassCompiler = new FunculoSassCompiler();
-    await sassCompiler.initialize();
-    return sassCompiler;
-  } catch (error) {
-    console.error("❌ Failed to initialize FanCoolo SCSS compiler:", error);
-    throw error;
+  if (!initPromise) {
+    initPromise = createCompiler()
+      .then((compiler) => {
+        sassCompiler = compiler;
+        return compiler;
+      })
+      .catch((error) => {
+        initPromise = null;
+        console.error("❌ Failed to initialize FanCoolo SCSS compiler:", error);
+        throw error;
+      });
+  }
+
+  return initPromise;
+}
+
+/**
+ * Register a compile, superseding the previous one with the same key
+ * @param {string|null} key Compile key (e.g. "12:scss")
+ * @param {AbortSignal} signal Optional caller signal
+ * @returns {AbortController} Controller for this compile
+ */
+function startCompile(key, signal) {
+  const controller = new AbortController();
+
+  if (key) {
+    activeCompiles.get(key)?.abort();
+    activeCompiles.set(key, controller);
   }
+
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener("abort", () => controller.abort(), {
+      once: true,
+    });
+  }
+
+  return controller;
 }
 
 /**
@@ -197,188 +417,6 @@ export async function getBlockPartials(postId) {
   };
 }
 
-/**
- * Analyze SCSS compilation error and determine which file/section it's in
- * @param {string} errorMessage - Original error message
- * @param {string} finalScss - The compiled SCSS string (unused now)
- * @returns {string} - Enhanced error message with context
- */
-function analyzeScssError(errorMessage, finalScss) {
-  // Extract line number and error details from original message
-  const lineMatch = errorMessage.match(/(\d+)\s*│/);
-  if (!lineMatch) {
-    return errorMessage; // Can't determine line, return original
-  }
-
-  const compiledErrorLine = parseInt(lineMatch[1]);
-
-  // Use the stored line map if available
-  const lineMap = window._scssLineMap;
-  if (!lineMap) {
-    return errorMessage; // No line map available
-  }
-
-  // Find the line mapping for this error
-  const lineInfo = lineMap.find(
-    (mapping) => mapping.line === compiledErrorLine
-  );
-
-  if (!lineInfo) {
-    return errorMessage; // Line not found in map
-  }
-
-  // Extract error details (everything before the line number)
-  const errorParts = errorMessage.split("\n");
-  const mainError = errorParts[0]; // e.g., 'expected "}".'
-
-  let location = "Unknown";
-  let sourceFile = "unknown";
-  let originalLine = compiledErrorLine;
-
-  // Special handling for "expected }" errors - these often indicate missing closing braces
-  // from partials that were included earlier
-  if (mainError.includes('expected "}"') || mainError.includes("expected }")) {
-    // Look for the most recent partial that was included before this error line
-    const recentPartials = lineMap
-      .filter(
-        (mapping) =>
-          mapping.line < compiledErrorLine &&
-          (mapping.source === "global_partial" ||
-            mapping.source === "selected_partial")
-      )
-      .sort((a, b) => b.line - a.line); // Sort by line number descending (most recent first)
-
-    if (recentPartials.length > 0) {
-      const mostRecentPartial = recentPartials[0];
-
-      // Check if this partial might be missing a closing brace
-      // Look for the last line of this partial
-      const partialLines = lineMap.filter(
-        (mapping) =>
-          mapping.partialId === mostRecentPartial.partialId &&
-          mapping.source === mostRecentPartial.source
-      );
-
-      if (partialLines.length > 0) {
-        const lastPartialLine = partialLines[partialLines.length - 1];
-
-        // For "expected }" errors, if there are partials included,
-        // it's very likely the error is from a missing closing brace in a partial
-        // rather than the main block, especially if the main block is empty or simple
-        switch (mostRecentPartial.source) {
-          case "global_partial":
-            location = `Global Partial: ${mostRecentPartial.partialTitle}`;
-            sourceFile = `Global Partial "${mostRecentPartial.partialTitle}"`;
-            originalLine = mostRecentPartial.originalLine || compiledErrorLine;
-            break;
-          case "selected_partial":
-            location = `Included Partial: ${mostRecentPartial.partialTitle}`;
-            sourceFile = `Partial "${mostRecentPartial.partialTitle}"`;
-            originalLine = mostRecentPartial.originalLine || compiledErrorLine;
-            break;
-        }
-      } else {
-        // Fall back to normal logic
-        switch (lineInfo.source) {
-          case "global_partial":
-            location = `Global Partial: ${lineInfo.partialTitle}`;
-            sourceFile = `Global Partial "${lineInfo.partialTitle}"`;
-            originalLine = lineInfo.originalLine || compiledErrorLine;
-            break;
-          case "selected_partial":
-            location = `Included Partial: ${lineInfo.partialTitle}`;
-            sourceFile = `Partial "${lineInfo.partialTitle}"`;
-            originalLine = lineInfo.originalLine || compiledErrorLine;
-            break;
-          case "main_block":
-            location = "Main Block SCSS";
-            sourceFile = "Main Block SCSS";
-            originalLine = lineInfo.originalLine || compiledErrorLine;
-            break;
-        }
-      }
-    } else {
-      // No partials found, use normal logic
-      switch (lineInfo.source) {
-        case "global_partial":
-          location = `Global Partial: ${lineInfo.partialTitle}`;
-          sourceFile = `Global Partial "${lineInfo.partialTitle}"`;
-          originalLine = lineInfo.originalLine || compiledErrorLine;
-          break;
-        case "selected_partial":
-          location = `Included Partial: ${lineInfo.partialTitle}`;
-          sourceFile = `Partial "${lineInfo.partialTitle}"`;
-          originalLine = lineInfo.originalLine || compiledErrorLine;
-          break;
-        case "main_block":
-          location = "Main Block SCSS";
-          sourceFile = "Main Block SCSS";
-          originalLine = lineInfo.originalLine || compiledErrorLine;
-          break;
-      }
-    }
-  } else {
-    // Normal error handling for non-brace errors
-    switch (lineInfo.source) {
-      case "global_partial":
-        location = `Global Partial: ${lineInfo.partialTitle}`;
-        sourceFile = `Global Partial "${lineInfo.partialTitle}"`;
-        originalLine = lineInfo.originalLine || compiledErrorLine;
-        break;
-      case "selected_partial":
-        location = `Included Partial: ${lineInfo.partialTitle}`;
-        sourceFile = `Partial "${lineInfo.partialTitle}"`;
-        originalLine = lineInfo.originalLine || compiledErrorLine;
-        break;
-      case "main_block":
-        location = "Main Block SCSS";
-        sourceFile = "Main Block SCSS";
-        originalLine = lineInfo.originalLine || compiledErrorLine;
-        break;
-      case "comment":
-      case "spacing":
-        // For comments/spacing, look at the nearest actual content line
-        const nearbyLine = lineMap.find(
-          (mapping) =>
-            mapping.line >= compiledErrorLine &&
-            (mapping.source === "global_partial" ||
-              mapping.source === "selected_partial" ||
-              mapping.source === "main_block")
-        );
-        if (nearbyLine) {
-          switch (nearbyLine.source) {
-            case "global_partial":
-              location = `Global Partial: ${nearbyLine.partialTitle}`;
-              sourceFile = `Global Partial "${nearbyLine.partialTitle}"`;
-              break;
-            case "selected_partial":
-              location = `Included Partial: ${nearbyLine.partialTitle}`;
-              sourceFile = `Partial "${nearbyLine.partialTitle}"`;
-              break;
-            case "main_block":
-              location = "Main Block SCSS";
-              sourceFile = "Main Block SCSS";
-              break;
-          }
-          originalLine = nearbyLine.originalLine || compiledErrorLine;
-        }
-        break;
-    }
-  }
-
-  // Create new error message with correct line number and source
-  const newErrorMessage = `${mainError}
-   ╷
-${originalLine} │ (error line)
-   │  ^
-   ╵
-  - Line ${originalLine} in ${sourceFile}
-
-📍 Error location: ${location}`;
-
-  return newErrorMessage;
-}
-
 /**
  * Get SCSS content for a specific partial
  * @param {number} partialId - The partial post ID
@@ -399,203 +437,407 @@ async function getPartialScssContent(partialId) {
   return "";
 }
 
+
+/**
+ * Find the partial slugs a stylesheet loads with @use "partials/<slug>"
+ * @param {string} scss - SCSS source
+ * @returns {Array<string>} - Slugs
+ */
+function findPartialModules(scss) {
+  return [...scss.matchAll(PARTIAL_MODULE_RULE)].map((match) => match[1]);
+}
+
+/**
+ * Add the partials loaded as modules (and the ones they load in turn)
+ * @param {object} sources - Source URL -> SCSS, extended in place
+ * @param {object} origins - Source URL -> origin, extended in place
+ * @returns {Promise<object>} - Partial slug -> source URL
+ */
+async function addPartialModules(sources, origins) {
+  const partialModules = {};
+  const pending = Object.values(sources).flatMap(findPartialModules);
+  if (pending.length === 0) {
+    return partialModules;
+  }
+
+  const library = await centralizedApi.getScssPartials();
+  const partialsBySlug = {};
+  [
+    ...(library.globalPartials || []),
+    ...(library.availablePartials || []),
+  ].forEach((partial) => {
+    partialsBySlug[partial.slug] = partial;
+  });
+
+  while (pending.length > 0) {
+    const slug = pending.shift();
+    if (slug === THEME_TOKENS_SLUG) {
+      partialModules[slug] = THEME_TOKENS_URL; // Generated, already in sources
+      continue;
+    }
+
+    const partial = partialsBySlug[slug];
+    if (partialModules[slug] || !partial) {
+      continue; // Already loaded, or unknown - Sass reports the missing stylesheet
+    }
+
+    const url = `fancoolo:partial/${partial.id}`;
+    partialModules[slug] = url;
+
+    if (sources[url] === undefined) {
+      sources[url] = await getPartialScssContent(partial.id);
+      origins[url] = {
+        type: "module_partial",
+        partialId: partial.id,
+        partialTitle: partial.title,
+      };
+      pending.push(...findPartialModules(sources[url]));
+    }
+  }
+
+  return partialModules;
+}
+
 /**
- * Build the final SCSS with actual content instead of imports and track line mappings
+ * Build the in-memory sources for a compile: one per partial plus the block
+ * itself, pulled in by a small entry stylesheet. The generated theme tokens
+ * partial (see themeTokens.js) comes first. Partials load after the partials
+ * they depend on (see scssPartialGraph); otherwise global partials keep their
+ * global_order, followed by the selected partials and the block.
+ * Partials referenced with @use "partials/<slug>" are added as modules.
  * @param {string} userScss - User's SCSS code from Monaco
  * @param {Array} globalPartials - Global partials array
  * @param {Array} selectedPartials - Selected partials array
- * @returns {Promise<object>} - Object with finalScss string and lineMap array
+ * @returns {Promise<object>} - { scss, url, sources, partialModules, origins,
+ *   warnings } where origins maps each source URL to what it came from and
+ *   warnings lists dependency cycles as { message, url }
  */
-export async function buildFinalScss(
+export async function buildScssSources(
   userScss,
   globalPartials = [],
   selectedPartials = []
 ) {
-  const scssBlocks = [];
-  const lineMap = []; // Track which line belongs to which source
-  let currentLine = 1;
+  const sources = {};
+  const origins = {};
+  const included = [];
+
+  const addPartial = async (partial, kind) => {
+    const url = `fancoolo:partial/${partial.id}`;
+    if (sources[url] !== undefined) {
+      return; // Already pulled in as a global partial
+    }
+
+    const content = await getPartialScssContent(partial.id);
+    if (!content.trim()) {
+      return;
+    }
+
+    sources[url] = content;
+    origins[url] = {
+      type: kind,
+      partialId: partial.id,
+      partialTitle: partial.title,
+    };
+    included.push({
+      id: partial.id,
+      slug: partial.slug,
+      title: partial.title,
+      scss: content,
+      url,
+    });
+  };
 
-  // Add global partials first (sorted by global_order)
   const sortedGlobalPartials = [...globalPartials].sort(
     (a, b) => a.global_order - b.global_order
   );
   for (const partial of sortedGlobalPartials) {
-    const content = await getPartialScssContent(partial.id);
-    if (content.trim()) {
-      // Add comment line
-      scssBlocks.push(`// Global partial: ${partial.title}`);
-      lineMap.push({
-        line: currentLine++,
-        source: "comment",
-        partialTitle: partial.title,
-      });
-
-      // Add content lines
-      const contentLines = content.split("\n");
-      for (let i = 0; i < contentLines.length; i++) {
-        scssBlocks.push(contentLines[i]);
-        lineMap.push({
-          line: currentLine++,
-          source: "global_partial",
-          partialTitle: partial.title,
-          partialId: partial.id,
-          originalLine: i + 1, // Track original line number in the partial
-        });
-      }
-
-      // Add empty line
-      scssBlocks.push("");
-      lineMap.push({ line: currentLine++, source: "spacing" });
-    }
+    await addPartial(partial, "global_partial");
   }
 
-  // Add selected partials (sorted by order)
   const sortedSelectedPartials = [...selectedPartials].sort(
     (a, b) => a.order - b.order
   );
   for (const partial of sortedSelectedPartials) {
-    const content = await getPartialScssContent(partial.id);
-    if (content.trim()) {
-      // Add comment line
-      scssBlocks.push(`// Selected partial: ${partial.title}`);
-      lineMap.push({
-        line: currentLine++,
-        source: "comment",
-        partialTitle: partial.title,
-      });
+    await addPartial(partial, "selected_partial");
+  }
 
-      // Add content lines
-      const contentLines = content.split("\n");
-      for (let i = 0; i < contentLines.length; i++) {
-        scssBlocks.push(contentLines[i]);
-        lineMap.push({
-          line: currentLine++,
-          source: "selected_partial",
-          partialTitle: partial.title,
-          partialId: partial.id,
-          originalLine: i + 1, // Track original line number in the partial
-        });
-      }
+  const { order, graph } = orderPartials(included);
+  const warnings = graph.cycles.map((cycle) => ({
+    message: `Circular dependency between partials: ${describeCycle(
+      cycle,
+      graph.nodes
+    )}. They load in their manual order, which may fail.`,
+    url: `fancoolo:partial/${cycle[0]}`,
+  }));
+
+  sources[THEME_TOKENS_URL] = buildThemeTokensScss(await getThemeTokens());
+  origins[THEME_TOKENS_URL] = {
+    type: "theme_tokens",
+    partialTitle: "Theme Tokens",
+  };
 
-      // Add empty line
-      scssBlocks.push("");
-      lineMap.push({ line: currentLine++, source: "spacing" });
-    }
-  }
+  const imports = [THEME_TOKENS_URL, ...order.map((partial) => partial.url)];
 
-  // Add user's block styles
-  if (userScss && userScss.trim()) {
-    // Add comment line
-    scssBlocks.push("// Block styles");
-    lineMap.push({ line: currentLine++, source: "comment" });
-
-    // Add user SCSS lines
-    const userLines = userScss.split("\n");
-    for (let i = 0; i < userLines.length; i++) {
-      scssBlocks.push(userLines[i]);
-      lineMap.push({
-        line: currentLine++,
-        source: "main_block",
-        originalLine: i + 1, // Track original line number in main block
-      });
-    }
-  }
+  sources[MAIN_SOURCE_URL] = userScss;
+  origins[MAIN_SOURCE_URL] = { type: "main_block" };
+  imports.push(MAIN_SOURCE_URL);
 
-  const finalScss = scssBlocks.join("\n");
+  const partialModules = await addPartialModules(sources, origins);
 
   return {
-    finalScss: finalScss,
-    lineMap: lineMap,
+    scss: imports.map((url) => `@import "${url}";`).join("\n"),
+    url: ENTRY_SOURCE_URL,
+    sources,
+    partialModules,
+    origins,
+    warnings,
   };
 }
 
 /**
- * Compile SCSS to CSS with partials support
+ * Turn a Sass span into a diagnostic with 1-based, Monaco-style positions
+ * @param {string} severity - "error", "warning" or "info"
+ * @param {string} message - Sass message
+ * @param {object|null} span - Serialized span ({ url, start, end }, 0-based)
+ * @param {object} origins - Source URL -> origin (from buildScssSources)
+ * @returns {object} - Diagnostic
+ */
+function toDiagnostic(severity, message, span, origins) {
+  const origin = (span?.url && origins[span.url]) || origins[MAIN_SOURCE_URL];
+  // Problems in the entry stylesheet can't be placed - show them on line 1
+  const inSource = Boolean(span?.url && origins[span.url]);
+
+  const startLine = inSource ? span.start.line + 1 : 1;
+  const startColumn = inSource ? span.start.column + 1 : 1;
+  let endLine = inSource ? span.end.line + 1 : 1;
+  let endColumn = inSource ? span.end.column + 1 : 1;
+
+  if (endLine === startLine && endColumn <= startColumn) {
+    endColumn = startColumn + 1; // Zero-width spans wouldn't be visible
+  }
+
+  return {
+    severity,
+    message,
+    ...origin,
+    startLine,
+    startColumn,
+    endLine,
+    endColumn,
+  };
+}
+
+/**
+ * Span covering the start of a source, for problems without a position
+ * @param {string} url - Source URL
+ * @returns {object} - Serialized span
+ */
+function toFirstLineSpan(url) {
+  const start = { line: 0, column: 0 };
+  return { url, start, end: start };
+}
+
+/**
+ * Describe where a diagnostic is, for toast messages
+ * @param {object} diagnostic - Diagnostic from toDiagnostic
+ * @returns {string} - Error message with location
+ */
+function formatDiagnostic(diagnostic) {
+  let location = "Main Block SCSS";
+  let sourceFile = "Main Block SCSS";
+
+  if (diagnostic.type === "global_partial") {
+    location = `Global Partial: ${diagnostic.partialTitle}`;
+    sourceFile = `Global Partial "${diagnostic.partialTitle}"`;
+  } else if (
+    diagnostic.type === "selected_partial" ||
+    diagnostic.type === "module_partial"
+  ) {
+    location = `Included Partial: ${diagnostic.partialTitle}`;
+    sourceFile = `Partial "${diagnostic.partialTitle}"`;
+  } else if (diagnostic.type === "theme_tokens") {
+    location = "Theme Tokens (generated from theme.json)";
+    sourceFile = "Theme Tokens";
+  }
+
+  return `${diagnostic.message}
+  - Line ${diagnostic.startLine} in ${sourceFile}
+
+📍 Error location: ${location}`;
+}
+
+/**
+ * Autoprefix/minify settings from Settings > CSS Processing
+ * @returns {object|null} { autoprefix, targets, output } or null
+ */
+function getCssProcessingSettings() {
+  return window.funculoSettings?.settings?.cssProcessing || null;
+}
+
+/**
+ * Compile SCSS to CSS with partials support, returning diagnostics
  * @param {string} scssCode - The SCSS code to compile
  * @param {number} postId - The block post ID (for fetching partials)
  * @param {object} currentPartials - Optional current partials data to avoid API fetch
- * @returns {Promise<string>} - The compiled CSS
+ * @param {object} options - Optional compile options
+ * @param {string} options.key - Compile key; a newer compile with the same key
+ *   cancels this one, which then rejects with an AbortError
+ * @param {AbortSignal} options.signal - Cancels the compile (AbortError)
+ * @param {boolean} options.cache - Reuse/store results in the compile cache
+ * @param {string} options.scope - Selector every rule is put inside (scoped
+ *   styles, see getStyleScope); :global(x) opts out
+ * @returns {Promise<object>} - { css, sourceMap, origins, diagnostics, cached }
+ *   where origins maps the source map's URLs to partials. Compile errors are
+ *   thrown with the failing diagnostic in error.diagnostics
  */
-export async function compileScss(
+export async function compileScssWithDiagnostics(
   scssCode,
   postId = null,
-  currentPartials = null
+  currentPartials = null,
+  options = {}
 ) {
   if (!scssCode || !scssCode.trim()) {
-    return scssCode || "";
+    return {
+      css: scssCode || "",
+      sourceMap: null,
+      origins: {},
+      diagnostics: [],
+      cached: false,
+    };
   }
 
-  let finalScss = scssCode;
+  const { key = null, signal = null, cache = true, scope = null } = options;
+  const controller = startCompile(key, signal);
+
+  let origins = { [MAIN_SOURCE_URL]: { type: "main_block" } };
+  let orderDiagnostics = [];
 
   try {
-    // Initialize SCSS compiler if not already done
-    if (!sassCompiler) {
-      await initScssCompiler();
+    let globalPartials = [];
+    let selectedPartials = [];
+
+    if (currentPartials) {
+      // Use provided current partials data (for real-time compilation)
+      globalPartials = currentPartials.globalPartials || [];
+      selectedPartials = currentPartials.selectedPartials || [];
+    } else if (postId) {
+      // Fetch from API (for initial load or when no current data available)
+      const partialsData = await getBlockPartials(postId);
+      globalPartials = partialsData.globalPartials || [];
+      selectedPartials = partialsData.selectedPartials || [];
     }
 
-    // If postId or currentPartials is provided, get partials and build final SCSS
-    if (postId || currentPartials) {
-      let globalPartials = [];
-      let selectedPartials = [];
-
-      if (currentPartials) {
-        // Use provided current partials data (for real-time compilation)
-        globalPartials = currentPartials.globalPartials || [];
-        selectedPartials = currentPartials.selectedPartials || [];
-      } else {
-        // Fetch from API (for initial load or when no current data available)
-        const partialsData = await getBlockPartials(postId);
-        globalPartials = partialsData.globalPartials || [];
-        selectedPartials = partialsData.selectedPartials || [];
+    const request = await buildScssSources(
+      scssCode,
+      globalPartials,
+      selectedPartials
+    );
+    origins = request.origins;
+    orderDiagnostics = request.warnings.map(({ message, url }) =>
+      toDiagnostic("warning", message, toFirstLineSpan(url), origins)
+    );
+
+    const compileRequest = {
+      scss: request.scss,
+      url: request.url,
+      sources: request.sources,
+      partialModules: request.partialModules,
+      options: { style: "expanded" },
+      postprocess: scope
+        ? { ...getCssProcessingSettings(), scope }
+        : getCssProcessingSettings(),
+    };
+
+    const cacheKey = cache ? await scssCompileCache.keyFor(compileRequest) : null;
+    let result = cacheKey ? await scssCompileCache.get(cacheKey) : null;
+    const cached = Boolean(result);
+
+    throwIfAborted(controller.signal);
+
+    if (!result) {
+      // Initialize SCSS compiler if not already done
+      if (!sassCompiler) {
+        await initScssCompiler();
       }
 
-      if (globalPartials.length > 0 || selectedPartials.length > 0) {
-        const buildResult = await buildFinalScss(
-          scssCode,
-          globalPartials,
-          selectedPartials
-        );
-        finalScss = buildResult.finalScss;
-        window._scssLineMap = buildResult.lineMap; // Store for error analysis
-      } else {
-        // Still create a line map for main block only
-        const userLines = scssCode.split("\n");
-        const lineMap = [];
-        for (let i = 0; i < userLines.length; i++) {
-          lineMap.push({
-            line: i + 1,
-            source: "main_block",
-            originalLine: i + 1,
-          });
-        }
-        window._scssLineMap = lineMap;
+      result = await sassCompiler.compileString(
+        compileRequest,
+        controller.signal
+      );
+
+      if (cacheKey) {
+        scssCompileCache.set(cacheKey, result);
       }
     }
 
-    // Compile final SCSS to CSS
-    const result = await sassCompiler.compileString(finalScss, {
-      style: "expanded",
-    });
-
-    return result.css;
+    return {
+      css: result.css,
+      sourceMap: result.sourceMap,
+      origins,
+      diagnostics: [
+        ...orderDiagnostics,
+        ...result.warnings.map((warning) =>
+          toDiagnostic(warning.severity, warning.message, warning.span, origins)
+        ),
+      ],
+      cached,
+    };
   } catch (error) {
-    console.error("❌ SCSS compilation failed:", error.message);
+    if (isAbortError(error)) {
+      throw error; // Superseded by a newer compile - not a SCSS error
+    }
 
-    // Try to determine which file/section the error is in
-    let enhancedError = error.message;
+    console.error("❌ SCSS compilation failed:", error.message);
 
-    if (postId || currentPartials) {
-      enhancedError = analyzeScssError(error.message, finalScss);
+    if (!error.span && !error.sassMessage) {
+      throw error; // Not a Sass error (compiler failed to load, fetch failed...)
     }
 
-    // Create a new error with enhanced message
-    const newError = new Error(enhancedError);
+    const diagnostic = toDiagnostic(
+      "error",
+      error.sassMessage || error.message,
+      error.span,
+      origins
+    );
+
+    // Create a new error with the location in the original source
+    const newError = new Error(formatDiagnostic(diagnostic));
     newError.originalError = error;
+    // A dependency cycle is a likely cause, so it is listed too
+    newError.diagnostics = [diagnostic, ...orderDiagnostics];
     throw newError;
+  } finally {
+    if (key && activeCompiles.get(key) === controller) {
+      activeCompiles.delete(key);
+    }
   }
 }
 
+/**
+ * Compile SCSS to CSS with partials support
+ * @param {string} scssCode - The SCSS code to compile
+ * @param {number} postId - The block post ID (for fetching partials)
+ * @param {object} currentPartials - Optional current partials data to avoid API fetch
+ * @param {object} options - Optional compile options ({ key, signal, scope })
+ * @returns {Promise<string>} - The compiled CSS
+ */
+export async function compileScss(
+  scssCode,
+  postId = null,
+  currentPartials = null,
+  options = {}
+) {
+  const result = await compileScssWithDiagnostics(
+    scssCode,
+    postId,
+    currentPartials,
+    options
+  );
+  return result.css;
+}
+
 export default {
   compileScss,
+  compileScssWithDiagnostics,
   initScssCompiler,
 };
@@ -0,0 +1,459 @@
+/**
+ * SCSS Lint - Style checks for block and partial SCSS
+ *
+ * Runs in the browser on every edit, so it uses a small tokenizer instead of
+ * a full parser: it splits the source into blocks and statements (skipping
+ * comments, strings and #{} interpolation) and the rules work on those.
+ * Results are diagnostics in the same shape as compile errors, ready to be
+ * shown as Monaco markers.
+ *
+ * Rules, their severity ("off", "warning", "error") and limits come from
+ * Settings → SCSS Lint (window.funculoSettings.settings.scssLint).
+ */
+
+import { getWrapperClass, hasScopedStyles } from "./styleScope.js";
+
+export const LINT_RULES = {
+  "unscoped-selector": "Selectors not scoped to the block wrapper",
+  important: "Too many !important declarations",
+  "unknown-property": "Unknown CSS properties",
+  "duplicate-selector": "Duplicate selectors",
+  "nesting-depth": "Excessive nesting depth",
+  "hardcoded-color": "Hard-coded colours instead of partial variables",
+};
+
+// Same as PluginSettings::defaults
+export const DEFAULT_LINT_SETTINGS = {
+  enabled: true,
+  blockSave: false,
+  maxNestingDepth: 3,
+  maxImportant: 2,
+  rules: {
+    "unscoped-selector": "warning",
+    important: "warning",
+    "unknown-property": "warning",
+    "duplicate-selector": "warning",
+    "nesting-depth": "warning",
+    "hardcoded-color": "warning",
+  },
+};
+
+// At-rules whose contents aren't styles of the block
+const DEFINITION_AT_RULES = ["mixin", "function", "keyframes"];
+// At-rules that may repeat selectors on purpose (branches, loops)
+const CONTROL_AT_RULES = ["mixin", "function", "if", "else", "each", "for", "while"];
+// At-rules holding descriptors rather than properties
+const DESCRIPTOR_AT_RULES = ["font-face", "page", "property", "counter-style"];
+
+const COLOR_LITERAL =
+  /(?<![\w&-])#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\((?![^)]*(?:\$|var\())[^)]*\)/gi;
+
+/**
+ * Get the lint settings merged over the defaults
+ * @returns {object} Lint settings
+ */
+export function getLintSettings() {
+  const stored = window.funculoSettings?.settings?.scssLint || {};
+  return {
+    ...DEFAULT_LINT_SETTINGS,
+    ...stored,
+    rules: { ...DEFAULT_LINT_SETTINGS.rules, ...stored.rules },
+  };
+}
+
+/**
+ * Split SCSS into blocks and statements
+ * @param {string} scss SCSS source
+ * @returns {Array<object>} Nodes { type, text, offset, parent } where type is
+ *   "rule", "atrule", "property-block", "decl", "variable" or "statement"
+ */
+function tokenize(scss) {
+  const nodes = [];
+  const stack = [];
+  let buffer = "";
+  let bufferStart = 0;
+  let parens = 0;
+
+  const flush = (isBlock) => {
+    const leading = buffer.length - buffer.trimStart().length;
+    const text = buffer.trim();
+    const offset = bufferStart + leading;
+    buffer = "";
+
+    if (!text) {
+      return null;
+    }
+
+    const parent = stack[stack.length - 1] || null;
+    let node;
+    if (isBlock) {
+      const atRule = text.match(/^@([\w-]+)/);
+      if (atRule) {
+        node = { type: "atrule", name: atRule[1], text, offset, parent };
+      } else if (/^[\w-]+\s*:$/.test(text)) {
+        // Nested properties: "font: { family: ...; }"
+        node = { type: "property-block", text, offset, parent };
+      } else {
+        node = { type: "rule", text, offset, parent };
+      }
+    } else if (text.startsWith("$")) {
+      node = { type: "variable", text, offset, parent };
+    } else if (text.startsWith("@") || !text.includes(":")) {
+      node = { type: "statement", text, offset, parent };
+    } else {
+      const colon = text.indexOf(":");
+      node = {
+        type: "decl",
+        text,
+        offset,
+        parent,
+        prop: text.slice(0, colon).trim(),
+        valueOffset: offset + colon + 1,
+        value: text.slice(colon + 1),
+      };
+    }
+
+    nodes.push(node);
+    return node;
+  };
+
+  const append = (text, start) => {
+    if (!buffer) {
+      bufferStart = start;
+    }
+    buffer += text;
+  };
+
+  let i = 0;
+  while (i < scss.length) {
+    const char = scss[i];
+    const next = scss[i + 1];
+
+    // Comments become spaces so offsets inside statements stay right
+    if (char === "/" && next === "*") {
+      const end = scss.indexOf("*/", i + 2);
+      const stop = end === -1 ? scss.length : end + 2;
+      append(scss.slice(i, stop).replace(/[^\n]/g, " "), i);
+      i = stop;
+      continue;
+    }
+    if (char === "/" && next === "/" && scss[i - 1] !== ":") {
+      const end = scss.indexOf("\n", i);
+      const stop = end === -1 ? scss.length : end;
+      append(" ".repeat(stop - i), i);
+      i = stop;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let end = i + 1;
+      while (end < scss.length && scss[end] !== char && scss[end] !== "\n") {
+        end += scss[end] === "\\" ? 2 : 1;
+      }
+      append(scss.slice(i, end + 1), i);
+      i = end + 1;
+      continue;
+    }
+
+    if (char === "#" && next === "{") {
+      let depth = 0;
+      let end = i + 1;
+      for (; end < scss.length; end++) {
+        if (scss[end] === "{") depth++;
+        if (scss[end] === "}" && --depth === 0) break;
+      }
+      append(scss.slice(i, end + 1), i);
+      i = end + 1;
+      continue;
+    }
+
+    if (char === "(") parens++;
+    if (char === ")" && parens > 0) parens--;
+
+    if (parens === 0 && char === "{") {
+      const node = flush(true);
+      stack.push(node || { type: "rule", text: "", offset: i, parent: null });
+    } else if (parens === 0 && char === ";") {
+      flush(false);
+    } else if (parens === 0 && char === "}") {
+      flush(false);
+      stack.pop();
+    } else {
+      append(char, i);
+    }
+    i++;
+  }
+  flush(false);
+
+  return nodes;
+}
+
+const ancestors = (node) => {
+  const list = [];
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    list.push(parent);
+  }
+  return list;
+};
+
+const insideAtRule = (node, names) =>
+  ancestors(node).some(
+    (parent) => parent.type === "atrule" && names.includes(parent.name)
+  );
+
+// Split a selector list on top-level commas
+const splitSelectors = (selector) => {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of selector) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+};
+
+// "&:hover", "&::before" - same element, not a nesting level
+const isPseudoOnly = (rule) =>
+  splitSelectors(rule.text).every((part) => /^&::?[\w-]/.test(part));
+
+const knownProperties = new Map();
+
+/**
+ * Whether the browser knows a CSS property
+ * @param {string} property Property name
+ * @returns {boolean} True when known (or when it can't be checked)
+ */
+function isKnownProperty(property) {
+  if (typeof CSS === "undefined" || typeof CSS.supports !== "function") {
+    return true;
+  }
+  if (!knownProperties.has(property)) {
+    knownProperties.set(property, CSS.supports(property, "initial"));
+  }
+  return knownProperties.get(property);
+}
+
+/**
+ * Lint SCSS
+ * @param {string} scss SCSS source
+ * @param {object} options
+ * @param {boolean} options.isPartial Linting a partial (no wrapper, colours
+ *   may be defined in variables)
+ * @param {string} options.wrapperClass Block wrapper class, without the dot
+ * @param {object} options.settings Lint settings (default: getLintSettings())
+ * @returns {Array<object>} Diagnostics { severity, message, source, code,
+ *   startLine, startColumn, endLine, endColumn } with 1-based positions
+ */
+export function lintScss(scss, { isPartial = false, wrapperClass = null, settings = getLintSettings() } = {}) {
+  if (!scss || !settings.enabled) {
+    return [];
+  }
+
+  const lineStarts = [0];
+  for (let i = 0; i < scss.length; i++) {
+    if (scss[i] === "\n") lineStarts.push(i + 1);
+  }
+  const toPosition = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+
+  const diagnostics = [];
+  const report = (rule, message, offset, length) => {
+    const severity = settings.rules[rule];
+    if (!severity || severity === "off") return;
+
+    const start = toPosition(offset);
+    const end = toPosition(offset + Math.max(length, 1));
+    diagnostics.push({
+      severity,
+      message,
+      source: "scss-lint",
+      code: rule,
+      startLine: start.line,
+      startColumn: start.column,
+      endLine: end.line,
+      endColumn: end.column,
+    });
+  };
+
+  const nodes = tokenize(scss);
+  const rules = nodes.filter((node) => node.type === "rule");
+  const declarations = nodes.filter((node) => node.type === "decl");
+
+  // Top-level selectors must start with the wrapper class
+  if (!isPartial && wrapperClass) {
+    const scoped = new RegExp(`^\\.${wrapperClass}(?![\\w-])`);
+    rules
+      .filter(
+        (rule) =>
+          !ancestors(rule).some((parent) => parent.type === "rule") &&
+          !insideAtRule(rule, DEFINITION_AT_RULES) &&
+          !rule.text.startsWith("%") &&
+          !rule.text.includes("#{")
+      )
+      .forEach((rule) => {
+        const unscoped = splitSelectors(rule.text).filter(
+          (part) => !scoped.test(part)
+        );
+        if (unscoped.length > 0) {
+          report(
+            "unscoped-selector",
+            `Selector "${unscoped[0]}" is not scoped to .${wrapperClass}`,
+            rule.offset,
+            rule.text.length
+          );
+        }
+      });
+  }
+
+  // !important overuse
+  const important = declarations.filter((decl) => /!\s*important/i.test(decl.value));
+  if (important.length > settings.maxImportant) {
+    important.forEach((decl) => {
+      const index = decl.value.search(/!\s*important/i);
+      report(
+        "important",
+        `!important used ${important.length} times (max ${settings.maxImportant})`,
+        decl.valueOffset + index,
+        decl.value.slice(index).trimEnd().length
+      );
+    });
+  }
+
+  // Unknown properties - custom properties, vendor prefixes and interpolated
+  // names can't be checked
+  declarations
+    .filter(
+      (decl) =>
+        decl.parent?.type !== "property-block" &&
+        !insideAtRule(decl, DESCRIPTOR_AT_RULES) &&
+        /^[a-z][a-z-]*$/i.test(decl.prop)
+    )
+    .forEach((decl) => {
+      if (!isKnownProperty(decl.prop.toLowerCase())) {
+        report(
+          "unknown-property",
+          `Unknown property "${decl.prop}"`,
+          decl.offset,
+          decl.prop.length
+        );
+      }
+    });
+
+  // Duplicate selectors in the same context
+  const seen = new Map();
+  rules
+    .filter((rule) => rule.text && !insideAtRule(rule, CONTROL_AT_RULES))
+    .forEach((rule) => {
+      const context = ancestors(rule)
+        .reverse()
+        .map((parent) => parent.text)
+        .join(" › ");
+      const selector = splitSelectors(rule.text.replace(/\s+/g, " "))
+        .sort()
+        .join(",");
+      const key = `${context} › ${selector}`;
+
+      if (seen.has(key)) {
+        report(
+          "duplicate-selector",
+          `Duplicate selector "${rule.text}" - first used on line ${toPosition(seen.get(key)).line}`,
+          rule.offset,
+          rule.text.length
+        );
+      } else {
+        seen.set(key, rule.offset);
+      }
+    });
+
+  // Nesting depth - reported once, at the first level that is too deep
+  rules.forEach((rule) => {
+    const depth = ancestors(rule).filter(
+      (parent) => parent.type === "rule" && !isPseudoOnly(parent)
+    ).length;
+    if (depth === settings.maxNestingDepth + 1 && !isPseudoOnly(rule)) {
+      report(
+        "nesting-depth",
+        `Nested ${depth} levels deep (max ${settings.maxNestingDepth})`,
+        rule.offset,
+        rule.text.length
+      );
+    }
+  });
+
+  // Hard-coded colours - partials may define them in variables
+  nodes
+    .filter(
+      (node) => node.type === "decl" || (!isPartial && node.type === "variable")
+    )
+    .forEach((node) => {
+      const valueOffset =
+        node.type === "decl" ? node.valueOffset : node.offset + node.text.indexOf(":") + 1;
+      const value = scss.slice(valueOffset, node.offset + node.text.length);
+
+      for (const match of value.matchAll(COLOR_LITERAL)) {
+        report(
+          "hardcoded-color",
+          `Hard-coded colour ${match[0]} - use a variable from a partial`,
+          valueOffset + match.index,
+          match[0].length
+        );
+      }
+    });
+
+  return diagnostics.sort(
+    (a, b) => a.startLine - b.startLine || a.startColumn - b.startColumn
+  );
+}
+
+/**
+ * Lint the SCSS fields of a post
+ * @param {object} post Selected post (type from its terms, slug for the wrapper)
+ * @param {object} metaData Current (unsaved) meta
+ * @param {object} settings Lint settings (default: getLintSettings())
+ * @returns {object} Field -> diagnostics ({ scss, editorScss } for blocks,
+ *   { scss } for partials, {} otherwise)
+ */
+export function lintPost(post, metaData, settings = getLintSettings()) {
+  const type = post?.terms?.[0]?.slug;
+
+  if (type === "blocks") {
+    // Scoped styles get the wrapper when compiled
+    const wrapperClass = hasScopedStyles(metaData?.blocks)
+      ? null
+      : getWrapperClass(post.slug);
+    return {
+      scss: lintScss(metaData?.blocks?.scss, { wrapperClass, settings }),
+      editorScss: lintScss(metaData?.blocks?.editorScss, { wrapperClass, settings }),
+    };
+  }
+
+  if (type === "scss-partials") {
+    return {
+      scss: lintScss(metaData?.scss_partials?.scss, { isPartial: true, settings }),
+    };
+  }
+
+  return {};
+}
+
+export default {
+  lintScss,
+  lintPost,
+  getLintSettings,
+};
@@ -0,0 +1,307 @@
+/**
+ * SCSS Partial Graph - Dependencies between partials
+ *
+ * Partials pulled in with @import share one global scope, so a partial that
+ * uses another one's variables, mixins or functions has to load after it.
+ * Dependencies are detected from the SCSS (top-level definitions in one
+ * partial, references in another) or declared with a comment:
+ *
+ *   // @requires variables, mixins
+ *
+ * The graph orders partials topologically, keeping the manual order for
+ * partials that don't depend on each other, and reports cycles.
+ */
+
+// "// @requires slug, other-slug"
+const REQUIRES_DIRECTIVE = /\/\/\s*@requires\s+([\w\s,-]+)/g;
+
+// Sass treats "-" and "_" in names as the same character
+const normalizeName = (name) => name.replace(/_/g, "-");
+
+/**
+ * Remove comments, keeping offsets and line breaks intact
+ * @param {string} scss SCSS source
+ * @returns {string} SCSS with comments blanked out
+ */
+function stripComments(scss) {
+  return scss
+    .replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, " "))
+    .replace(/(^|[^:])\/\/[^\n]*/g, (match, before) =>
+      before + " ".repeat(match.length - before.length)
+    );
+}
+
+/**
+ * Nesting depth (braces and parentheses) at every offset, so top-level
+ * definitions can be told apart from locals, parameters and map keys
+ * @param {string} scss SCSS without comments
+ * @returns {Uint16Array} Depth per character
+ */
+function nestingDepths(scss) {
+  const depths = new Uint16Array(scss.length);
+  let depth = 0;
+  for (let i = 0; i < scss.length; i++) {
+    if ((scss[i] === "}" || scss[i] === ")") && depth > 0) depth--;
+    depths[i] = depth;
+    if (scss[i] === "{" || scss[i] === "(") depth++;
+  }
+  return depths;
+}
+
+const matchNames = (scss, pattern, filter = () => true) => {
+  const names = new Set();
+  for (const match of scss.matchAll(pattern)) {
+    if (filter(match)) {
+      names.add(normalizeName(match[1]));
+    }
+  }
+  return names;
+};
+
+/**
+ * Find what a partial defines, what it references and what it requires
+ * @param {string} scss Partial SCSS
+ * @returns {object} { defines, uses, requires } - defines and uses hold
+ *   Sets of names per kind (variables, mixins, functions), requires holds
+ *   the slugs from @requires comments
+ */
+export function analyzePartial(scss = "") {
+  const requires = [...scss.matchAll(REQUIRES_DIRECTIVE)].flatMap((match) =>
+    match[1]
+      .split(/[\s,]+/)
+      .map((slug) => slug.trim())
+      .filter(Boolean)
+  );
+
+  const code = stripComments(scss);
+  const depths = nestingDepths(code);
+  const isTopLevel = (match) => depths[match.index] === 0;
+
+  // Parameters and loop variables are local - they never come from another partial
+  const locals = new Set();
+  for (const match of code.matchAll(
+    /@(?:mixin|function)\s+[\w-]+\s*\(([^)]*)\)|@(?:each|for)\s+([^{]*?)\s(?:in|from)\s/g
+  )) {
+    for (const name of (match[1] || match[2]).matchAll(/\$([\w-]+)/g)) {
+      locals.add(normalizeName(name[1]));
+    }
+  }
+
+  const declaredVariables = matchNames(code, /\$([\w-]+)\s*:(?!:)/g);
+  const defines = {
+    variables: matchNames(code, /\$([\w-]+)\s*:(?!:)/g, isTopLevel),
+    mixins: matchNames(code, /@mixin\s+([\w-]+)/g, isTopLevel),
+    functions: matchNames(code, /@function\s+([\w-]+)/g, isTopLevel),
+  };
+
+  const notOwn = (own, local = new Set()) => (names) =>
+    new Set([...names].filter((name) => !own.has(name) && !local.has(name)));
+
+  const uses = {
+    variables: notOwn(declaredVariables, locals)(
+      matchNames(code, /\$([\w-]+)(?![\w-])(?!\s*:(?!:))/g)
+    ),
+    // Namespaced calls (ns.name) come from modules, not from the global scope
+    mixins: notOwn(defines.mixins)(
+      matchNames(code, /@include\s+([\w-]+)(?![\w.-])/g)
+    ),
+    functions: notOwn(defines.functions)(
+      matchNames(
+        code,
+        /(?<![\w$%@.-])(?<!@(?:include|mixin|function)\s+)([a-zA-Z_][\w-]*)\(/g
+      )
+    ),
+  };
+
+  return { defines, uses, requires };
+}
+
+const SYMBOL_LABELS = {
+  variables: (name) => `$${name}`,
+  mixins: (name) => `@include ${name}`,
+  functions: (name) => `${name}()`,
+};
+
+/**
+ * Build the dependency graph of a set of partials
+ * @param {Array} partials [{ id, slug, title, scss }]
+ * @returns {object} { nodes, cycles } - nodes maps partial id to
+ *   { id, slug, title, dependencies: [{ id, declared, symbols }],
+ *   dependents: [ids], missing: [slugs] }; cycles lists the partial ids of
+ *   every dependency cycle
+ */
+export function buildPartialGraph(partials) {
+  const analyses = partials.map((partial) => ({
+    partial,
+    ...analyzePartial(partial.scss || ""),
+  }));
+
+  // kind -> name -> ids of the partials defining it
+  const definitions = { variables: {}, mixins: {}, functions: {} };
+  analyses.forEach(({ partial, defines }) => {
+    Object.keys(definitions).forEach((kind) => {
+      defines[kind].forEach((name) => {
+        (definitions[kind][name] ||= []).push(partial.id);
+      });
+    });
+  });
+
+  const idsBySlug = {};
+  partials.forEach((partial) => {
+    if (partial.slug) {
+      idsBySlug[partial.slug] = partial.id;
+    }
+  });
+
+  const nodes = {};
+  analyses.forEach(({ partial, uses, requires }) => {
+    const dependencies = new Map();
+    const dependencyFor = (id) => {
+      if (!dependencies.has(id)) {
+        dependencies.set(id, { id, declared: false, symbols: [] });
+      }
+      return dependencies.get(id);
+    };
+
+    const missing = [];
+    requires.forEach((slug) => {
+      const id = idsBySlug[slug];
+      if (id === undefined) {
+        missing.push(slug);
+      } else if (id !== partial.id) {
+        dependencyFor(id).declared = true;
+      }
+    });
+
+    Object.keys(definitions).forEach((kind) => {
+      uses[kind].forEach((name) => {
+        (definitions[kind][name] || [])
+          .filter((id) => id !== partial.id)
+          .forEach((id) => {
+            dependencyFor(id).symbols.push(SYMBOL_LABELS[kind](name));
+          });
+      });
+    });
+
+    nodes[partial.id] = {
+      id: partial.id,
+      slug: partial.slug,
+      title: partial.title,
+      dependencies: [...dependencies.values()],
+      dependents: [],
+      missing,
+    };
+  });
+
+  Object.values(nodes).forEach((node) => {
+    node.dependencies.forEach(({ id }) => nodes[id].dependents.push(node.id));
+  });
+
+  return {
+    nodes,
+    cycles: findCycles(
+      partials.map((partial) => partial.id),
+      nodes
+    ),
+  };
+}
+
+/**
+ * Strongly connected components with more than one partial (Tarjan)
+ * @param {Array} ids Partial ids, in manual order
+ * @param {object} nodes Graph nodes from buildPartialGraph
+ * @returns {Array<Array>} Cycles, each listed in manual order
+ */
+function findCycles(ids, nodes) {
+  const position = new Map(ids.map((id, index) => [id, index]));
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  const visit = (id) => {
+    index.set(id, counter);
+    lowLink.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+
+    nodes[id].dependencies.forEach(({ id: dependencyId }) => {
+      if (!index.has(dependencyId)) {
+        visit(dependencyId);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(dependencyId)));
+      } else if (onStack.has(dependencyId)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(dependencyId)));
+      }
+    });
+
+    if (lowLink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1) {
+        cycles.push(
+          component.sort((a, b) => position.get(a) - position.get(b))
+        );
+      }
+    }
+  };
+
+  ids.forEach((id) => {
+    if (!index.has(id)) {
+      visit(id);
+    }
+  });
+
+  return cycles;
+}
+
+/**
+ * Order partials so every partial loads after its dependencies
+ * Partials without a dependency between them keep their manual order, and
+ * a cycle is broken by loading its earliest partial (in manual order) first.
+ * @param {Array} partials [{ id, slug, title, scss }] in manual order
+ * @returns {object} { order, graph } - order holds the partials, sorted
+ */
+export function orderPartials(partials) {
+  const graph = buildPartialGraph(partials);
+  const remaining = new Set(partials.map((partial) => partial.id));
+  const order = [];
+
+  const isReady = (partial) =>
+    graph.nodes[partial.id].dependencies.every(({ id }) => !remaining.has(id));
+
+  while (remaining.size > 0) {
+    const pending = partials.filter((partial) => remaining.has(partial.id));
+    const next = pending.find(isReady) || pending[0];
+    order.push(next);
+    remaining.delete(next.id);
+  }
+
+  return { order, graph };
+}
+
+/**
+ * Describe a cycle for messages ("Variables → Mixins → Variables")
+ * @param {Array} cycle Partial ids
+ * @param {object} nodes Graph nodes from buildPartialGraph
+ * @returns {string} Description
+ */
+export function describeCycle(cycle, nodes) {
+  const titles = cycle.map((id) => nodes[id]?.title || `#${id}`);
+  return [...titles, titles[0]].join(" → ");
+}
+
+export default {
+  analyzePartial,
+  buildPartialGraph,
+  orderPartials,
+  describeCycle,
+};
@@ -0,0 +1,43 @@
+/**
+ * Style Scope - Which wrapper a block's compiled CSS is scoped to
+ *
+ * Blocks with "Scoped styles" on (block settings) have every rule of their
+ * style and editor style put inside the block's wrapper class, so a plain
+ * `.title { }` can't leak into other blocks.
+ */
+
+/**
+ * Wrapper class WordPress gives a FanCoolo block
+ * @param {string} slug Block slug
+ * @returns {string|null} Class name without the dot, e.g. "wp-block-fancoolo-hero"
+ */
+export function getWrapperClass(slug) {
+  return slug ? `wp-block-fancoolo-${slug}` : null;
+}
+
+/**
+ * Whether a block has scoped styles on
+ * @param {object} blocksMeta The block's meta.blocks (settings is a JSON string)
+ * @returns {boolean}
+ */
+export function hasScopedStyles(blocksMeta) {
+  try {
+    return JSON.parse(blocksMeta?.settings || "{}").scopedStyles === true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Scope selector for a block's compiled CSS
+ * @param {object} post Block post (for its slug)
+ * @param {object} blocksMeta The block's meta.blocks
+ * @returns {string|null} Selector, e.g. ".wp-block-fancoolo-hero", or null
+ *   when the block's styles aren't scoped
+ */
+export function getStyleScope(post, blocksMeta) {
+  const wrapperClass = getWrapperClass(post?.slug);
+  return wrapperClass && hasScopedStyles(blocksMeta) ? `.${wrapperClass}` : null;
+}
+
+export default { getWrapperClass, hasScopedStyles, getStyleScope };
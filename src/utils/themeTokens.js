@@ -0,0 +1,173 @@
+/**
+ * Theme Tokens - The active theme's theme.json presets as a SCSS partial
+ *
+ * Colours, font sizes and the spacing scale come from the server (see
+ * ThemeTokens.php), first with the page in window.funculoSettings.themeTokens
+ * and from /theme-tokens after that. They are turned into a virtual,
+ * read-only partial that every compile imports before the other partials,
+ * and that module partials can load with @use "partials/theme-tokens".
+ *
+ * The theme can change while the admin app stays open (another tab), so the
+ * tokens are fetched again the next time they are needed after the page was
+ * hidden.
+ */
+
+import centralizedApi from "./api/CentralizedApiService.js";
+
+// Source URL of the generated partial, and its slug for @use "partials/<slug>"
+export const THEME_TOKENS_URL = "fancoolo:theme-tokens";
+export const THEME_TOKENS_SLUG = "theme-tokens";
+
+export const EMPTY_THEME_TOKENS = {
+  theme: "",
+  hash: "",
+  colors: [],
+  fontSizes: [],
+  spacing: [],
+};
+
+// Token group -> names of its Sass map and of its alias variables
+export const TOKEN_GROUPS = {
+  colors: { map: "wp-colors", alias: "wp-color", label: "Color" },
+  fontSizes: { map: "wp-font-sizes", alias: "wp-font-size", label: "Font size" },
+  spacing: { map: "wp-spacing", alias: "wp-spacing", label: "Spacing" },
+};
+
+// Values written into the partial as they are; anything else is interpolated
+// from a quoted string, which Sass outputs without the quotes
+const PLAIN_VALUE = /^(?:[#\w .,%()+*-]|\/(?![/*]))+$/;
+
+let fetchedTokens = null;
+let tokensPromise = null;
+let isStale = false;
+
+if (typeof document !== "undefined") {
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      isStale = true;
+    }
+  });
+}
+
+/**
+ * Tokens known right now, without fetching
+ * @returns {object} { theme, hash, colors, fontSizes, spacing }
+ */
+export function getCurrentThemeTokens() {
+  return {
+    ...EMPTY_THEME_TOKENS,
+    ...(fetchedTokens || window.funculoSettings?.themeTokens),
+  };
+}
+
+/**
+ * Get the tokens of the active theme
+ * Fetched again when the page was hidden since the last fetch. If fetching
+ * fails, the last known tokens are used.
+ * @returns {Promise<object>} { theme, hash, colors, fontSizes, spacing }
+ */
+export async function getThemeTokens() {
+  const hasTokens = Boolean(window.funculoSettings?.themeTokens);
+
+  if (!tokensPromise || isStale) {
+    isStale = false;
+    tokensPromise = hasTokens && !tokensPromise
+      ? Promise.resolve(getCurrentThemeTokens())
+      : centralizedApi
+          .getThemeTokens()
+          .then((tokens) => {
+            fetchedTokens = tokens;
+            if (window.funculoSettings) {
+              window.funculoSettings.themeTokens = tokens;
+            }
+            return getCurrentThemeTokens();
+          })
+          .catch((error) => {
+            console.warn("Failed to load theme tokens:", error);
+            tokensPromise = null;
+            return getCurrentThemeTokens();
+          });
+  }
+
+  return tokensPromise;
+}
+
+/**
+ * Write a preset value as a Sass value
+ * @param {string} value - Preset value from theme.json
+ * @returns {string} - Sass value
+ */
+function toSassValue(value) {
+  return PLAIN_VALUE.test(value)
+    ? value
+    : `#{${JSON.stringify(value.replace(/\s+/g, " "))}}`;
+}
+
+/**
+ * Generate the theme tokens partial
+ *
+ * Every group becomes a Sass map of the raw values, e.g.
+ * map.get($wp-colors, "primary"), plus one variable per preset aliasing the
+ * custom property WordPress outputs for it, e.g.
+ * $wp-color-primary: var(--wp--preset--color--primary).
+ *
+ * @param {object} tokens - Tokens from getThemeTokens
+ * @returns {string} - SCSS
+ */
+export function buildThemeTokensScss(tokens) {
+  const lines = [
+    `// Theme tokens${tokens.theme ? ` of "${tokens.theme}"` : ""} from theme.json`,
+    "// Generated by FanCoolo - read-only, regenerated when the theme changes",
+  ];
+
+  Object.entries(TOKEN_GROUPS).forEach(([group, names]) => {
+    const presets = tokens[group] || [];
+
+    lines.push("");
+    if (presets.length === 0) {
+      lines.push(`$${names.map}: ();`);
+      return;
+    }
+
+    lines.push(`$${names.map}: (`);
+    presets.forEach((preset) => {
+      lines.push(`  "${preset.slug}": ${toSassValue(preset.value)},`);
+    });
+    lines.push(");");
+
+    presets.forEach((preset) => {
+      lines.push(`$${names.alias}-${preset.slug}: var(${preset.property});`);
+    });
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Every variable of the partial, for completions
+ * @param {object} tokens - Tokens from getThemeTokens
+ * @returns {Array<object>} - { name, value, detail } where name has no "$"
+ */
+export function listThemeTokenVariables(tokens) {
+  return Object.entries(TOKEN_GROUPS).flatMap(([group, names]) => {
+    const presets = tokens[group] || [];
+
+    return [
+      {
+        name: names.map,
+        value: `(${presets.map((preset) => `"${preset.slug}"`).join(", ")})`,
+        detail: `${names.label} map`,
+      },
+      ...presets.map((preset) => ({
+        name: `${names.alias}-${preset.slug}`,
+        value: `var(${preset.property})`,
+        detail: `${names.label} ${preset.name}: ${preset.value}`,
+      })),
+    ];
+  });
+}
+
+export default {
+  getThemeTokens,
+  buildThemeTokensScss,
+};